@@ -0,0 +1,266 @@
+/**
+ * Revenue category registry: the one place a line item category is defined. It drives the extraction
+ * prompt (ids + hints), processCostBreakdown and combined totals (breakdown keys), the revenue report
+ * (top-level categories, with grouped ones such as the entertainment activities rolled up) and the
+ * frontend (labels, icons, via GET /api/categories).
+ *
+ * Category: { id, key, label, icon, group?, hints, keywords?, aliases?, alwaysShow?, charge?, taxable? }
+ *   id        - what the model returns in lineItems[].category (FOOD, BOWLING, ...)
+ *   key       - breakdown / totals field (food, bowling, ...)
+ *   group     - parent group id; the group's key gets the sum of its children (entertainment)
+ *   hints     - prompt text describing what belongs here
+ *   keywords  - regex sources used to categorize a line by its description when the category is missing
+ *   aliases   - older ids that map to this category (ENTERTAINMENT -> OTHER_ENTERTAINMENT)
+ *   alwaysShow - show on result cards even when $0
+ *   charge    - tax / gratuity / service charge: added after the pre-tax total, not revenue
+ *   taxable   - revenue category that shares a general sales tax line (default true)
+ *
+ * Set CATEGORIES_FILE to a JSON file { "groups": [...], "categories": [...] } to replace the defaults.
+ */
+const fssync = require('fs');
+
+const DEFAULT_GROUPS = [
+  { id: 'ENTERTAINMENT', key: 'entertainment', label: 'Entertainment', icon: '🎪', hints: 'categorize each entertainment item specifically' }
+];
+
+const DEFAULT_CATEGORIES = [
+  {
+    id: 'FOOD',
+    key: 'food',
+    label: 'Food',
+    icon: '🍽️',
+    alwaysShow: true,
+    hints: [
+      'food items including:',
+      '- Packages like "Front Nine", "Full Course" (food portion), taco bars',
+      '- Food platters: wings, tater kegs, pretzel bites, garden salad, vegetable trays, chicken tenders, cookies, sauces, loaded fries, beer cheese, and any other food items',
+      '- Each food platter item should be listed as a separate line item with its quantity, price, and total'
+    ].join('\n'),
+    keywords: ['food', 'taco', 'front\\s*nine', 'full\\s*course', 'wing', 'tater', 'pretzel', 'salad', 'vegetable', 'tender', 'cookie', 'sauce', 'fry', 'fries', 'cheese', 'platter']
+  },
+  {
+    id: 'DRINKS',
+    key: 'drinks',
+    label: 'Drinks',
+    icon: '🥤',
+    alwaysShow: true,
+    hints: 'drink packages like "Back Nine", preloaded RFID amounts, drink bracelets, preloaded drinks',
+    keywords: ['drink', 'back\\s*nine', 'bracelet', 'rfid', 'bar\\s*tab', 'beer', 'wine', 'cocktail']
+  },
+  { id: 'BOWLING', key: 'bowling', label: 'Bowling', icon: '🎳', group: 'ENTERTAINMENT', hints: 'bowling lanes, duckpin bowling (per hour, per lane)', keywords: ['bowl', 'duckpin'] },
+  { id: 'DARTS', key: 'darts', label: 'Darts', icon: '🎯', group: 'ENTERTAINMENT', hints: 'darts lanes, dart games (per hour, per lane)', keywords: ['darts?\\b'] },
+  { id: 'MINI_GOLF', key: 'miniGolf', label: 'Mini Golf', icon: '⛳', group: 'ENTERTAINMENT', hints: 'mini golf', keywords: ['mini\\s*-?\\s*golf', 'putt'] },
+  { id: 'SHUFFLEBOARD', key: 'shuffleboard', label: 'Shuffleboard', icon: '🎲', group: 'ENTERTAINMENT', hints: 'shuffleboard', keywords: ['shuffle\\s*board'] },
+  { id: 'KARAOKE', key: 'karaoke', label: 'Karaoke', icon: '🎤', group: 'ENTERTAINMENT', hints: 'karaoke', keywords: ['karaoke'] },
+  {
+    id: 'OTHER_ENTERTAINMENT',
+    key: 'otherEntertainment',
+    label: 'Other Entertainment',
+    icon: '🎪',
+    group: 'ENTERTAINMENT',
+    hints: 'any other entertainment items',
+    keywords: ['\\blanes?\\b', '\\bgames?\\b', 'arcade', 'simulator', '\\baxe'],
+    aliases: ['ENTERTAINMENT']
+  },
+  {
+    id: 'BOOKING_FEE',
+    key: 'bookingFee',
+    label: 'Booking Fee',
+    icon: '📋',
+    alwaysShow: true,
+    hints: 'any booking fees, setup fees, or administrative charges (usually at the bottom of the document)',
+    keywords: ['booking', '\\bfee\\b']
+  },
+  {
+    id: 'TAX',
+    key: 'tax',
+    label: 'Tax',
+    icon: '🧾',
+    charge: true,
+    hints: 'sales tax, liquor tax and any other tax lines',
+    keywords: ['\\btax\\b']
+  },
+  {
+    id: 'GRATUITY',
+    key: 'gratuity',
+    label: 'Gratuity',
+    icon: '🤝',
+    charge: true,
+    hints: 'auto-gratuity or included tip',
+    keywords: ['gratuity', '\\btips?\\b']
+  },
+  {
+    id: 'SERVICE_CHARGE',
+    key: 'serviceCharge',
+    label: 'Service Charge',
+    icon: '🛎️',
+    charge: true,
+    hints: 'service charges (a percentage added to the bill; not the booking fee)',
+    keywords: ['service\\s*charge']
+  }
+];
+
+function validateRegistryConfig({ groups, categories }) {
+  const errors = [];
+  const ids = new Set();
+  const keys = new Set();
+  const groupIds = new Set(groups.map((g) => g.id));
+  for (const entry of [...groups, ...categories]) {
+    if (!entry.id || !/^[A-Z][A-Z0-9_]*$/.test(entry.id)) errors.push(`invalid id ${JSON.stringify(entry.id)} (use UPPER_SNAKE_CASE)`);
+    if (!entry.key || !/^[a-z][A-Za-z0-9]*$/.test(entry.key)) errors.push(`${entry.id}: invalid key ${JSON.stringify(entry.key)} (use camelCase)`);
+    if (!entry.label) errors.push(`${entry.id}: label is required`);
+    if (ids.has(entry.id)) errors.push(`duplicate id ${entry.id}`);
+    if (keys.has(entry.key)) errors.push(`duplicate key ${entry.key}`);
+    ids.add(entry.id);
+    keys.add(entry.key);
+  }
+  for (const c of categories) {
+    if (c.group && !groupIds.has(c.group)) errors.push(`${c.id}: unknown group ${c.group}`);
+    if (c.group && c.charge) errors.push(`${c.id}: charges can't belong to a group`);
+    for (const k of c.keywords || []) {
+      try {
+        new RegExp(k, 'i');
+      } catch (e) {
+        errors.push(`${c.id}: invalid keyword pattern ${JSON.stringify(k)}`);
+      }
+    }
+  }
+  // The Full Course split moves money from food to drinks, so those two must keep their ids and keys
+  if (!categories.some((c) => c.id === 'FOOD' && c.key === 'food') || !categories.some((c) => c.id === 'DRINKS' && c.key === 'drinks')) {
+    errors.push('FOOD (key food) and DRINKS (key drinks) categories are required');
+  }
+  return errors;
+}
+
+/**
+ * @param {{ groups?: object[], categories?: object[] }} [config] - defaults to the built-in taxonomy
+ */
+function createCategoryRegistry(config = {}) {
+  const groups = (config.groups || DEFAULT_GROUPS).map((g) => ({ ...g }));
+  const categories = (config.categories || DEFAULT_CATEGORIES).map((c) => ({
+    group: null,
+    ...c,
+    charge: !!c.charge,
+    taxable: !c.charge && c.taxable !== false
+  }));
+  const errors = validateRegistryConfig({ groups, categories });
+  if (errors.length > 0) throw new Error(`Invalid category registry: ${errors.join('; ')}`);
+
+  const byId = new Map();
+  categories.forEach((c) => {
+    byId.set(c.id, c);
+    (c.aliases || []).forEach((alias) => byId.set(alias, c));
+  });
+  const revenue = categories.filter((c) => !c.charge);
+  const charges = categories.filter((c) => c.charge);
+  // Charges first: "Tax on food" is a tax line, not food
+  const keywordMatchers = [...charges, ...revenue].map((c) => ({
+    category: c,
+    patterns: (c.keywords || []).map((k) => new RegExp(k, 'i'))
+  }));
+
+  // Model output sometimes says "Mini Golf" instead of MINI_GOLF
+  function find(id) {
+    const normalized = String(id || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return byId.get(normalized) || null;
+  }
+
+  function categorize(description) {
+    const text = String(description || '');
+    const hit = keywordMatchers.find((m) => m.patterns.some((re) => re.test(text)));
+    return hit ? hit.category : null;
+  }
+
+  // Category for a line item: its own category, else a guess from the description
+  function categoryOf(item) {
+    return find(item && item.category) || categorize(item && item.description);
+  }
+
+  function emptyTotals() {
+    const totals = {};
+    categories.forEach((c) => {
+      totals[c.key] = 0;
+    });
+    groups.forEach((g) => {
+      totals[g.key] = 0;
+    });
+    return totals;
+  }
+
+  // Top-level revenue lines: ungrouped categories, and each group in place of its children (charges are not revenue)
+  function reportCategories() {
+    const out = [];
+    const seenGroups = new Set();
+    revenue.forEach((c) => {
+      if (!c.group) {
+        out.push({ key: c.key, label: c.label, id: c.id });
+      } else if (!seenGroups.has(c.group)) {
+        seenGroups.add(c.group);
+        const g = groups.find((gr) => gr.id === c.group);
+        out.push({ key: g.key, label: g.label, id: g.id, group: true });
+      }
+    });
+    return out;
+  }
+
+  function promptSection() {
+    const lines = [];
+    let n = 0;
+    const seenGroups = new Set();
+    const indent = (text, pad) => String(text).split('\n').map((l, i) => (i === 0 ? l : `${pad}${l}`)).join('\n');
+    categories.forEach((c) => {
+      if (!c.group) {
+        lines.push(`${++n}. ${c.id} - ${indent(c.hints || c.label, '   ')}`);
+        return;
+      }
+      if (seenGroups.has(c.group)) return;
+      seenGroups.add(c.group);
+      const g = groups.find((gr) => gr.id === c.group);
+      lines.push(`${++n}. ${g.id} - ${g.hints || g.label}:`);
+      categories
+        .filter((child) => child.group === g.id)
+        .forEach((child) => lines.push(`   - ${child.id} - ${child.hints || child.label}`));
+    });
+    return lines.join('\n');
+  }
+
+  function promptEnum() {
+    return categories.map((c) => `"${c.id}"`).join(' | ');
+  }
+
+  function describe() {
+    return { groups, categories: categories.map(({ keywords, ...rest }) => ({ ...rest, keywords: keywords || [] })) };
+  }
+
+  return {
+    groups,
+    categories,
+    revenue,
+    charges,
+    find,
+    categorize,
+    categoryOf,
+    emptyTotals,
+    reportCategories,
+    promptSection,
+    promptEnum,
+    describe
+  };
+}
+
+/**
+ * Registry from CATEGORIES_FILE when set, else the built-in taxonomy. Throws on an invalid file so a typo
+ * fails at startup instead of silently dropping revenue.
+ */
+function loadCategoryRegistry(env = process.env) {
+  if (!env.CATEGORIES_FILE) return createCategoryRegistry();
+  const config = JSON.parse(fssync.readFileSync(env.CATEGORIES_FILE, 'utf8'));
+  return createCategoryRegistry(config);
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  DEFAULT_GROUPS,
+  createCategoryRegistry,
+  loadCategoryRegistry
+};
@@ -0,0 +1,69 @@
+/**
+ * Promise helpers for batch work against rate-limited APIs.
+ */
+
+/**
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls in flight. Results keep input order.
+ * `fn` should handle its own errors; a rejection rejects the whole map (remaining items still settle).
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const width = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: width }, worker));
+  return results;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Call `fn` until it resolves, retrying errors `shouldRetry` accepts with exponential backoff + jitter.
+ * `delayFor(error, attempt)` may return a server-requested delay (e.g. Retry-After) to use instead.
+ * @param {(attempt: number) => Promise<any>} fn
+ * @param {{ retries?: number, baseDelayMs?: number, maxDelayMs?: number,
+ *   shouldRetry?: (error: Error) => boolean, delayFor?: (error: Error, attempt: number) => number|null,
+ *   onRetry?: (error: Error, attempt: number, delayMs: number) => void }} [opts]
+ */
+async function retryWithBackoff(fn, opts = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    shouldRetry = () => true,
+    delayFor = () => null,
+    onRetry = () => {}
+  } = opts;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      const requested = delayFor(error, attempt);
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delayMs = Math.min(maxDelayMs, requested !== null && requested !== undefined ? requested : backoff);
+      onRetry(error, attempt + 1, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  mapWithConcurrency,
+  retryWithBackoff
+};
@@ -0,0 +1,123 @@
+/**
+ * Guest-count conversion table for the kitchen prep sheet.
+ *
+ * Rule shape: { menuItem, match: string[], minGuests, maxGuests, quantity, unit, panSize, perGuest }
+ * - `match`: terms looked for in FOOD line item descriptions (e.g. "taco bar")
+ * - `maxGuests` may be null on a menu item's last bracket (open-ended, e.g. tortillas = guests × 3)
+ * The built-in table below only seeds the store; edits go through /api/conversion-rules.
+ */
+
+const MEAT_BRACKETS = [
+  { minGuests: 1, maxGuests: 25, quantity: 5, panSize: '1 half pan' },
+  { minGuests: 26, maxGuests: 50, quantity: 10, panSize: '1 full pan' },
+  { minGuests: 51, maxGuests: 75, quantity: 15, panSize: '1 full pan + 1 half pan' },
+  { minGuests: 76, maxGuests: 100, quantity: 20, panSize: '2 full pans' },
+  { minGuests: 101, maxGuests: 125, quantity: 25, panSize: '2 full pans + 1 half pan' }
+];
+
+function meatRules(menuItem, match) {
+  return MEAT_BRACKETS.map((b) => ({ menuItem, match, unit: 'lb', perGuest: false, ...b }));
+}
+
+const DEFAULT_CONVERSION_TABLE = [
+  ...meatRules('Beef', ['taco bar', 'ground beef', 'beef taco', 'barbacoa']),
+  ...meatRules('Chicken', ['taco bar', 'shredded chicken', 'chicken taco', 'fajita']),
+  ...meatRules('Pork', ['taco bar', 'pulled pork', 'pork taco', 'carnitas']),
+  {
+    menuItem: 'Tortillas',
+    match: ['taco', 'tortilla', 'fajita'],
+    minGuests: 1,
+    maxGuests: null,
+    quantity: 3,
+    unit: 'each',
+    panSize: 'Half pan (warmer)',
+    perGuest: true
+  }
+];
+
+
+function toNumberOrNull(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function toMatchTerms(v) {
+  const list = Array.isArray(v) ? v : String(v || '').split(',');
+  return list.map((t) => String(t).trim()).filter(Boolean);
+}
+
+/**
+ * Coerce one rule from a request body (strings from form inputs are fine) and check its own fields.
+ * @returns {{ rule: object, errors: string[] }}
+ */
+function normalizeConversionRule(input) {
+  const src = input || {};
+  const rule = {
+    menuItem: String(src.menuItem || '').trim(),
+    match: toMatchTerms(src.match),
+    minGuests: toNumberOrNull(src.minGuests),
+    maxGuests: toNumberOrNull(src.maxGuests),
+    quantity: toNumberOrNull(src.quantity),
+    unit: String(src.unit || '').trim(),
+    panSize: src.panSize ? String(src.panSize).trim() : null,
+    perGuest: src.perGuest === true || src.perGuest === 'true'
+  };
+
+  const errors = [];
+  const label = rule.menuItem || 'Rule';
+  if (!rule.menuItem) errors.push('menuItem is required');
+  if (rule.match.length === 0) errors.push(`${label}: at least one match term is required`);
+  if (!Number.isInteger(rule.minGuests) || rule.minGuests < 1) {
+    errors.push(`${label}: minGuests must be a whole number of at least 1`);
+  }
+  if (rule.maxGuests !== null && (!Number.isInteger(rule.maxGuests) || rule.maxGuests < rule.minGuests)) {
+    errors.push(`${label}: maxGuests must be a whole number ≥ minGuests (or empty for open-ended)`);
+  }
+  if (rule.quantity === null || Number.isNaN(rule.quantity) || rule.quantity <= 0) {
+    errors.push(`${label}: quantity must be a positive number`);
+  }
+  if (!rule.unit) errors.push(`${label}: unit is required`);
+
+  return { rule, errors };
+}
+
+/**
+ * Check that each menu item's brackets start at 1 guest and run contiguously with no overlaps or gaps.
+ * @param {object[]} rules - normalized rules
+ * @returns {string[]} errors
+ */
+function validateConversionTable(rules) {
+  const errors = [];
+  const byMenuItem = new Map();
+  for (const rule of rules) {
+    const key = rule.menuItem.toLowerCase();
+    if (!byMenuItem.has(key)) byMenuItem.set(key, []);
+    byMenuItem.get(key).push(rule);
+  }
+
+  for (const group of byMenuItem.values()) {
+    const name = group[0].menuItem;
+    const sorted = [...group].sort((a, b) => a.minGuests - b.minGuests);
+    if (sorted[0].minGuests !== 1) {
+      errors.push(`${name}: first bracket must start at 1 guest (starts at ${sorted[0].minGuests})`);
+    }
+    for (let i = 1; i < sorted.length; i++) {
+      const prev = sorted[i - 1];
+      const cur = sorted[i];
+      if (prev.maxGuests === null || cur.minGuests <= prev.maxGuests) {
+        const prevRange = prev.maxGuests === null ? `${prev.minGuests}+` : `${prev.minGuests}-${prev.maxGuests}`;
+        errors.push(`${name}: bracket starting at ${cur.minGuests} overlaps ${prevRange}`);
+      } else if (cur.minGuests > prev.maxGuests + 1) {
+        errors.push(`${name}: gap between ${prev.maxGuests} and ${cur.minGuests} guests`);
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_CONVERSION_TABLE,
+  normalizeConversionRule,
+  validateConversionTable
+};
@@ -0,0 +1,140 @@
+/**
+ * Duplicate party sheet detection: the same contract re-sent (identical file hash) or a revised
+ * contract for the same event (fuzzy match on event name + date + contact from eventDetails).
+ * Works within one upload batch and against previously analyzed events in the history store.
+ */
+
+function normalizeKeyText(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenOverlap(a, b) {
+  const ta = new Set(a.split(' ').filter(Boolean));
+  const tb = new Set(b.split(' ').filter(Boolean));
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let inter = 0;
+  for (const t of ta) if (tb.has(t)) inter++;
+  return inter / (ta.size + tb.size - inter);
+}
+
+function namesMatch(a, b) {
+  const na = normalizeKeyText(a);
+  const nb = normalizeKeyText(b);
+  if (!na || !nb) return false;
+  if (na === nb || na.includes(nb) || nb.includes(na)) return true;
+  return tokenOverlap(na, nb) >= 0.6;
+}
+
+function datesMatch(a, b) {
+  const na = normalizeKeyText(a);
+  const nb = normalizeKeyText(b);
+  if (!na || !nb) return false;
+  if (na.replace(/\s/g, '') === nb.replace(/\s/g, '')) return true;
+  const da = new Date(a);
+  const db = new Date(b);
+  if (isNaN(da.getTime()) || isNaN(db.getTime())) return false;
+  return da.getMonth() === db.getMonth() && da.getDate() === db.getDate() && da.getFullYear() === db.getFullYear();
+}
+
+// A missing contact on either side doesn't block a match; two different contacts do.
+function contactsCompatible(a, b) {
+  const na = normalizeKeyText(a);
+  const nb = normalizeKeyText(b);
+  if (!na || !nb) return true;
+  return na === nb || na.includes(nb) || nb.includes(na) || tokenOverlap(na, nb) >= 0.5;
+}
+
+function eventsMatch(detailsA, detailsB) {
+  const a = detailsA || {};
+  const b = detailsB || {};
+  return namesMatch(a.eventName, b.eventName) && datesMatch(a.date, b.date) && contactsCompatible(a.contact, b.contact);
+}
+
+function matchKind(hashA, detailsA, hashB, detailsB) {
+  if (hashA && hashB && hashA === hashB) return 'identical-file';
+  if (eventsMatch(detailsA, detailsB)) return 'same-event';
+  return null;
+}
+
+/**
+ * @param {Array<{ filename: string, fileHash: string, eventDetails: object, lastModified?: number }>} entries
+ *   successful analyses in upload order
+ * @param {object[]} storedEvents - event history records (eventDetails live on record.breakdown)
+ * @returns {Array<{ duplicates: object[], supersededByIndex: number|null, historyMatchIds: string[] }>}
+ *   `supersededByIndex` points at the newest revision in the same batch (null when this entry is the newest)
+ */
+function detectDuplicates(entries, storedEvents) {
+  const parent = entries.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const out = entries.map(() => ({ duplicates: [], supersededByIndex: null, historyMatchIds: [] }));
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const kind = matchKind(entries[i].fileHash, entries[i].eventDetails, entries[j].fileHash, entries[j].eventDetails);
+      if (!kind) continue;
+      parent[find(j)] = find(i);
+      out[i].duplicates.push({ kind, source: 'batch', filename: entries[j].filename });
+      out[j].duplicates.push({ kind, source: 'batch', filename: entries[i].filename });
+    }
+
+    for (const ev of storedEvents || []) {
+      if (ev.supersededBy) continue;
+      const details = (ev.breakdown && ev.breakdown.eventDetails) || ev;
+      const kind = matchKind(entries[i].fileHash, entries[i].eventDetails, ev.fileHash, details);
+      if (!kind) continue;
+      out[i].historyMatchIds.push(ev.id);
+      out[i].duplicates.push({
+        kind,
+        source: 'history',
+        eventId: ev.id,
+        filename: ev.sourceFilename,
+        analyzedAt: ev.createdAt
+      });
+    }
+  }
+
+  // Newest revision per group: latest file modification time, then latest in upload order.
+  const newestByGroup = new Map();
+  entries.forEach((entry, i) => {
+    const root = find(i);
+    const best = newestByGroup.get(root);
+    const t = Number(entry.lastModified) || 0;
+    if (best === undefined || t >= (Number(entries[best].lastModified) || 0)) newestByGroup.set(root, i);
+  });
+  entries.forEach((_, i) => {
+    const newest = newestByGroup.get(find(i));
+    if (newest !== i) out[i].supersededByIndex = newest;
+  });
+
+  return out;
+}
+
+/**
+ * Event history records that count toward reports, the calendar and receivables: not superseded, with a
+ * breakdown, and one record per file hash (the first saved). Uploads no longer save an identical file twice,
+ * but histories from before that can hold copies.
+ * @param {object[]} events - event history records in the order they were saved
+ */
+function countedEvents(events) {
+  const seenHashes = new Set();
+  return (events || []).filter((event) => {
+    if (event.supersededBy || !event.breakdown) return false;
+    if (!event.fileHash) return true;
+    if (seenHashes.has(event.fileHash)) return false;
+    seenHashes.add(event.fileHash);
+    return true;
+  });
+}
+
+module.exports = {
+  countedEvents,
+  detectDuplicates,
+  eventsMatch,
+  normalizeKeyText
+};
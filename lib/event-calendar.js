@@ -0,0 +1,73 @@
+/**
+ * Calendar of analyzed events: each saved event placed on its event date, with guests and revenue per day
+ * and days over the daily guest capacity flagged. Superseded revisions and repeat copies of a file are left
+ * out, like in reports.
+ */
+const { eventIsoDate } = require('./event-dates');
+const { countedEvents } = require('./duplicate-detection');
+
+function round2(n) {
+  return parseFloat((n || 0).toFixed(2));
+}
+
+// Pre-tax revenue when the breakdown has it (events analyzed before tax handling only have grandTotal)
+function eventRevenue(breakdown) {
+  if (typeof breakdown.preTaxTotal === 'number') return breakdown.preTaxTotal;
+  return Number(breakdown.grandTotal) || 0;
+}
+
+/**
+ * @param {object[]} events - event history records
+ * @param {{ from: string, to: string, capacity?: number|null }} opts - inclusive YYYY-MM-DD range; capacity is
+ *   the most guests a day can take (null disables the flag)
+ * @returns {{ from: string, to: string, capacity: number|null, days: object[], undatedEvents: number }}
+ */
+function buildEventCalendar(events, opts) {
+  const { from, to } = opts;
+  const capacity = Number.isFinite(opts.capacity) && opts.capacity > 0 ? opts.capacity : null;
+  const byDay = new Map();
+  let undatedEvents = 0;
+
+  for (const event of countedEvents(events)) {
+    const b = event.breakdown;
+    const details = b.eventDetails || {};
+    const ymd = eventIsoDate(event);
+    if (!ymd) {
+      undatedEvents++;
+      continue;
+    }
+    if (ymd < from || ymd > to) continue;
+
+    if (!byDay.has(ymd)) byDay.set(ymd, []);
+    byDay.get(ymd).push({
+      id: event.id,
+      eventName: details.eventName || event.eventName || event.sourceFilename || null,
+      time: details.time || event.time || null,
+      startTime: details.startTime || null,
+      endTime: details.endTime || null,
+      guests: Number(details.guests || event.guests) || 0,
+      revenue: round2(eventRevenue(b)),
+      balanceDue: typeof b.balanceDue === 'number' ? b.balanceDue : null
+    });
+  }
+
+  const days = [...byDay.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([date, dayEvents]) => {
+      const guests = dayEvents.reduce((sum, e) => sum + e.guests, 0);
+      return {
+        date,
+        // By start time; events without one (unparseable or analyzed before normalization) go last
+        events: dayEvents.sort((a, b) => (a.startTime || '99:99').localeCompare(b.startTime || '99:99')),
+        guests,
+        revenue: round2(dayEvents.reduce((sum, e) => sum + e.revenue, 0)),
+        overCapacity: capacity !== null && guests > capacity
+      };
+    });
+
+  return { from, to, capacity, days, undatedEvents };
+}
+
+module.exports = {
+  buildEventCalendar
+};
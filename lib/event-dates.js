@@ -0,0 +1,179 @@
+/**
+ * Resolve the free-form event dates the model returns ("Sat 3/14", "March 14th, 2026", "2026-03-14")
+ * to ISO YYYY-MM-DD. When the text has no year, the year comes from a reference date (e.g. when the
+ * sheet was analyzed): the nearest such date on or after ~2 months before the reference.
+ *
+ * Times ("6-9pm", "6:00 PM - 9:00 PM", "18:00") resolve to 24-hour HH:MM start/end times.
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function isValidYmd(y, m, d) {
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return false;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function expandYear(y) {
+  if (y === null || y === undefined) return null;
+  return y < 100 ? 2000 + y : y;
+}
+
+// Party sheets are analyzed ahead of the event, but sometimes entered late: allow ~2 months back.
+function inferYear(month, day, referenceDate) {
+  const ref = referenceDate instanceof Date && !isNaN(referenceDate.getTime()) ? referenceDate : new Date();
+  const refYear = ref.getUTCFullYear();
+  const lookBack = Date.UTC(refYear, ref.getUTCMonth(), ref.getUTCDate()) - 60 * 24 * 60 * 60 * 1000;
+  // The window can start in the previous year ("Dec 20" analyzed in early January)
+  for (const year of [refYear - 1, refYear]) {
+    if (Date.UTC(year, month - 1, day) >= lookBack) return year;
+  }
+  return refYear + 1;
+}
+
+/**
+ * Pull { year|null, month, day } out of a date string, or null.
+ */
+function extractDateParts(text) {
+  const s = String(text || '').toLowerCase();
+
+  let m = s.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (m) return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+
+  // "March 14th, 2026", "Sat Mar 14"
+  m = s.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s*(\d{4}))?/);
+  if (m) return { year: m[3] ? Number(m[3]) : null, month: MONTHS[m[1]], day: Number(m[2]) };
+
+  // "14 March 2026"
+  m = s.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?(?:,?\s*(\d{4}))?/);
+  if (m) return { year: m[3] ? Number(m[3]) : null, month: MONTHS[m[2]], day: Number(m[1]) };
+
+  // "3/14", "3/14/26", "3-14-2026" (a bare "6-9" is a time range, not a date)
+  m = s.match(/\b(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2,4}))?\b/) || s.match(/\b(\d{1,2})-(\d{1,2})-(\d{2,4})\b/);
+  if (m) return { year: m[3] ? expandYear(Number(m[3])) : null, month: Number(m[1]), day: Number(m[2]) };
+
+  return null;
+}
+
+/**
+ * @param {string} text - raw date string from eventDetails.date
+ * @param {Date} [referenceDate] - year context when the text has none
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseEventDate(text, referenceDate) {
+  const parts = extractDateParts(text);
+  if (!parts) return null;
+  const year = parts.year !== null ? parts.year : inferYear(parts.month, parts.day, referenceDate);
+  if (!isValidYmd(year, parts.month, parts.day)) return null;
+  return `${year}-${pad2(parts.month)}-${pad2(parts.day)}`;
+}
+
+// "6", "6:30", "6pm", "6:30 p.m." - hour, optional minutes, optional meridiem
+const CLOCK = '(\\d{1,2})(?::(\\d{2}))?\\s*(?:([ap])\\.?m?\\.?(?![a-z]))?';
+const TIME_RANGE_RE = new RegExp(`(?<![\\d/.:-])${CLOCK}\\s*(?:-|–|—|to|until|till)\\s*${CLOCK}(?![\\d/.-])`, 'g');
+const SINGLE_TIME_RE = new RegExp(`(?<![\\d/.:-])${CLOCK}(?![\\d/.-])`, 'g');
+
+function clockParts(hour, minute, meridiem) {
+  return { hour: Number(hour), minute: minute ? Number(minute) : 0, meridiem: meridiem || null, colon: minute !== undefined };
+}
+
+// 24-hour hour for a clock reading; without am/pm, 1-9 o'clock is taken as evening (parties, not breakfasts)
+function to24(t, meridiem = t.meridiem) {
+  if (meridiem === 'a') return t.hour === 12 ? 0 : t.hour;
+  if (meridiem === 'p') return t.hour === 12 ? 12 : t.hour + 12;
+  return t.hour >= 1 && t.hour <= 9 ? t.hour + 12 : t.hour;
+}
+
+function isValidClock(t) {
+  if (t.minute > 59) return false;
+  return t.meridiem ? t.hour >= 1 && t.hour <= 12 : t.hour <= 23;
+}
+
+function formatClock(hour, minute) {
+  return `${pad2(hour)}:${pad2(minute)}`;
+}
+
+/**
+ * @param {string} text - raw time string from eventDetails.time (or a date string that includes the time)
+ * @returns {{ startTime: string, endTime: string|null }|null} HH:MM, 24-hour; endTime may be earlier than
+ *   startTime when the event runs past midnight
+ */
+function parseEventTime(text) {
+  const s = String(text || '').toLowerCase().replace(/\bnoon\b/g, '12pm').replace(/\bmidnight\b/g, '12am');
+
+  // A range needs an am/pm or a colon somewhere, so "3-14" in a date isn't read as 3 to 2 o'clock
+  for (const m of s.matchAll(TIME_RANGE_RE)) {
+    const start = clockParts(m[1], m[2], m[3]);
+    const end = clockParts(m[4], m[5], m[6]);
+    if (!(start.meridiem || end.meridiem || start.colon || end.colon)) continue;
+    if (!isValidClock(start) || !isValidClock(end)) continue;
+    const endHour = to24(end);
+    // "6-9pm": the start shares the end's am/pm unless that would put it after the end ("11-2pm")
+    let startHour = to24(start);
+    if (!start.meridiem && end.meridiem) {
+      startHour = to24(start, end.meridiem);
+      if (startHour * 60 + start.minute > endHour * 60 + end.minute) startHour = to24(start, end.meridiem === 'p' ? 'a' : 'p');
+    }
+    return { startTime: formatClock(startHour, start.minute), endTime: formatClock(endHour, end.minute) };
+  }
+
+  for (const m of s.matchAll(SINGLE_TIME_RE)) {
+    const t = clockParts(m[1], m[2], m[3]);
+    if (!(t.meridiem || t.colon) || !isValidClock(t)) continue;
+    return { startTime: formatClock(to24(t), t.minute), endTime: null };
+  }
+  return null;
+}
+
+/**
+ * Add resolved fields to the model's eventDetails, keeping the raw `date` and `time` strings as printed:
+ *   isoDate   - YYYY-MM-DD or null
+ *   startTime - HH:MM (24-hour) or null; endTime likewise
+ *   unparseable - which of 'date' / 'time' had text that couldn't be resolved
+ * The time is also looked for in the date string ("March 14th 6-9pm") when `time` is empty.
+ * @param {object} details - eventDetails as returned by analyzePartySheet
+ * @param {Date} [referenceDate] - year context (the upload date)
+ * @returns {object}
+ */
+function normalizeEventDetails(details, referenceDate) {
+  const raw = details && typeof details === 'object' ? details : {};
+  const date = typeof raw.date === 'string' && raw.date.trim() ? raw.date.trim() : null;
+  const time = typeof raw.time === 'string' && raw.time.trim() ? raw.time.trim() : null;
+
+  const isoDate = date ? parseEventDate(date, referenceDate) : null;
+  const times = time ? parseEventTime(time) : date ? parseEventTime(date) : null;
+  const unparseable = [];
+  if (date && !isoDate) unparseable.push('date');
+  if (time && !times) unparseable.push('time');
+
+  return {
+    ...raw,
+    date,
+    time,
+    isoDate,
+    startTime: times ? times.startTime : null,
+    endTime: times ? times.endTime : null,
+    unparseable
+  };
+}
+
+// ISO date of a saved event: the normalized one when the event has it, otherwise parsed from the raw string
+// (events analyzed before normalization), with the day it was analyzed as year context
+function eventIsoDate(event) {
+  const details = (event.breakdown && event.breakdown.eventDetails) || {};
+  if (details.isoDate) return details.isoDate;
+  return parseEventDate(details.date || event.date, event.createdAt ? new Date(event.createdAt) : undefined);
+}
+
+module.exports = {
+  parseEventDate,
+  parseEventTime,
+  normalizeEventDetails,
+  eventIsoDate
+};
@@ -0,0 +1,207 @@
+/**
+ * Printable PDFs for one analyzed event (pdfkit, standard Helvetica fonts):
+ *   - event summary: header, category totals, payments, preloaded drinks note and line items by category (Letter)
+ *   - kitchen ticket: guests and the prep checklist only, no prices (4×6 in, fits the kitchen printer)
+ */
+const PDFDocument = require('pdfkit');
+
+const MUTED = '#666666';
+
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function money(n) {
+  const value = Number(n) || 0;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
+
+function eventSubtitle(details, guests) {
+  return [details.date, details.time, guests ? `${guests} guests` : null, details.contact].filter(Boolean).join('  ·  ');
+}
+
+// Start a new page when fewer than `needed` points are left
+function ensureSpace(doc, needed) {
+  if (doc.y + needed > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function sectionHeading(doc, text) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).fillColor('black').text(text);
+  doc.moveDown(0.3);
+}
+
+/**
+ * One table row at fixed column x positions; the first column wraps, the rest are right-aligned amounts.
+ * @param {Array<{ text: string, x: number, width: number, align?: string }>} cols
+ */
+function tableRow(doc, cols, { bold = false, color = 'black', size = 10 } = {}) {
+  ensureSpace(doc, 18);
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color);
+  let bottom = y;
+  cols.forEach((col) => {
+    doc.text(col.text, col.x, y, { width: col.width, align: col.align || 'left' });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = bottom + 2;
+}
+
+/**
+ * @param {object} result - one /api/upload result ({ filename, breakdown, warnings? })
+ * @param {{ registry: object }} opts - category registry (lib/categories.js)
+ * @returns {Promise<Buffer>}
+ */
+function buildEventSummaryPdf(result, { registry }) {
+  const b = result.breakdown || {};
+  const details = b.eventDetails || {};
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `${details.eventName || result.filename || 'Event'} - Summary` } });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(details.eventName || result.filename || 'Event Summary');
+  doc.font('Helvetica').fontSize(11).fillColor(MUTED).text(eventSubtitle(details, details.guests));
+  if (result.filename) doc.fontSize(9).text(`Source: ${result.filename}`);
+  doc.fillColor('black');
+
+  // Category totals: always-shown and non-zero categories, pre-tax total, charges, grand total
+  sectionHeading(doc, 'Totals');
+  const taxByCategory = b.taxByCategory || {};
+  const amountCols = (label, amount, note) => [
+    { text: label, x: left, width: width * 0.5 },
+    { text: note || '', x: left + width * 0.5, width: width * 0.25, align: 'right' },
+    { text: money(amount), x: left + width * 0.75, width: width * 0.25, align: 'right' }
+  ];
+  const shown = (c) => c.alwaysShow || (Number(b[c.key]) || 0) > 0;
+  registry.revenue.filter(shown).forEach((c) => {
+    const tax = taxByCategory[c.key] ? `+ ${money(taxByCategory[c.key])} tax` : '';
+    tableRow(doc, amountCols(c.label, b[c.key], tax));
+  });
+  const charges = registry.charges.filter(shown);
+  if (charges.length > 0 && b.preTaxTotal !== undefined) {
+    tableRow(doc, amountCols('Pre-tax Total', b.preTaxTotal), { bold: true });
+    charges.forEach((c) => tableRow(doc, amountCols(c.label, b[c.key])));
+  }
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(0.2);
+  tableRow(doc, amountCols(charges.length > 0 ? 'Total incl. Tax & Charges' : 'Grand Total', b.grandTotal), { bold: true, size: 12 });
+
+  if (typeof b.balanceDue === 'number') {
+    doc.moveDown(0.4);
+    (b.payments || []).forEach((p) => {
+      const label = [p.type === 'DEPOSIT' ? 'Deposit' : 'Payment', p.date, p.method].filter(Boolean).join(' · ');
+      tableRow(doc, amountCols(label, p.amount), { color: MUTED });
+    });
+    tableRow(doc, amountCols('Amount Paid', b.amountPaid));
+    tableRow(doc, amountCols('Balance Due', b.balanceDue), { bold: true });
+  }
+
+  if (b.preloadedDrinks && b.preloadedDrinks.total) {
+    const p = b.preloadedDrinks;
+    doc.moveDown(0.6).font('Helvetica-Oblique').fontSize(10).fillColor('black')
+      .text(`Preloaded drinks: ${p.quantity} × ${money(p.pricePerPerson)} = ${money(p.total)} was subtracted from food and added to drinks.`, left, doc.y, { width });
+  }
+
+  // Line items grouped by registry category; anything unmatched is listed last
+  sectionHeading(doc, 'Line Items');
+  const groups = new Map();
+  (b.lineItems || []).filter(Boolean).forEach((item) => {
+    const category = registry.find(item.category);
+    const label = category ? category.label : 'Uncategorized';
+    if (!groups.has(label)) groups.set(label, { order: category ? registry.categories.indexOf(category) : Infinity, items: [] });
+    groups.get(label).items.push(item);
+  });
+  const itemCols = (desc, qty, unit, total) => [
+    { text: desc, x: left + 10, width: width * 0.55 - 10 },
+    { text: qty, x: left + width * 0.55, width: width * 0.12, align: 'right' },
+    { text: unit, x: left + width * 0.67, width: width * 0.15, align: 'right' },
+    { text: total, x: left + width * 0.82, width: width * 0.18, align: 'right' }
+  ];
+  [...groups.entries()]
+    .sort((x, y) => x[1].order - y[1].order)
+    .forEach(([label, group]) => {
+      const subtotal = group.items.reduce((sum, item) => sum + (Number(item.total) || 0), 0);
+      ensureSpace(doc, 36);
+      tableRow(doc, [
+        { text: label, x: left, width: width * 0.7 },
+        { text: money(subtotal), x: left + width * 0.7, width: width * 0.3, align: 'right' }
+      ], { bold: true });
+      group.items.forEach((item) => {
+        const qty = item.quantity !== null && item.quantity !== undefined ? String(item.quantity) : '';
+        const unit = item.unitPrice !== null && item.unitPrice !== undefined ? `@ ${money(item.unitPrice)}` : '';
+        tableRow(doc, itemCols(item.description || 'Unknown Item', qty, unit, money(item.total)));
+        if (item.notes) tableRow(doc, [{ text: item.notes, x: left + 20, width: width * 0.75 }], { color: MUTED, size: 8 });
+      });
+      doc.moveDown(0.3);
+    });
+
+  const warnings = (result.warnings || []).filter((w) => w.severity === 'warning');
+  if (warnings.length > 0) {
+    sectionHeading(doc, 'Check Before Relying on These Totals');
+    warnings.forEach((w) => tableRow(doc, [{ text: `• ${w.message}`, x: left, width }], { size: 9 }));
+  }
+
+  doc.moveDown(1).font('Helvetica').fontSize(8).fillColor(MUTED).text(`Generated ${new Date().toLocaleString()}`, left, doc.y, { width });
+  return toBuffer(doc);
+}
+
+function checkbox(doc, x, y) {
+  doc.rect(x, y + 1, 9, 9).stroke();
+}
+
+/**
+ * @param {object} prepSheet - buildPrepSheet() output
+ * @param {object} eventDetails - breakdown.eventDetails
+ * @returns {Promise<Buffer>}
+ */
+function buildKitchenTicketPdf(prepSheet, eventDetails = {}) {
+  const name = prepSheet.eventName || eventDetails.eventName || 'Event';
+  const doc = new PDFDocument({ size: [288, 432], margin: 18, info: { Title: `${name} - Kitchen Ticket` } });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(14).text(name, { width });
+  doc.font('Helvetica').fontSize(9).text([prepSheet.date || eventDetails.date, prepSheet.time || eventDetails.time].filter(Boolean).join('  ·  '), { width });
+  const guests = prepSheet.guests || eventDetails.guests;
+  doc.moveDown(0.3).font('Helvetica-Bold').fontSize(20).text(guests ? `${guests} GUESTS` : 'GUESTS: ?', { width });
+  doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).stroke();
+  doc.moveDown(0.6);
+
+  const line = (text, sub) => {
+    ensureSpace(doc, 24);
+    const y = doc.y;
+    checkbox(doc, left, y);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('black').text(text, left + 15, y, { width: width - 15 });
+    if (sub) doc.font('Helvetica').fontSize(8).fillColor(MUTED).text(sub, left + 15, doc.y, { width: width - 15 });
+    doc.fillColor('black');
+    doc.x = left;
+    doc.moveDown(0.3);
+  };
+
+  (prepSheet.items || []).forEach((it) => {
+    line(`${it.menuItem}: ${it.quantity} ${it.unit}`.trim(), it.panSize ? `Pan: ${it.panSize}` : null);
+  });
+  (prepSheet.extras || []).forEach((ex) => {
+    line(`${ex.description}${ex.quantity !== null && ex.quantity !== undefined ? ` × ${ex.quantity}` : ''}`, ex.notes);
+  });
+  if ((prepSheet.items || []).length === 0 && (prepSheet.extras || []).length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(10).text('No food items on this sheet.', { width });
+  }
+
+  (prepSheet.warnings || []).forEach((w) => {
+    doc.moveDown(0.3).font('Helvetica-Bold').fontSize(8).text(`! ${w}`, left, doc.y, { width });
+  });
+  return toBuffer(doc);
+}
+
+module.exports = {
+  buildEventSummaryPdf,
+  buildKitchenTicketPdf
+};
@@ -0,0 +1,111 @@
+/**
+ * Polls a local folder for new party sheets (PDF/PNG/JPEG) and ZIPs of them. A file is handed off once
+ * its size and modified time are unchanged between two scans, so half-copied files are left alone.
+ * After the hand-off the file is moved to `processed/` (or `failed/` when the handler rejects it), so
+ * nothing is analyzed twice and the folder doubles as a record of what was picked up.
+ *
+ * Polling rather than fs.watch: it behaves the same on network shares and synced folders.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+const WATCHED_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.zip'];
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+
+// Move into a subfolder without overwriting an earlier file of the same name
+async function moveInto(filePath, subdir) {
+  const destDir = path.join(path.dirname(filePath), subdir);
+  await fs.mkdir(destDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await fs.rename(filePath, path.join(destDir, `${stamp}-${path.basename(filePath)}`));
+}
+
+/**
+ * @param {{ dir: string, intervalMs?: number, onFiles: (files: Array<{ path: string, mtimeMs: number }>) =>
+ *   Promise<{ rejected?: Array<{ path: string, reason: string }> }|void> }} opts
+ *   onFiles gets each scan's ready files at once (one batch); rejected ones are moved to failed/
+ */
+function createFolderWatcher({ dir, intervalMs = 30000, onFiles }) {
+  const seen = new Map(); // path -> "size:mtime" from the previous scan
+  const state = { lastScanAt: null, lastError: null, filesHandled: 0 };
+  let timer = null;
+  let scanning = false;
+
+  async function scan() {
+    if (scanning) return;
+    scanning = true;
+    try {
+      const names = await fs.readdir(dir);
+      const ready = [];
+      const current = new Set();
+      for (const name of names) {
+        if (name.startsWith('.') || !WATCHED_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+        const filePath = path.join(dir, name);
+        const stat = await fs.stat(filePath).catch(() => null);
+        if (!stat || !stat.isFile()) continue;
+        const signature = `${stat.size}:${stat.mtimeMs}`;
+        current.add(filePath);
+        if (seen.get(filePath) === signature && stat.size > 0) ready.push({ path: filePath, mtimeMs: stat.mtimeMs });
+        else seen.set(filePath, signature);
+      }
+      for (const filePath of seen.keys()) {
+        if (!current.has(filePath)) seen.delete(filePath);
+      }
+
+      if (ready.length > 0) {
+        let rejected = [];
+        try {
+          const outcome = await onFiles(ready);
+          rejected = (outcome && outcome.rejected) || [];
+        } catch (error) {
+          console.error(`Watched folder: handing off ${ready.length} file(s) failed:`, error);
+          rejected = ready.map((f) => ({ path: f.path, reason: error.message }));
+        }
+        const rejectedPaths = new Set(rejected.map((r) => r.path));
+        for (const file of ready) {
+          seen.delete(file.path);
+          try {
+            await moveInto(file.path, rejectedPaths.has(file.path) ? FAILED_DIR : PROCESSED_DIR);
+          } catch (moveError) {
+            console.error(`Watched folder: could not move ${file.path}:`, moveError);
+          }
+        }
+        rejected.forEach((r) => console.error(`Watched folder: ${path.basename(r.path)} moved to ${FAILED_DIR}/: ${r.reason}`));
+        state.filesHandled += ready.length;
+      }
+      state.lastError = null;
+    } catch (error) {
+      console.error(`Watched folder scan of ${dir} failed:`, error.message);
+      state.lastError = error.message;
+    } finally {
+      state.lastScanAt = new Date().toISOString();
+      scanning = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(scan, intervalMs);
+      if (timer.unref) timer.unref();
+      scan();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    scan,
+
+    status() {
+      return { dir, intervalMs, running: !!timer, ...state };
+    }
+  };
+}
+
+module.exports = {
+  WATCHED_EXTENSIONS,
+  createFolderWatcher
+};
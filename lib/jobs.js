@@ -0,0 +1,117 @@
+/**
+ * In-process background job queue for long-running analyses (party sheet batches, vendor cost runs).
+ * Submitting returns immediately with a job id; the job runs when a worker slot frees up and its
+ * status, per-file progress, partial results and errors are read back with get(id).
+ *
+ * Jobs live in memory: they don't survive a restart, and finished jobs are dropped after `retentionMs`.
+ */
+const crypto = require('crypto');
+
+function newJobId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * @param {{ concurrency?: number, retentionMs?: number }} [opts]
+ */
+function createJobQueue(opts = {}) {
+  const concurrency = Math.max(1, Number(opts.concurrency) || 1);
+  const retentionMs = opts.retentionMs !== undefined ? opts.retentionMs : 60 * 60 * 1000;
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function snapshot(job) {
+    const files = job.files.map((f) => ({ ...f }));
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: {
+        total: files.length,
+        done: files.filter((f) => f.status === 'done').length,
+        failed: files.filter((f) => f.status === 'failed').length
+      },
+      files,
+      partialResults: job.partialResults.slice(),
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  function finish(job, patch) {
+    Object.assign(job, patch, { finishedAt: new Date().toISOString() });
+    running--;
+    if (retentionMs > 0) {
+      const timer = setTimeout(() => jobs.delete(job.id), retentionMs);
+      if (timer.unref) timer.unref();
+    }
+    drain();
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+
+      const context = {
+        updateFile(index, patch) {
+          if (job.files[index]) Object.assign(job.files[index], patch);
+        },
+        addPartialResult(result) {
+          job.partialResults.push(result);
+        }
+      };
+
+      Promise.resolve()
+        .then(() => job.run(context))
+        .then(
+          (result) => finish(job, { status: 'completed', result }),
+          (error) => {
+            console.error(`Job ${job.id} (${job.type}) failed:`, error);
+            finish(job, { status: 'failed', error: error.message });
+          }
+        );
+    }
+  }
+
+  return {
+    /**
+     * @param {string} type
+     * @param {{ files?: Array<{ filename: string }>, run: (ctx: { updateFile: Function, addPartialResult: Function }) => Promise<any> }} spec
+     */
+    submit(type, { files = [], run }) {
+      const job = {
+        id: newJobId(),
+        type,
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        files: files.map((f, index) => ({ index, ...f, status: 'queued' })),
+        partialResults: [],
+        result: null,
+        error: null,
+        run
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      drain();
+      return snapshot(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,148 @@
+/**
+ * Tiny JSON-file collection store for local use (conversion table, event history, …).
+ * Each collection is one JSON array on disk; documents get a hex `id` plus createdAt/updatedAt.
+ * Writes are serialized and go through a temp file + rename so a crash never leaves half a file.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function clone(doc) {
+  return doc === undefined ? undefined : JSON.parse(JSON.stringify(doc));
+}
+
+/**
+ * @param {string} filePath
+ * @param {{ seed?: () => object[] }} [opts] - seed documents written the first time the file is missing
+ */
+function createJsonStore(filePath, opts = {}) {
+  const { seed } = opts;
+  let docs = null;
+  let loading = null;
+  let queue = Promise.resolve();
+
+  async function persist() {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(docs, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  function stamp(doc, now) {
+    return { ...doc, id: doc.id || newId(), createdAt: doc.createdAt || now, updatedAt: now };
+  }
+
+  async function load() {
+    if (docs) return docs;
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+          if (!Array.isArray(parsed)) throw new Error(`${filePath} does not contain a JSON array`);
+          docs = parsed;
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          const now = new Date().toISOString();
+          docs = (seed ? seed() : []).map((d) => stamp(d, now));
+          if (seed) await persist();
+        }
+        return docs;
+      })();
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  // Run one mutation at a time against the loaded docs, then write the file.
+  function mutate(fn) {
+    const run = queue.then(async () => {
+      await load();
+      const result = await fn(docs);
+      await persist();
+      return clone(result);
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async list() {
+      return clone(await load());
+    },
+
+    async get(id) {
+      const all = await load();
+      return clone(all.find((d) => d.id === id)) || null;
+    },
+
+    insert(doc) {
+      return mutate((all) => {
+        const created = stamp(doc, new Date().toISOString());
+        all.push(created);
+        return created;
+      });
+    },
+
+    /**
+     * Insert several documents in one write. With `uniqueBy`, documents whose value for that field is
+     * already in the collection (or earlier in `newDocs`) are skipped. Resolves to the inserted documents.
+     * @param {object[]} newDocs
+     * @param {{ uniqueBy?: string }} [opts]
+     */
+    insertMany(newDocs, opts = {}) {
+      return mutate((all) => {
+        const now = new Date().toISOString();
+        const seen = opts.uniqueBy ? new Set(all.map((d) => d[opts.uniqueBy])) : null;
+        const created = [];
+        for (const doc of newDocs) {
+          if (seen) {
+            if (seen.has(doc[opts.uniqueBy])) continue;
+            seen.add(doc[opts.uniqueBy]);
+          }
+          created.push(stamp(doc, now));
+        }
+        all.push(...created);
+        return created;
+      });
+    },
+
+    update(id, patch) {
+      return mutate((all) => {
+        const idx = all.findIndex((d) => d.id === id);
+        if (idx < 0) return null;
+        all[idx] = { ...all[idx], ...patch, id, createdAt: all[idx].createdAt, updatedAt: new Date().toISOString() };
+        return all[idx];
+      });
+    },
+
+    replaceAll(nextDocs) {
+      return mutate((all) => {
+        const now = new Date().toISOString();
+        const byId = new Map(all.map((d) => [d.id, d]));
+        const replaced = nextDocs.map((d) => {
+          const prev = d.id ? byId.get(d.id) : null;
+          return stamp({ ...d, id: prev ? prev.id : undefined, createdAt: prev ? prev.createdAt : undefined }, now);
+        });
+        all.splice(0, all.length, ...replaced);
+        return replaced;
+      });
+    },
+
+    remove(id) {
+      return mutate((all) => {
+        const idx = all.findIndex((d) => d.id === id);
+        if (idx < 0) return false;
+        all.splice(idx, 1);
+        return true;
+      });
+    }
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,142 @@
+/**
+ * Extraction providers for the JSON-returning chat calls (party sheet analysis, Excel column detection).
+ * Selected with LLM_PROVIDER:
+ *   openai            - OpenAI API (OPENAI_API_KEY; model LLM_MODEL, default gpt-4o)
+ *   openai-compatible - any server speaking the OpenAI chat API, e.g. a local model (LLM_BASE_URL, LLM_MODEL, LLM_API_KEY optional)
+ *   mock              - canned JSON from LLM_FIXTURES_DIR/<task>/<key>.json (no network)
+ *
+ * Every provider exposes the same shape: { name, model, isConfigured(), describe(), completeJson(request) }
+ * where completeJson resolves to the raw message content string.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const OpenAI = require('openai');
+const { retryWithBackoff } = require('./concurrency');
+
+const PROVIDER_NAMES = ['openai', 'openai-compatible', 'mock'];
+const DEFAULT_OPENAI_MODEL = 'gpt-4o';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+// Rate limits (429) and transient server errors are retried; anything else (bad key, bad request) is not.
+function isRetryableLlmError(error) {
+  const status = error && error.status;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return !!(error && (error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError'));
+}
+
+// Honor Retry-After / retry-after-ms when the server sends one
+function retryAfterMs(error) {
+  const headers = error && error.headers;
+  const read = (key) => (headers && typeof headers.get === 'function' ? headers.get(key) : headers && headers[key]);
+  const ms = parseFloat(read('retry-after-ms'));
+  if (!isNaN(ms)) return ms;
+  const seconds = parseFloat(read('retry-after'));
+  return isNaN(seconds) ? null : seconds * 1000;
+}
+
+// OpenAI and OpenAI-compatible servers share one client; the SDK is only constructed on first use
+// so the app still loads without credentials.
+function createChatProvider({ name, model, apiKey, baseURL, jsonMode, configured, maxRetries }) {
+  let client = null;
+
+  return {
+    name,
+    model,
+    isConfigured: () => configured,
+    describe: () => ({ provider: name, model, configured, ...(baseURL ? { baseURL } : {}) }),
+
+    async completeJson({ messages, maxTokens }) {
+      if (!configured) throw new Error(`LLM provider "${name}" is not configured`);
+      // Retries are handled here (with backoff) rather than by the SDK
+      if (!client) client = new OpenAI({ apiKey, maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
+      const response = await retryWithBackoff(
+        () => client.chat.completions.create({
+          model,
+          messages,
+          ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+          max_tokens: maxTokens
+        }),
+        {
+          retries: maxRetries,
+          baseDelayMs: 2000,
+          maxDelayMs: 60000,
+          shouldRetry: isRetryableLlmError,
+          delayFor: retryAfterMs,
+          onRetry: (error, attempt, delayMs) => {
+            console.warn(`${name} call failed (${error.status || error.message}); retry ${attempt}/${maxRetries} in ${Math.round(delayMs)}ms`);
+          }
+        }
+      );
+      return response.choices[0].message.content;
+    }
+  };
+}
+
+// Fixture lookup: <dir>/<task>/<fixtureKey>.json (fixtureKey may be a list, most specific first), then <dir>/<task>/default.json
+function createMockProvider({ fixturesDir }) {
+  async function readFixture(task, keys) {
+    const candidates = [...[].concat(keys), 'default'].filter(Boolean).map((k) => path.join(fixturesDir, task, `${k}.json`));
+    for (const file of candidates) {
+      try {
+        return await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    throw new Error(`No mock fixture for ${task} (looked for ${candidates.map((f) => path.relative(process.cwd(), f)).join(', ')})`);
+  }
+
+  return {
+    name: 'mock',
+    model: 'fixtures',
+    isConfigured: () => true,
+    describe: () => ({ provider: 'mock', model: 'fixtures', configured: true, fixturesDir }),
+
+    async completeJson({ task, fixtureKey }) {
+      if (!task) throw new Error('Mock LLM provider needs a task name to find fixtures');
+      return readFixture(task, fixtureKey);
+    }
+  };
+}
+
+/**
+ * @param {object} [env] - defaults to process.env
+ */
+function createLlmProvider(env = process.env) {
+  const name = String(env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const jsonMode = String(env.LLM_JSON_MODE || 'true').toLowerCase() !== 'false';
+  const parsedRetries = parseInt(env.LLM_MAX_RETRIES, 10);
+  const maxRetries = Number.isFinite(parsedRetries) && parsedRetries >= 0 ? parsedRetries : 4;
+
+  if (name === 'openai') {
+    return createChatProvider({
+      name,
+      model: env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+      apiKey: env.OPENAI_API_KEY,
+      jsonMode,
+      maxRetries,
+      configured: !!env.OPENAI_API_KEY
+    });
+  }
+  if (name === 'openai-compatible') {
+    return createChatProvider({
+      name,
+      model: env.LLM_MODEL || null,
+      // Most local servers ignore the key, but the SDK requires one
+      apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || 'not-needed',
+      baseURL: env.LLM_BASE_URL || null,
+      jsonMode,
+      maxRetries,
+      configured: !!(env.LLM_BASE_URL && env.LLM_MODEL)
+    });
+  }
+  if (name === 'mock') {
+    return createMockProvider({ fixturesDir: path.resolve(env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) });
+  }
+  throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createLlmProvider
+};
@@ -0,0 +1,153 @@
+/**
+ * Delivery for price alerts. Selected with PRICE_ALERT_NOTIFIERS (comma-separated; empty = alerts are only
+ * shown in the app):
+ *   log     - one JSON line per alert appended to PRICE_ALERT_LOG_FILE (default <data dir>/price-alerts.log)
+ *   webhook - POST { alerts } as JSON to PRICE_ALERT_WEBHOOK_URL
+ *   email   - one message per batch over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *             from PRICE_ALERT_EMAIL_FROM to PRICE_ALERT_EMAIL_TO (comma-separated)
+ *
+ * Every notifier exposes the same shape: { name, isConfigured(), describe(), send(alerts) }.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+const NOTIFIER_NAMES = ['log', 'webhook', 'email'];
+
+function formatMoney(n) {
+  return `$${Number(n || 0).toFixed(2)}`;
+}
+
+function describeAlert(alert) {
+  const impact = alert.dollarImpact !== null ? `, ${formatMoney(alert.dollarImpact)} per order at ${alert.usageQuantity} used` : '';
+  return `${alert.productName}: ${formatMoney(alert.mostRecentPrice)} on ${alert.latestDate}`
+    + `${alert.vendor ? ` (${alert.vendor})` : ''} vs. ${formatMoney(alert.averagePrice)} average`
+    + ` (+${alert.percentIncrease}%${impact})`;
+}
+
+function createLogNotifier({ file }) {
+  return {
+    name: 'log',
+    isConfigured: () => true,
+    describe: () => ({ notifier: 'log', file, configured: true }),
+    async send(alerts) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const sentAt = new Date().toISOString();
+      await fs.appendFile(file, alerts.map((a) => JSON.stringify({ sentAt, ...a })).join('\n') + '\n');
+    }
+  };
+}
+
+// Why a webhook URL can't be used, or null when it can
+function webhookUrlProblem(url) {
+  if (!url) return 'PRICE_ALERT_WEBHOOK_URL is not set';
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'PRICE_ALERT_WEBHOOK_URL is not a valid URL';
+  }
+  return ['http:', 'https:'].includes(parsed.protocol) ? null : 'PRICE_ALERT_WEBHOOK_URL must be an http(s) URL';
+}
+
+// url is null when it's missing or invalid; `reason` says which
+function createWebhookNotifier({ url, reason }) {
+  const configured = !!url;
+  return {
+    name: 'webhook',
+    isConfigured: () => configured,
+    // The URL often carries a token, so only the host is shown
+    describe: () => ({ notifier: 'webhook', configured, ...(configured ? { host: new URL(url).host } : { reason }) }),
+    async send(alerts) {
+      if (!configured) throw new Error(`Webhook notifier is not configured: ${reason}`);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'price-alerts', sentAt: new Date().toISOString(), alerts }),
+        signal: AbortSignal.timeout(15000)
+      });
+      if (!response.ok) throw new Error(`Webhook returned HTTP ${response.status}`);
+    }
+  };
+}
+
+// nodemailer is only loaded when email is selected
+function createEmailNotifier({ host, port, secure, user, pass, from, to }) {
+  const configured = !!(host && from && to.length > 0);
+  let transport = null;
+  return {
+    name: 'email',
+    isConfigured: () => configured,
+    describe: () => ({ notifier: 'email', configured, host: host || null, to }),
+    async send(alerts) {
+      if (!configured) throw new Error('Email notifier is not configured (SMTP_HOST, PRICE_ALERT_EMAIL_FROM, PRICE_ALERT_EMAIL_TO)');
+      if (!transport) {
+        const nodemailer = require('nodemailer');
+        transport = nodemailer.createTransport({ host, port, secure, ...(user ? { auth: { user, pass } } : {}) });
+      }
+      await transport.sendMail({
+        from,
+        to: to.join(', '),
+        subject: `Price alert: ${alerts.length === 1 ? alerts[0].productName : `${alerts.length} products`} went up`,
+        text: ['Vendor prices above your alert thresholds:', '', ...alerts.map((a) => `- ${describeAlert(a)}`)].join('\n')
+      });
+    }
+  };
+}
+
+/**
+ * @param {object} [env] - defaults to process.env
+ * @param {{ dataDir?: string }} [opts] - where the log notifier writes by default
+ * @returns {object[]} the selected notifiers (possibly none)
+ */
+function createNotifiers(env = process.env, opts = {}) {
+  const names = String(env.PRICE_ALERT_NOTIFIERS || '')
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(names)].map((name) => {
+    if (name === 'log') {
+      return createLogNotifier({ file: path.resolve(env.PRICE_ALERT_LOG_FILE || path.join(opts.dataDir || './data', 'price-alerts.log')) });
+    }
+    if (name === 'webhook') {
+      const url = env.PRICE_ALERT_WEBHOOK_URL || null;
+      const problem = webhookUrlProblem(url);
+      return createWebhookNotifier(problem ? { url: null, reason: problem } : { url });
+    }
+    if (name === 'email') {
+      const port = parseInt(env.SMTP_PORT, 10) || 587;
+      return createEmailNotifier({
+        host: env.SMTP_HOST || null,
+        port,
+        secure: env.SMTP_SECURE ? String(env.SMTP_SECURE).toLowerCase() === 'true' : port === 465,
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null,
+        from: env.PRICE_ALERT_EMAIL_FROM || null,
+        to: String(env.PRICE_ALERT_EMAIL_TO || '').split(',').map((s) => s.trim()).filter(Boolean)
+      });
+    }
+    throw new Error(`Unknown notifier "${name}" in PRICE_ALERT_NOTIFIERS (expected: ${NOTIFIER_NAMES.join(', ')})`);
+  });
+}
+
+/**
+ * Send to every notifier; one failing doesn't stop the others.
+ * @returns {Promise<Array<{ notifier: string, ok: boolean, error?: string }>>}
+ */
+async function sendToNotifiers(notifiers, alerts) {
+  return Promise.all(notifiers.map(async (notifier) => {
+    try {
+      await notifier.send(alerts);
+      return { notifier: notifier.name, ok: true };
+    } catch (error) {
+      console.error(`Price alert notifier "${notifier.name}" failed:`, error.message);
+      return { notifier: notifier.name, ok: false, error: error.message };
+    }
+  }));
+}
+
+module.exports = {
+  NOTIFIER_NAMES,
+  createNotifiers,
+  sendToNotifiers
+};
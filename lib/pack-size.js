@@ -0,0 +1,199 @@
+/**
+ * Pack size / unit of measure from vendor text ("6/5 LB", "4/1 GAL", "CS 200CT", "12/16 OZ", "1/10#", "4PK"),
+ * so a case, a pound, an each and a 4-pack can be compared by price per base unit.
+ *
+ * Parsed pack: { packCount, size, unit, baseUnit, baseQuantity, label }
+ *   packCount    - items in the pack (6 in "6/5 LB"; 1 when the text only gives a size)
+ *   size, unit   - size of each item in its own unit (5, 'lb')
+ *   baseUnit     - 'lb' (weight), 'gal' (volume) or 'each' (counts)
+ *   baseQuantity - the whole pack in base units (6 × 5 lb = 30)
+ *   label        - normalized text, e.g. "6/5 LB"
+ * Bare OZ is read as weight; fluid ounces need FL OZ.
+ */
+
+const UNITS = {
+  lb: { baseUnit: 'lb', factor: 1 },
+  oz: { baseUnit: 'lb', factor: 1 / 16 },
+  kg: { baseUnit: 'lb', factor: 2.20462 },
+  g: { baseUnit: 'lb', factor: 0.00220462 },
+  gal: { baseUnit: 'gal', factor: 1 },
+  qt: { baseUnit: 'gal', factor: 1 / 4 },
+  pt: { baseUnit: 'gal', factor: 1 / 8 },
+  'fl oz': { baseUnit: 'gal', factor: 1 / 128 },
+  l: { baseUnit: 'gal', factor: 0.264172 },
+  ml: { baseUnit: 'gal', factor: 0.000264172 },
+  each: { baseUnit: 'each', factor: 1 },
+  dz: { baseUnit: 'each', factor: 12 }
+};
+
+// Longest spellings first so "LBS" isn't read as "LB" + "S"; a unit must not run into another letter ("5 LARGE")
+const UNIT_ALIASES = [
+  ['FL\\.?\\s*OZ', 'fl oz'],
+  ['POUNDS?', 'lb'], ['LBS?', 'lb'], ['#', 'lb'],
+  ['OUNCES?', 'oz'], ['OZ', 'oz'],
+  ['KGS?', 'kg'], ['KILOS?', 'kg'], ['GRAMS?', 'g'], ['GR?', 'g'],
+  ['GALLONS?', 'gal'], ['GALS?', 'gal'], ['GA', 'gal'],
+  ['QUARTS?', 'qt'], ['QTS?', 'qt'], ['PINTS?', 'pt'], ['PTS?', 'pt'],
+  ['LITERS?', 'l'], ['LITRES?', 'l'], ['LTR?', 'l'], ['ML', 'ml'], ['L', 'l'],
+  ['COUNT', 'each'], ['CT', 'each'], ['EACH', 'each'], ['EA', 'each'], ['PCS?', 'each'],
+  ['DOZEN', 'dz'], ['DOZ', 'dz'], ['DZ', 'dz']
+];
+const UNIT_PATTERN = `(${UNIT_ALIASES.map(([alias]) => alias).join('|')})(?![A-Z])`;
+const NUMBER = '(\\d*\\.?\\d+)';
+
+// "6/5 LB", "6 X 5LB", "2/12CT"
+const PACK_OF_SIZE_RE = new RegExp(`(?:^|[^\\d.])(\\d+)\\s*[/X×]\\s*${NUMBER}\\s*${UNIT_PATTERN}`);
+// "6/#10" cans: six of them, no usable size
+const PACK_OF_CANS_RE = /(?:^|[^\d.])(\d+)\s*\/\s*#\s*10\b/;
+// "4PK", "4-PACK", "CS 200CT", "12 CT", "2 DZ"
+const COUNT_RE = new RegExp(`(?:^|[^\\d.])${NUMBER}\\s*-?\\s*(PK|PACK|COUNT|CT|EACH|EA|PCS?|DOZEN|DOZ|DZ)(?![A-Z])`);
+// "5 LB", "1 GAL", "10#"
+const SIZE_RE = new RegExp(`(?:^|[^\\d./])${NUMBER}\\s*${UNIT_PATTERN}`);
+
+function unitFor(token) {
+  const text = token.toUpperCase();
+  const alias = UNIT_ALIASES.find(([pattern]) => new RegExp(`^(?:${pattern})$`).test(text));
+  return alias ? alias[1] : null;
+}
+
+function round4(n) {
+  return parseFloat(n.toFixed(4));
+}
+
+function formatNumber(n) {
+  return String(parseFloat(n.toFixed(3)));
+}
+
+function buildPack(packCount, size, unit, label) {
+  const { baseUnit, factor } = UNITS[unit];
+  if (!(packCount > 0) || !(size > 0)) return null;
+  const unitLabel = unit === 'each' ? 'CT' : unit.toUpperCase();
+  return {
+    packCount,
+    size,
+    unit,
+    baseUnit,
+    baseQuantity: round4(packCount * size * factor),
+    label: label || (packCount > 1 ? `${packCount}/${formatNumber(size)} ${unitLabel}` : `${formatNumber(size)} ${unitLabel}`)
+  };
+}
+
+function parseOne(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).toUpperCase().replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  let m = text.match(PACK_OF_SIZE_RE);
+  if (m) return buildPack(parseInt(m[1], 10), parseFloat(m[2]), unitFor(m[3]));
+
+  m = text.match(PACK_OF_CANS_RE);
+  if (m) return buildPack(parseInt(m[1], 10), 1, 'each', `${m[1]}/#10`);
+
+  m = text.match(COUNT_RE);
+  if (m) {
+    const unit = /^(DOZEN|DOZ|DZ)$/.test(m[2]) ? 'dz' : 'each';
+    const n = parseFloat(m[1]);
+    // "4PK" is four items; "CS 200CT" is one case of 200
+    return /^PA?C?K$/.test(m[2]) ? buildPack(n, 1, 'each', `${formatNumber(n)} PK`) : buildPack(1, n, unit);
+  }
+
+  m = text.match(SIZE_RE);
+  if (m) return buildPack(1, parseFloat(m[1]), unitFor(m[2]));
+
+  return null;
+}
+
+/**
+ * First parseable pack size among the given texts (a pack/size column first, then the description).
+ * @param {...*} texts
+ * @returns {object|null}
+ */
+function parsePackSize(...texts) {
+  for (const text of texts) {
+    const pack = parseOne(text);
+    if (pack) return pack;
+  }
+  return null;
+}
+
+/**
+ * Price per base unit (per lb, gal or each), or null when the pack is unknown.
+ * @param {number} price - price of the whole pack
+ * @param {object|null} pack
+ */
+function pricePerBaseUnit(price, pack) {
+  if (!pack || !(pack.baseQuantity > 0) || !Number.isFinite(price)) return null;
+  return round4(price / pack.baseQuantity);
+}
+
+// Pack/size/UOM column header in a vendor file ("Pack", "Pack Size", "Pk/Sz", "UOM", …)
+const PACK_COLUMN_RE = /^\s*(pack(\s*\/?\s*size)?|pk\s*\/?\s*sz|size|uom|unit\s*of\s*measure|pack\s*size\s*uom)\s*$/i;
+
+function findPackColumn(headers) {
+  return (headers || []).find((h) => PACK_COLUMN_RE.test(String(h || ''))) || null;
+}
+
+function comparableByBaseUnit(offers) {
+  return offers.length > 0 && offers.every((o) => o.pack && o.pack.baseUnit === offers[0].pack.baseUnit);
+}
+
+/**
+ * Several rows at one vendor for the same product (e.g. a single and a case): keep the case. With both packs
+ * known in the same base unit that's the bigger pack; otherwise the higher price, as before pack sizes were read.
+ * @param {{ unitPrice: number, pack: object|null }|undefined} current
+ * @param {{ unitPrice: number, pack: object|null }} candidate
+ */
+function preferCaseOffer(current, candidate) {
+  if (!current) return candidate;
+  if (comparableByBaseUnit([current, candidate]) && candidate.pack.baseQuantity !== current.pack.baseQuantity) {
+    return candidate.pack.baseQuantity > current.pack.baseQuantity ? candidate : current;
+  }
+  return candidate.unitPrice > current.unitPrice ? candidate : current;
+}
+
+/**
+ * Cheapest offer across vendors: by price per base unit when every offer's pack is known in the same base
+ * unit, else by raw unit price.
+ * @param {Array<{ unitPrice: number, pack: object|null }>} offers
+ * @returns {{ best: object|null, comparedBy: 'base-unit'|'unit-price' }}
+ */
+function pickCheapestOffer(offers) {
+  const byBaseUnit = comparableByBaseUnit(offers);
+  const cost = (o) => (byBaseUnit ? pricePerBaseUnit(o.unitPrice, o.pack) : o.unitPrice);
+  const best = offers.reduce((a, b) => (a === null || cost(b) < cost(a) ? b : a), null);
+  return { best, comparedBy: byBaseUnit ? 'base-unit' : 'unit-price' };
+}
+
+/**
+ * Vendor and number of its packs for an order of `quantity` packs. When `countedIn` (the pack the quantity is
+ * counted in) is known in the same base unit as every offer, each vendor is priced for enough of its own packs to
+ * cover quantity × countedIn, rounded up to whole packs. Otherwise the quantity can only be ordered as that many
+ * packs from whichever vendor wins, so vendors compare per base unit only when their packs are the same size, and
+ * by quoted price when they aren't: a cheaper pound in a bigger case still costs more per case ordered.
+ * @param {Array<{ unitPrice: number, pack: object|null }>} offers
+ * @param {number} quantity
+ * @param {object|null} [countedIn]
+ * @returns {{ best: object|null, comparedBy: 'base-unit'|'unit-price', orderQuantity: number }}
+ */
+function planOrderLine(offers, quantity, countedIn = null) {
+  if (offers.length > 0 && countedIn && comparableByBaseUnit([{ pack: countedIn }, ...offers])) {
+    const needed = quantity * countedIn.baseQuantity;
+    const packsOf = (o) => Math.ceil(round4(needed / o.pack.baseQuantity));
+    const cost = (o) => packsOf(o) * o.unitPrice;
+    const best = offers.reduce((a, b) => (a === null || cost(b) < cost(a) ? b : a), null);
+    return { best, comparedBy: 'base-unit', orderQuantity: packsOf(best) };
+  }
+  const sameSize = comparableByBaseUnit(offers) && offers.every((o) => o.pack.baseQuantity === offers[0].pack.baseQuantity);
+  if (sameSize) return { ...pickCheapestOffer(offers), orderQuantity: quantity };
+  const best = offers.reduce((a, b) => (a === null || b.unitPrice < a.unitPrice ? b : a), null);
+  return { best, comparedBy: 'unit-price', orderQuantity: quantity };
+}
+
+module.exports = {
+  parsePackSize,
+  pricePerBaseUnit,
+  findPackColumn,
+  preferCaseOffer,
+  pickCheapestOffer,
+  planOrderLine
+};
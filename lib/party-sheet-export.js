@@ -0,0 +1,271 @@
+/**
+ * Excel export of analyzed party sheets for accounting: a Summary sheet plus one sheet per event.
+ * Category totals, pre-tax/grand totals and balances are written as formulas over the line items
+ * (with the computed values cached as results), so the workbook can be audited and re-checked in Excel.
+ * The Summary sheet references each event sheet's totals rather than copying numbers.
+ */
+const ExcelJS = require('exceljs');
+
+const CURRENCY = '"$"#,##0.00';
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE9ECEF' } };
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Excel sheet names: max 31 chars, none of []:*?/\ and unique (case-insensitive)
+function uniqueSheetName(base, used) {
+  const clean = String(base || 'Event').replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim() || 'Event';
+  let name = clean.slice(0, 31);
+  for (let n = 2; used.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = `${clean.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function sheetRef(sheetName, address) {
+  return `'${sheetName.replace(/'/g, "''")}'!${address}`;
+}
+
+function styleHeaderRow(row) {
+  row.font = { bold: true };
+  row.eachCell((cell) => {
+    cell.fill = HEADER_FILL;
+  });
+}
+
+function sectionTitle(sheet, rowNumber, text) {
+  const cell = sheet.getCell(rowNumber, 1);
+  cell.value = text;
+  cell.font = { bold: true, size: 12 };
+}
+
+function formula(formulaText, result) {
+  return { formula: formulaText, result: Math.round(num(result) * 100) / 100 };
+}
+
+/**
+ * One event sheet. Returns the cell addresses of its totals (by breakdown key) for the Summary sheet.
+ */
+function addEventSheet(workbook, sheetName, result, registry, warnings) {
+  const sheet = workbook.addWorksheet(sheetName);
+  const b = result.breakdown;
+  const details = b.eventDetails || {};
+  sheet.columns = [{ width: 38 }, { width: 22 }, { width: 10 }, { width: 14 }, { width: 14 }, { width: 16 }, { width: 40 }];
+
+  sheet.getCell('A1').value = details.eventName || result.filename || sheetName;
+  sheet.getCell('A1').font = { bold: true, size: 14 };
+  const detailRows = [
+    ['Date', details.date],
+    ['Time', details.time],
+    ['Guests', details.guests],
+    ['Contact', details.contact],
+    ['Source file', result.filename],
+    ['Read by', result.extractionMethod === 'template' ? 'Template parser' : result.extractionMethod === 'llm' ? 'AI model' : null]
+  ];
+  let r = 3;
+  detailRows.forEach(([label, value]) => {
+    sheet.getCell(r, 1).value = label;
+    sheet.getCell(r, 1).font = { bold: true };
+    sheet.getCell(r, 2).value = value === undefined ? null : value;
+    r++;
+  });
+
+  // Line items, ordered by category as in the registry
+  r++;
+  sectionTitle(sheet, r++, 'Line Items');
+  const header = sheet.getRow(r++);
+  header.values = ['Description', 'Category', 'Qty', 'Unit Price', 'Total', 'Qty × Price', 'Notes'];
+  styleHeaderRow(header);
+  const order = new Map(registry.categories.map((c, i) => [c.id, i]));
+  const items = (b.lineItems || [])
+    .filter(Boolean)
+    .map((item) => ({ item, category: registry.find(item.category) }))
+    .sort((x, y) => (x.category ? order.get(x.category.id) : Infinity) - (y.category ? order.get(y.category.id) : Infinity));
+  const firstItemRow = r;
+  items.forEach(({ item, category }) => {
+    const row = sheet.getRow(r);
+    row.getCell(1).value = item.description || '';
+    row.getCell(2).value = category ? category.id : String(item.category || '');
+    row.getCell(3).value = item.quantity === null || item.quantity === undefined ? null : num(item.quantity);
+    row.getCell(4).value = item.unitPrice === null || item.unitPrice === undefined ? null : num(item.unitPrice);
+    row.getCell(5).value = num(item.total);
+    row.getCell(6).value = formula(`IF(AND(ISNUMBER(C${r}),ISNUMBER(D${r})),C${r}*D${r},"")`, num(item.quantity) * num(item.unitPrice));
+    row.getCell(7).value = item.notes || null;
+    r++;
+  });
+  const lastItemRow = Math.max(firstItemRow, r - 1);
+  sheet.getColumn(4).numFmt = CURRENCY;
+  sheet.getColumn(5).numFmt = CURRENCY;
+  sheet.getColumn(6).numFmt = CURRENCY;
+  const sumIf = (id) => `SUMIF($B$${firstItemRow}:$B$${lastItemRow},"${id}",$E$${firstItemRow}:$E$${lastItemRow})`;
+
+  // Totals per category, as formulas over the line items
+  r++;
+  sectionTitle(sheet, r++, 'Totals');
+  const cells = {};
+  const preloaded = b.preloadedDrinks && num(b.preloadedDrinks.total) ? num(b.preloadedDrinks.total) : 0;
+  sheet.getCell(r, 1).value = 'Preloaded drinks moved from Food to Drinks';
+  sheet.getCell(r, 2).value = preloaded;
+  sheet.getCell(r, 2).numFmt = CURRENCY;
+  const splitCell = `B${r}`;
+  r++;
+
+  const totalRow = (label, key, value, bold) => {
+    sheet.getCell(r, 1).value = label;
+    sheet.getCell(r, 2).value = value;
+    sheet.getCell(r, 2).numFmt = CURRENCY;
+    if (bold) sheet.getRow(r).font = { bold: true };
+    cells[key] = `B${r}`;
+    r++;
+  };
+  registry.revenue.forEach((c) => {
+    let f = sumIf(c.id);
+    if (c.key === 'food') f = `MAX(0,${f}-${splitCell})`;
+    if (c.key === 'drinks') f = `${f}+${splitCell}`;
+    totalRow(c.label, c.key, formula(f, b[c.key]));
+  });
+  registry.groups.forEach((g) => {
+    const children = registry.revenue.filter((c) => c.group === g.id).map((c) => cells[c.key]);
+    if (children.length > 0) totalRow(`${g.label} (total)`, g.key, formula(children.join('+'), b[g.key]));
+  });
+  const revenueCells = registry.revenue.map((c) => cells[c.key]);
+  totalRow('Pre-tax Total', 'preTaxTotal', formula(revenueCells.length ? `SUM(${revenueCells.join(',')})` : '0', b.preTaxTotal), true);
+  registry.charges.forEach((c) => totalRow(c.label, c.key, formula(sumIf(c.id), b[c.key])));
+  const chargeCells = registry.charges.map((c) => cells[c.key]);
+  totalRow('Grand Total', 'grandTotal', formula([cells.preTaxTotal, ...chargeCells].join('+'), b.grandTotal), true);
+
+  const taxByCategory = b.taxByCategory || {};
+  const taxKeys = Object.keys(taxByCategory);
+  if (taxKeys.length > 0) {
+    r++;
+    sectionTitle(sheet, r++, 'Tax by Category (allocated)');
+    taxKeys.forEach((key) => {
+      const category = registry.categories.find((c) => c.key === key) || registry.groups.find((g) => g.key === key);
+      sheet.getCell(r, 1).value = category ? category.label : key;
+      sheet.getCell(r, 2).value = num(taxByCategory[key]);
+      sheet.getCell(r, 2).numFmt = CURRENCY;
+      r++;
+    });
+  }
+
+  // Payments and balance
+  r++;
+  sectionTitle(sheet, r++, 'Payments');
+  const payHeader = sheet.getRow(r++);
+  payHeader.values = ['Type', 'Date', 'Method', 'Amount'];
+  styleHeaderRow(payHeader);
+  const payments = Array.isArray(b.payments) ? b.payments : [];
+  const firstPaymentRow = r;
+  payments.forEach((p) => {
+    sheet.getRow(r).values = [p.type === 'DEPOSIT' ? 'Deposit' : 'Payment', p.date || null, p.method || null, num(p.amount)];
+    sheet.getCell(r, 4).numFmt = CURRENCY;
+    r++;
+  });
+  const paidSum = payments.length > 0 ? `SUM(D${firstPaymentRow}:D${r - 1})` : '0';
+  totalRow('Amount Paid', 'amountPaid', formula(paidSum, b.amountPaid), true);
+  totalRow('Balance Due', 'balanceDue', formula(`${cells.grandTotal}-${cells.amountPaid}`, num(b.grandTotal) - num(b.amountPaid)), true);
+
+  // What the contract itself prints, to compare against the formulas above
+  const stated = b.statedTotals || {};
+  const printed = [['Printed subtotal', stated.subtotal], ['Printed total', stated.total], ['Printed balance due', stated.balanceDue]]
+    .filter(([, value]) => value !== null && value !== undefined);
+  if (printed.length > 0) {
+    r++;
+    sectionTitle(sheet, r++, 'As Printed on the Contract');
+    printed.forEach(([label, value]) => {
+      sheet.getCell(r, 1).value = label;
+      sheet.getCell(r, 2).value = num(value);
+      sheet.getCell(r, 2).numFmt = CURRENCY;
+      r++;
+    });
+  }
+
+  if (warnings && warnings.length > 0) {
+    r++;
+    sectionTitle(sheet, r++, 'Validation Warnings');
+    warnings.forEach((w) => {
+      sheet.getCell(r, 1).value = `${w.severity === 'info' ? 'Note' : 'Warning'}: ${w.message}`;
+      r++;
+    });
+  }
+
+  return cells;
+}
+
+/**
+ * @param {object[]} results - /api/upload results ({ filename, breakdown, extractionMethod?, excludedFromTotals? })
+ * @param {{ registry: object, warningsFor?: (breakdown: object) => object[] }} opts - category registry
+ *   (lib/categories.js); warningsFor lists validation warnings on each event sheet
+ * @returns {ExcelJS.Workbook}
+ */
+function buildPartySheetWorkbook(results, opts) {
+  const { registry, warningsFor = () => [] } = opts;
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Food Portal';
+  workbook.created = new Date();
+  // Cached results are for previews; Excel recalculates everything when the file is opened
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  const summary = workbook.addWorksheet('Summary');
+  const usedNames = new Set(['summary']);
+  const amountColumns = [
+    ...registry.reportCategories().map((c) => ({ key: c.key, label: c.label })),
+    { key: 'preTaxTotal', label: 'Pre-tax Total' },
+    ...registry.charges.map((c) => ({ key: c.key, label: c.label })),
+    { key: 'grandTotal', label: 'Grand Total' },
+    { key: 'amountPaid', label: 'Amount Paid' },
+    { key: 'balanceDue', label: 'Balance Due' }
+  ];
+  const fixedColumns = ['Event', 'Date', 'Guests', 'Source File', 'In Combined Totals'];
+  summary.columns = [
+    { width: 32 }, { width: 20 }, { width: 8 }, { width: 28 }, { width: 12 },
+    ...amountColumns.map(() => ({ width: 15, style: { numFmt: CURRENCY } }))
+  ];
+  const header = summary.getRow(1);
+  header.values = [...fixedColumns, ...amountColumns.map((c) => c.label)];
+  styleHeaderRow(header);
+  summary.views = [{ state: 'frozen', ySplit: 1 }];
+
+  let row = 2;
+  results.forEach((result) => {
+    const details = result.breakdown.eventDetails || {};
+    const sheetName = uniqueSheetName(details.eventName || result.filename, usedNames);
+    const cells = addEventSheet(workbook, sheetName, result, registry, warningsFor(result.breakdown));
+    const summaryRow = summary.getRow(row);
+    summaryRow.getCell(1).value = { text: details.eventName || result.filename || sheetName, hyperlink: `#${sheetRef(sheetName, 'A1')}` };
+    summaryRow.getCell(2).value = details.date || null;
+    summaryRow.getCell(3).value = details.guests || null;
+    summaryRow.getCell(4).value = result.filename || null;
+    summaryRow.getCell(5).value = result.excludedFromTotals ? 'No' : 'Yes';
+    amountColumns.forEach((c, i) => {
+      const cell = summaryRow.getCell(fixedColumns.length + 1 + i);
+      cell.value = cells[c.key] ? formula(sheetRef(sheetName, cells[c.key]), result.breakdown[c.key]) : null;
+    });
+    row++;
+  });
+
+  // Combined totals skip older revisions, like the combinedTotals in the upload response
+  const totals = summary.getRow(row);
+  totals.getCell(1).value = 'Combined Totals';
+  amountColumns.forEach((c, i) => {
+    const col = summary.getColumn(fixedColumns.length + 1 + i).letter;
+    const expected = results
+      .filter((res) => !res.excludedFromTotals)
+      .reduce((sum, res) => sum + num(res.breakdown[c.key]), 0);
+    totals.getCell(fixedColumns.length + 1 + i).value = formula(`SUMIF($E$2:$E$${Math.max(2, row - 1)},"Yes",${col}2:${col}${Math.max(2, row - 1)})`, expected);
+  });
+  totals.font = { bold: true };
+  totals.eachCell((cell) => {
+    cell.border = { top: { style: 'thin' } };
+  });
+
+  return workbook;
+}
+
+module.exports = {
+  buildPartySheetWorkbook
+};
@@ -0,0 +1,88 @@
+/**
+ * Merge party sheet analyses of separate page batches (a long contract sent a few pages per request)
+ * into one analysis before processCostBreakdown. Headers, footers and "continued" tables often repeat
+ * across pages, so a line item seen in several batches is kept once; lines repeated within one batch
+ * (two identical lanes, say) keep their count.
+ */
+
+function lineItemKey(item) {
+  const description = String(item.description || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return [description, Number(item.quantity) || 0, Number(item.total) || 0, String(item.category || '').toUpperCase()].join('|');
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * @param {object[]} analyses - analyzePartySheet-shaped results, in page order
+ * @returns {object} one analysis
+ */
+function mergePageAnalyses(analyses) {
+  const parts = (analyses || []).filter(Boolean);
+  const eventDetails = { eventName: null, date: null, time: null, guests: null, contact: null };
+
+  // Event details are normally on page 1; later pages only fill gaps
+  for (const part of parts) {
+    const details = part.eventDetails || {};
+    Object.keys(details).forEach((field) => {
+      if (isBlank(eventDetails[field]) && !isBlank(details[field])) eventDetails[field] = details[field];
+    });
+  }
+
+  // Keep each distinct line as many times as the batch that repeats it most, in first-seen order
+  const order = [];
+  const keptCount = new Map();
+  const itemsByKey = new Map();
+  for (const part of parts) {
+    const countInPart = new Map();
+    for (const item of part.lineItems || []) {
+      const key = lineItemKey(item);
+      const seen = (countInPart.get(key) || 0) + 1;
+      countInPart.set(key, seen);
+      if (seen > (keptCount.get(key) || 0)) {
+        keptCount.set(key, seen);
+        if (!itemsByKey.has(key)) itemsByKey.set(key, []);
+        itemsByKey.get(key).push(item);
+        order.push(key);
+      }
+    }
+  }
+  const nextIndex = new Map();
+  const lineItems = order.map((key) => {
+    const i = nextIndex.get(key) || 0;
+    nextIndex.set(key, i + 1);
+    return itemsByKey.get(key)[i];
+  });
+
+  const preloadedDrinks = parts.map((p) => p.preloadedDrinks).find((p) => p && p.total) || null;
+
+  // Payment blocks are often repeated on every page
+  const paymentKeys = new Set();
+  const payments = [];
+  for (const part of parts) {
+    for (const payment of Array.isArray(part.payments) ? part.payments : []) {
+      if (!payment) continue;
+      const key = [String(payment.type || '').toUpperCase(), Number(payment.amount) || 0, String(payment.date || '').trim()].join('|');
+      if (paymentKeys.has(key)) continue;
+      paymentKeys.add(key);
+      payments.push(payment);
+    }
+  }
+
+  // Subtotal, total and balance are printed at the end, so the last page that states one wins
+  let statedTotals = null;
+  for (const part of parts) {
+    const stated = part.statedTotals || {};
+    ['subtotal', 'total', 'balanceDue'].forEach((field) => {
+      if (isBlank(stated[field])) return;
+      statedTotals = { subtotal: null, total: null, balanceDue: null, ...statedTotals, [field]: stated[field] };
+    });
+  }
+
+  return { eventDetails, lineItems, preloadedDrinks, payments, statedTotals };
+}
+
+module.exports = {
+  mergePageAnalyses
+};
@@ -0,0 +1,264 @@
+/**
+ * Rule-based extractor for the party detail sheets our booking system prints, read from the PDF text layer.
+ * Produces the same JSON shape analyzePartySheet gets from the model. It only claims a sheet when every
+ * priced line is accounted for; anything it can't explain returns { recognized: false } so the caller
+ * falls back to the LLM.
+ *
+ * Expected layout (columns come through as whitespace):
+ *   Event Name: Smith Birthday   Date: 03/14/2026
+ *   Time: 6:00 PM - 9:00 PM      Guests: 40
+ *   Contact: Jordan Smith
+ *   Description                  Qty   Price    Total
+ *   Full Course Package          40    $45.00   $1,800.00
+ *   Includes $15.00 drink bracelet per guest
+ *   Duckpin Bowling Lane         4     $50.00   $200.00
+ *   Subtotal                                    $2,000.00
+ *   Booking Fee                                 $100.00
+ *   Sales Tax / Gratuity / Service Charge       (TAX / GRATUITY / SERVICE_CHARGE lines)
+ *   Total                                       (statedTotals.total)
+ *   Deposit Paid 02/01/2026 (Visa)              (payments)
+ *   Balance Due                                 (statedTotals.balanceDue)
+ *   Payment Method: Visa                        (method for payments that don't name one)
+ */
+
+const MONEY = '\\$?\\s?-?\\d[\\d,]*(?:\\.\\d{2})?';
+const ITEM_LINE = new RegExp(`^(.*?\\S)\\s+(\\d+(?:\\.\\d+)?)\\s+(${MONEY})\\s+(${MONEY})$`);
+const SINGLE_AMOUNT_LINE = new RegExp(`^(.*?\\S)\\s+(${MONEY})$`);
+const PACKAGE_RE = /\b(front\s*nine|back\s*nine|full\s*course)\b/i;
+
+const HEADER_LABELS = [
+  { field: 'eventName', re: 'event\\s*name|party\\s*name|event' },
+  { field: 'date', re: '(?:event\\s*)?date' },
+  { field: 'time', re: '(?:event\\s*)?time' },
+  { field: 'guests', re: 'guest\\s*count|#\\s*of\\s*guests|number\\s*of\\s*guests|guests|headcount' },
+  { field: 'contact', re: 'contact(?:\\s*name)?|host|booked\\s*by|customer(?:\\s*name)?' }
+];
+const HEADER_RE = new RegExp(`(?:^|\\s)(${HEADER_LABELS.map((l) => l.re).join('|')})\\s*:`, 'gi');
+
+// Lines that carry an amount but aren't line items
+const SUMMARY_RE = /^(sub\s*-?\s*total|total|grand\s*total|(?:sales\s*)?tax|gratuity|service\s*charge|deposit|amount\s*(?:due|paid)|balance(?:\s*due)?|paid|payment)\b/i;
+const FEE_RE = /\b(booking|set\s*-?\s*up|admin(?:istrative)?|reservation|room)\s+fee\b/i;
+// Charges printed below the subtotal; a liquor/alcohol tax only covers drinks
+const CHARGE_RULES = [
+  { category: 'TAX', re: /^(?:(?:sales|state|local|city|county|liquor|alcohol|beverage|food|meals?)\s*)*tax\b/i },
+  { category: 'GRATUITY', re: /^(?:auto(?:matic)?\s*-?\s*)?gratuity\b/i },
+  { category: 'SERVICE_CHARGE', re: /^service\s*charge\b/i }
+];
+const DRINK_TAX_RE = /\b(liquor|alcohol|beverage)\b/i;
+const TOTAL_RE = /^(?:grand\s*)?total\b/i;
+const BALANCE_RE = /^(?:balance(?:\s*due)?|amount\s*due|remaining\s*balance)\b/i;
+const PAYMENT_RE = /^(?:deposit|payment|amount\s*paid|paid)\b/i;
+const PAYMENT_METHOD_RE = /\b(cash|check(?:\s*#?\s*\d+)?|visa|master\s*card|amex|american\s*express|discover|(?:credit|debit|gift)\s*card|ach|wire|venmo|zelle|paypal)\b/i;
+const PAYMENT_DATE_RE = /\b\d{1,2}[/.-]\d{1,2}(?:[/.-]\d{2,4})?\b/;
+const NOTE_RE = /^(includes?|incl\.?|with|note:?|[-•*(])/i;
+const DRINK_PER_PERSON_RES = [
+  /\$\s?(\d+(?:\.\d{1,2})?)\s*(?:per\s*(?:person|guest)\s*)?(?:preloaded\s*)?(?:drink|rfid|bracelet|preload)/i,
+  /(?:drink|rfid|bracelet|preload)[^$]*\$\s?(\d+(?:\.\d{1,2})?)/i
+];
+
+// Our own packages and fees always map the same way, whatever the configured category keywords say
+const PACKAGE_RULES = [
+  { category: 'DRINKS', re: /\bback\s*nine\b/i },
+  { category: 'FOOD', re: /\b(front\s*nine|full\s*course)\b/i },
+  { category: 'BOOKING_FEE', re: FEE_RE }
+];
+
+// Fallback keyword rules when the caller does not pass a categorize function (see lib/categories.js)
+const CATEGORY_RULES = [
+  { category: 'BOWLING', re: /\bbowl|duckpin/i },
+  { category: 'DARTS', re: /\bdarts?\b/i },
+  { category: 'MINI_GOLF', re: /\bmini\s*-?\s*golf|putt/i },
+  { category: 'SHUFFLEBOARD', re: /shuffle\s*board/i },
+  { category: 'KARAOKE', re: /karaoke/i },
+  { category: 'OTHER_ENTERTAINMENT', re: /\b(lane|game|arcade|simulator|axe)\b/i },
+  { category: 'DRINKS', re: /\b(drink|bar\s*tab|beer|wine|cocktail|bracelet|rfid)\b/i }
+];
+
+function parseMoney(text) {
+  const n = parseFloat(String(text).replace(/[$,\s]/g, ''));
+  return isNaN(n) ? null : n;
+}
+
+function looksLikeMoney(text) {
+  return /\$|\.\d{2}$/.test(text);
+}
+
+function categorize(description, categorizeFn) {
+  const rule = PACKAGE_RULES.find((r) => r.re.test(description));
+  if (rule) return rule.category;
+  if (categorizeFn) {
+    const category = categorizeFn(description);
+    return category ? category.id : 'FOOD';
+  }
+  const fallback = CATEGORY_RULES.find((r) => r.re.test(description));
+  return fallback ? fallback.category : 'FOOD';
+}
+
+function normalizeLines(pages) {
+  return (Array.isArray(pages) ? pages : [pages])
+    .join('\n')
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// "Event Name: X Date: Y" -> { eventName: 'X', date: 'Y' }
+function readHeaderFields(line, details) {
+  const matches = [...line.matchAll(HEADER_RE)];
+  if (matches.length === 0 || line.slice(0, matches[0].index).trim()) return false;
+  matches.forEach((m, i) => {
+    const label = m[1].toLowerCase();
+    const def = HEADER_LABELS.find((l) => new RegExp(`^(?:${l.re})$`, 'i').test(label));
+    const end = i + 1 < matches.length ? matches[i + 1].index : line.length;
+    const value = line.slice(m.index + m[0].length, end).trim();
+    if (!def || !value || details[def.field] !== null) return;
+    if (def.field === 'guests') {
+      const n = parseInt(value.replace(/[^\d]/g, ''), 10);
+      details.guests = isNaN(n) ? null : n;
+    } else {
+      details[def.field] = value;
+    }
+  });
+  return true;
+}
+
+function drinkPricePerPerson(text) {
+  for (const re of DRINK_PER_PERSON_RES) {
+    const m = text.match(re);
+    if (m) return parseFloat(m[1]);
+  }
+  return null;
+}
+
+/**
+ * @param {string|string[]} pages - PDF text (one string per page)
+ * @param {{ categorize?: (description: string) => { id: string } | null }} [opts] - category registry lookup
+ *   for lines that are not one of our packages; unmatched lines are FOOD
+ * @returns {{ recognized: boolean, reason?: string, analysis?: object }}
+ */
+function parsePartySheetTemplate(pages, opts = {}) {
+  const lines = normalizeLines(pages);
+  const eventDetails = { eventName: null, date: null, time: null, guests: null, contact: null };
+  const lineItems = [];
+  const unexplained = [];
+  let subtotal = null;
+  let total = null;
+  let balanceDue = null;
+  let defaultPaymentMethod = null;
+  const payments = [];
+  let sawColumnHeader = false;
+
+  for (const line of lines) {
+    if (/^description\b.*\bqty\b.*\btotal$/i.test(line)) {
+      sawColumnHeader = true;
+      continue;
+    }
+
+    const item = line.match(ITEM_LINE);
+    if (item && looksLikeMoney(item[4]) && !SUMMARY_RE.test(item[1])) {
+      const description = item[1];
+      lineItems.push({
+        description,
+        quantity: parseFloat(item[2]),
+        unitPrice: parseMoney(item[3]),
+        total: parseMoney(item[4]),
+        category: categorize(description, opts.categorize),
+        notes: null
+      });
+      continue;
+    }
+
+    const single = line.match(SINGLE_AMOUNT_LINE);
+    if (single && looksLikeMoney(single[2])) {
+      const label = single[1];
+      if (/^sub\s*-?\s*total\b/i.test(label)) {
+        subtotal = parseMoney(single[2]);
+        continue;
+      }
+      const charge = CHARGE_RULES.find((r) => r.re.test(label));
+      if (charge) {
+        const amount = parseMoney(single[2]);
+        const appliesTo = charge.category === 'TAX' && DRINK_TAX_RE.test(label) ? 'DRINKS' : null;
+        lineItems.push({ description: label, quantity: 1, unitPrice: amount, total: amount, category: charge.category, appliesTo, notes: null });
+        continue;
+      }
+      if (TOTAL_RE.test(label)) {
+        total = parseMoney(single[2]);
+        continue;
+      }
+      if (BALANCE_RE.test(label)) {
+        balanceDue = parseMoney(single[2]);
+        continue;
+      }
+      if (PAYMENT_RE.test(label)) {
+        const method = label.match(PAYMENT_METHOD_RE);
+        const date = label.match(PAYMENT_DATE_RE);
+        payments.push({
+          type: /deposit/i.test(label) ? 'DEPOSIT' : 'PAYMENT',
+          amount: parseMoney(single[2]),
+          date: date ? date[0] : null,
+          method: method ? method[1] : null
+        });
+        continue;
+      }
+      if (FEE_RE.test(label) && !SUMMARY_RE.test(label)) {
+        const amount = parseMoney(single[2]);
+        lineItems.push({ description: label, quantity: 1, unitPrice: amount, total: amount, category: 'BOOKING_FEE', notes: null });
+        continue;
+      }
+      if (SUMMARY_RE.test(label)) continue;
+    }
+
+    if (lineItems.length > 0 && NOTE_RE.test(line)) {
+      const last = lineItems[lineItems.length - 1];
+      last.notes = last.notes ? `${last.notes}; ${line}` : line;
+      continue;
+    }
+
+    const methodLine = line.match(/^payment\s*method\s*:\s*(.+)$/i);
+    if (methodLine) {
+      defaultPaymentMethod = methodLine[1];
+      continue;
+    }
+
+    if (readHeaderFields(line, eventDetails)) continue;
+
+    // Any other priced line means a layout we don't understand
+    if (/\$\s?\d/.test(line)) unexplained.push(line);
+  }
+
+  if (!sawColumnHeader) return { recognized: false, reason: 'no Description/Qty/Total column header' };
+  if (!lineItems.some((i) => PACKAGE_RE.test(i.description))) {
+    return { recognized: false, reason: 'no Front Nine / Back Nine / Full Course package line' };
+  }
+  if (unexplained.length > 0) {
+    return { recognized: false, reason: `unrecognized priced line(s): ${unexplained.slice(0, 3).join(' | ')}` };
+  }
+
+  // Full Course includes preloaded drinks; the per-person amount has to be printed with it
+  let preloadedDrinks = null;
+  const fullCourse = lineItems.filter((i) => /\bfull\s*course\b/i.test(i.description));
+  if (fullCourse.length > 0) {
+    const quantity = fullCourse.reduce((sum, i) => sum + i.quantity, 0);
+    const prices = fullCourse.map((i) => drinkPricePerPerson(`${i.description} ${i.notes || ''}`));
+    if (prices.some((p) => p === null) || new Set(prices).size > 1) {
+      return { recognized: false, reason: 'Full Course line without a single drink amount per person' };
+    }
+    preloadedDrinks = { quantity, pricePerPerson: prices[0], total: parseFloat((quantity * prices[0]).toFixed(2)) };
+  }
+
+  return {
+    recognized: true,
+    analysis: {
+      eventDetails,
+      lineItems,
+      preloadedDrinks,
+      payments: payments.map((p) => ({ ...p, method: p.method || defaultPaymentMethod })),
+      statedTotals: { subtotal, total, balanceDue }
+    }
+  };
+}
+
+module.exports = {
+  parsePartySheetTemplate
+};
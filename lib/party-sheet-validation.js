@@ -0,0 +1,184 @@
+/**
+ * Arithmetic / sanity checks on an analyzed party sheet. processCostBreakdown trusts the model's
+ * numbers; this pass flags the ones worth a human look before the totals are relied on.
+ *
+ * Each warning: { code, severity: 'warning' | 'info', message, lineIndex? }
+ */
+
+const MONEY_TOLERANCE = 0.05; // dollars
+const RELATIVE_TOLERANCE = 0.01; // 1%
+
+function num(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function moneyDiffers(a, b) {
+  return Math.abs(a - b) > Math.max(MONEY_TOLERANCE, Math.abs(b) * RELATIVE_TOLERANCE);
+}
+
+function fmt(n) {
+  return `$${Number(n).toFixed(2)}`;
+}
+
+const DEFAULT_CHARGE_CATEGORIES = ['TAX', 'GRATUITY', 'SERVICE_CHARGE'];
+
+function defaultIsCharge(category) {
+  return DEFAULT_CHARGE_CATEGORIES.includes(String(category || '').toUpperCase());
+}
+
+/**
+ * @param {object} breakdown - result of processCostBreakdown (lineItems, preloadedDrinks, eventDetails, statedTotals)
+ * @param {{ isCharge?: (category: string) => boolean }} [opts] - which line categories are tax/gratuity/service
+ *   charges (printed below the subtotal); defaults to TAX, GRATUITY and SERVICE_CHARGE
+ * @returns {object[]} warnings
+ */
+function validatePartySheet(breakdown, opts = {}) {
+  const isCharge = opts.isCharge || defaultIsCharge;
+  const warnings = [];
+  const lineItems = (breakdown && breakdown.lineItems) || [];
+  const details = (breakdown && breakdown.eventDetails) || {};
+  const preloaded = breakdown && breakdown.preloadedDrinks;
+
+  lineItems.forEach((item, lineIndex) => {
+    if (!item) return;
+    const label = item.description || `Line ${lineIndex + 1}`;
+    const qty = num(item.quantity);
+    const unitPrice = num(item.unitPrice);
+    const total = num(item.total);
+
+    if (total === null || total <= 0) {
+      warnings.push({
+        code: 'non-positive-total',
+        severity: 'warning',
+        lineIndex,
+        message: `${label}: total is ${total === null ? 'missing' : fmt(total)}`
+      });
+    }
+    if (qty !== null && unitPrice !== null && total !== null && moneyDiffers(qty * unitPrice, total)) {
+      warnings.push({
+        code: 'line-math-mismatch',
+        severity: 'warning',
+        lineIndex,
+        message: `${label}: ${qty} × ${fmt(unitPrice)} = ${fmt(qty * unitPrice)}, but total is ${fmt(total)}`
+      });
+    }
+  });
+
+  const allLinesSum = lineItems.reduce((sum, item) => sum + (num(item && item.total) || 0), 0);
+  const lineSum = lineItems
+    .filter((item) => item && !isCharge(item.category))
+    .reduce((sum, item) => sum + (num(item.total) || 0), 0);
+  // Some sheets print the booking fee below the subtotal, so either reading reconciles
+  const feeSum = lineItems
+    .filter((item) => item && String(item.category || '').toUpperCase() === 'BOOKING_FEE')
+    .reduce((sum, item) => sum + (num(item.total) || 0), 0);
+  const stated = (breakdown && breakdown.statedTotals) || {};
+  const statedSubtotal = num(stated.subtotal);
+  if (
+    statedSubtotal !== null &&
+    lineItems.length > 0 &&
+    moneyDiffers(lineSum, statedSubtotal) &&
+    moneyDiffers(lineSum - feeSum, statedSubtotal)
+  ) {
+    warnings.push({
+      code: 'subtotal-mismatch',
+      severity: 'warning',
+      message: `Line items add up to ${fmt(lineSum)}, but the document's subtotal is ${fmt(statedSubtotal)}`
+    });
+  }
+
+  const statedTotal = num(stated.total);
+  if (statedTotal !== null && lineItems.length > 0 && moneyDiffers(allLinesSum, statedTotal)) {
+    warnings.push({
+      code: 'total-mismatch',
+      severity: 'warning',
+      message: `Line items plus tax and charges add up to ${fmt(allLinesSum)}, but the document's total is ${fmt(statedTotal)}`
+    });
+  }
+
+  const statedBalance = num(stated.balanceDue);
+  const balanceDue = num(breakdown && breakdown.balanceDue);
+  if (statedBalance !== null && balanceDue !== null && moneyDiffers(balanceDue, statedBalance)) {
+    warnings.push({
+      code: 'balance-mismatch',
+      severity: 'warning',
+      message: `Total less payments leaves ${fmt(balanceDue)} due, but the document's balance due is ${fmt(statedBalance)}`
+    });
+  }
+
+  const unallocatedTax = num(breakdown && breakdown.taxByCategory && breakdown.taxByCategory.unallocated);
+  if (unallocatedTax) {
+    warnings.push({
+      code: 'tax-unallocated',
+      severity: 'info',
+      message: `${fmt(unallocatedTax)} of tax couldn't be split across categories (no taxable amounts)`
+    });
+  }
+
+  const hasFullCourse = lineItems.some((item) => /full\s*course/i.test((item && item.description) || ''));
+  if (preloaded && num(preloaded.total)) {
+    const pTotal = num(preloaded.total);
+    const pQty = num(preloaded.quantity);
+    const pPrice = num(preloaded.pricePerPerson);
+    if (pQty !== null && pPrice !== null && moneyDiffers(pQty * pPrice, pTotal)) {
+      warnings.push({
+        code: 'preloaded-math-mismatch',
+        severity: 'warning',
+        message: `Preloaded drinks: ${pQty} × ${fmt(pPrice)} = ${fmt(pQty * pPrice)}, but total is ${fmt(pTotal)}`
+      });
+    }
+    const guests = num(details.guests);
+    if (pQty !== null && guests !== null && pQty !== guests) {
+      warnings.push({
+        code: 'preloaded-guest-mismatch',
+        severity: 'info',
+        message: `Preloaded drinks are for ${pQty} people but the event lists ${guests} guests`
+      });
+    }
+
+    // Same arithmetic as processCostBreakdown's Math.max(0, foodTotal - preloadedAmount) clamp
+    const foodBeforeSplit = lineItems
+      .filter((item) => item && String(item.category || '').toUpperCase() === 'FOOD')
+      .reduce((sum, item) => sum + (num(item.total) || 0), 0);
+    if (pTotal >= foodBeforeSplit) {
+      warnings.push({
+        code: 'food-clamped-to-zero',
+        severity: 'warning',
+        message: `Preloaded drinks (${fmt(pTotal)}) are at least the food total (${fmt(foodBeforeSplit)}), so food went to $0.00 — check the Full Course split`
+      });
+    }
+    if (!hasFullCourse) {
+      warnings.push({
+        code: 'preloaded-without-full-course',
+        severity: 'info',
+        message: 'Preloaded drinks were split out but no "Full Course" line was found'
+      });
+    }
+  } else if (hasFullCourse) {
+    warnings.push({
+      code: 'full-course-missing-split',
+      severity: 'warning',
+      message: 'A "Full Course" package was found but no preloaded drink amount was split out of food'
+    });
+  }
+
+  const guests = num(details.guests);
+  if (guests === null || guests <= 0) {
+    warnings.push({ code: 'missing-guests', severity: 'warning', message: 'Guest count is missing' });
+  }
+
+  // Set by normalizeEventDetails (lib/event-dates.js); such events are left off calendars and date reports
+  (details.unparseable || []).forEach((field) => {
+    warnings.push({
+      code: `${field}-unparseable`,
+      severity: 'warning',
+      message: `Event ${field} "${details[field]}" could not be read as a ${field}`
+    });
+  });
+
+  return warnings;
+}
+
+module.exports = { validatePartySheet };
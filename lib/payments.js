@@ -0,0 +1,70 @@
+/**
+ * Deposits and payments printed on a party contract, and the balance left after them.
+ *
+ * Payment: { type: 'DEPOSIT' | 'PAYMENT', amount, date, method }
+ *   date   - as printed (free-form, like eventDetails.date)
+ *   method - as printed ("Visa", "Check #1042", "Cash") or null
+ */
+
+const PAYMENT_TYPES = ['DEPOSIT', 'PAYMENT'];
+
+function round2(n) {
+  return parseFloat((n || 0).toFixed(2));
+}
+
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function toText(value) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  return text || null;
+}
+
+/**
+ * Coerce model output / form input into Payment records; entries without a positive amount are dropped.
+ * @param {any} raw
+ * @returns {object[]}
+ */
+function normalizePayments(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .filter((p) => p && typeof p === 'object')
+    .map((p) => {
+      const type = String(p.type || '').trim().toUpperCase();
+      return {
+        type: PAYMENT_TYPES.includes(type) ? type : 'PAYMENT',
+        amount: toAmount(p.amount),
+        date: toText(p.date),
+        method: toText(p.method)
+      };
+    })
+    .filter((p) => p.amount !== null && p.amount > 0)
+    .map((p) => ({ ...p, amount: round2(p.amount) }));
+}
+
+/**
+ * @param {object[]} payments - normalized payments
+ * @param {number} grandTotal - contract total after tax and charges
+ * @returns {{ depositsPaid: number, paymentsReceived: number, amountPaid: number, balanceDue: number, paymentMethods: string[] }}
+ */
+function summarizePayments(payments, grandTotal) {
+  const sumOf = (type) => payments.filter((p) => p.type === type).reduce((sum, p) => sum + p.amount, 0);
+  const depositsPaid = sumOf('DEPOSIT');
+  const paymentsReceived = sumOf('PAYMENT');
+  const amountPaid = depositsPaid + paymentsReceived;
+  return {
+    depositsPaid: round2(depositsPaid),
+    paymentsReceived: round2(paymentsReceived),
+    amountPaid: round2(amountPaid),
+    balanceDue: round2((Number(grandTotal) || 0) - amountPaid),
+    paymentMethods: [...new Set(payments.map((p) => p.method).filter(Boolean))]
+  };
+}
+
+module.exports = {
+  PAYMENT_TYPES,
+  normalizePayments,
+  summarizePayments
+};
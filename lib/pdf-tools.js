@@ -0,0 +1,45 @@
+/**
+ * PDF helpers built on pdf-parse (pdf.js under the hood).
+ */
+const fs = require('fs').promises;
+const { PDFParse } = require('pdf-parse');
+
+/**
+ * Text layer of a PDF, one string per page. Scanned/image-only PDFs come back as empty strings.
+ * @param {string} filePath
+ * @returns {Promise<string[]>}
+ */
+async function extractPdfText(filePath) {
+  const parser = new PDFParse({ data: await fs.readFile(filePath) });
+  try {
+    const result = await parser.getText();
+    return (result.pages || []).map((page) => page.text || '');
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Render PDF pages to PNG data URLs for vision models (which take images, not PDFs).
+ * @param {string} filePath
+ * @param {{ width?: number, maxPages?: number }} [opts] - pixel width per page; only the first maxPages are rendered
+ * @returns {Promise<{ totalPages: number, pages: Array<{ pageNumber: number, dataUrl: string }> }>}
+ */
+async function renderPdfPages(filePath, opts = {}) {
+  const { width = 1600, maxPages = 20 } = opts;
+  const parser = new PDFParse({ data: await fs.readFile(filePath) });
+  try {
+    const result = await parser.getScreenshot({ desiredWidth: width, first: maxPages, imageBuffer: false });
+    return {
+      totalPages: result.total,
+      pages: (result.pages || []).map((page) => ({ pageNumber: page.pageNumber, dataUrl: page.dataUrl }))
+    };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+module.exports = {
+  extractPdfText,
+  renderPdfPages
+};
@@ -0,0 +1,136 @@
+/**
+ * Kitchen prep sheet: turns an analyzed party sheet (guest count + FOOD line items) into a
+ * per-event checklist using the guest-count conversion table (see lib/conversion-rules.js).
+ *
+ * - Bracketed rules (beef / chicken / pork) use the row whose [minGuests, maxGuests] holds the guest count.
+ * - perGuest rules multiply `quantity` by the guest count (tortillas = guests × 3).
+ * A menu item is prepped when any FOOD line description contains one of its `match` terms.
+ */
+
+function normalizeText(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function formatBracket(rule) {
+  if (rule.perGuest) return 'per guest';
+  return rule.maxGuests == null ? `${rule.minGuests}+` : `${rule.minGuests}-${rule.maxGuests}`;
+}
+
+function ruleMatchesDescription(rule, normalizedDescription) {
+  const terms = Array.isArray(rule.match) ? rule.match : [];
+  return terms.some((t) => {
+    const term = normalizeText(t);
+    return term && normalizedDescription.includes(term);
+  });
+}
+
+/**
+ * Pick the conversion row for one menu item and guest count.
+ * Returns { rule, overflow } where overflow=true means guests exceed the largest bracket.
+ */
+function selectRuleForGuests(rules, guests) {
+  const sorted = [...rules].sort((a, b) => a.minGuests - b.minGuests);
+  const hit = sorted.find(
+    (r) => guests >= r.minGuests && (r.maxGuests == null || guests <= r.maxGuests)
+  );
+  if (hit) return { rule: hit, overflow: false };
+  const last = sorted[sorted.length - 1];
+  if (last && guests > (last.maxGuests || 0)) return { rule: last, overflow: true };
+  return { rule: null, overflow: false };
+}
+
+/**
+ * @param {{ eventDetails?: object, lineItems?: object[] }} breakdown - result of processCostBreakdown
+ * @param {object[]} conversionRules - rows from the conversion table store
+ */
+function buildPrepSheet(breakdown, conversionRules) {
+  const eventDetails = (breakdown && breakdown.eventDetails) || {};
+  const guestsNum = Number(eventDetails.guests);
+  const guests = Number.isFinite(guestsNum) && guestsNum > 0 ? Math.round(guestsNum) : null;
+  const foodLines = ((breakdown && breakdown.lineItems) || []).filter(
+    (item) => item && String(item.category || '').toUpperCase() === 'FOOD'
+  );
+
+  const rulesByMenuItem = new Map(); // display name -> rules (grouped case-insensitively)
+  const menuItemNames = new Map();
+  for (const rule of conversionRules || []) {
+    if (!rule || !rule.menuItem) continue;
+    const key = String(rule.menuItem).trim().toLowerCase();
+    if (!menuItemNames.has(key)) menuItemNames.set(key, String(rule.menuItem).trim());
+    const name = menuItemNames.get(key);
+    if (!rulesByMenuItem.has(name)) rulesByMenuItem.set(name, []);
+    rulesByMenuItem.get(name).push(rule);
+  }
+
+  const items = [];
+  const extras = [];
+  const warnings = [];
+  const coveredLines = new Set();
+
+  if (guests === null && foodLines.length > 0) {
+    warnings.push('Guest count missing — conversion table quantities could not be calculated.');
+  }
+
+  for (const [menuItem, rules] of rulesByMenuItem.entries()) {
+    const sources = [];
+    foodLines.forEach((line, idx) => {
+      const desc = normalizeText(line.description);
+      if (rules.some((r) => ruleMatchesDescription(r, desc))) {
+        sources.push(line.description);
+        coveredLines.add(idx);
+      }
+    });
+    if (sources.length === 0 || guests === null) continue;
+
+    const { rule, overflow } = selectRuleForGuests(rules, guests);
+    if (!rule) {
+      warnings.push(`${menuItem}: no conversion row covers ${guests} guests.`);
+      continue;
+    }
+    if (overflow) {
+      warnings.push(
+        `${menuItem}: ${guests} guests exceeds the conversion table (max ${rule.maxGuests}) — scale manually.`
+      );
+    }
+
+    const quantity = rule.perGuest ? rule.quantity * guests : rule.quantity;
+    items.push({
+      menuItem,
+      quantity: parseFloat(Number(quantity).toFixed(2)),
+      unit: rule.unit || '',
+      panSize: rule.panSize || null,
+      bracket: formatBracket(rule),
+      sources
+    });
+  }
+
+  // FOOD lines no rule covers (platters, desserts, …) still go on the checklist as ordered.
+  foodLines.forEach((line, idx) => {
+    if (coveredLines.has(idx)) return;
+    extras.push({
+      description: line.description || 'Unknown Item',
+      quantity: line.quantity !== undefined && line.quantity !== null ? line.quantity : null,
+      notes: line.notes || null
+    });
+  });
+
+  return {
+    eventName: eventDetails.eventName || null,
+    date: eventDetails.date || null,
+    time: eventDetails.time || null,
+    guests,
+    items,
+    extras,
+    warnings
+  };
+}
+
+module.exports = {
+  buildPrepSheet,
+  selectRuleForGuests,
+  formatBracket
+};
@@ -0,0 +1,134 @@
+/**
+ * Price spike alerts over the vendor price ledger.
+ *
+ * Rule shape: { scope, match, thresholdType, threshold, enabled }
+ *   scope         - 'product' (match = reference product name), 'category' (match = reference sheet category)
+ *                   or 'default' (every product without a more specific rule; match is null)
+ *   thresholdType - 'percent' (latest price vs. the average, in %) or 'absolute' (dollars above the average)
+ * A product uses its product rule, else its category rule, else the default rule; with no rule it isn't checked.
+ *
+ * Alerts are sorted by dollar impact: the increase per unit times how many units we use (usage quantities
+ * per biweekly order), so a small rise on something bought by the case outranks a big one on a garnish.
+ * When a product's pack sizes are all known (summary `normalized`), prices are compared per base unit and
+ * stated at the latest pack size, so a switch to a bigger case isn't a spike.
+ */
+
+const RULE_SCOPES = ['product', 'category', 'default'];
+const THRESHOLD_TYPES = ['percent', 'absolute'];
+
+function round2(n) {
+  return parseFloat((n || 0).toFixed(2));
+}
+
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Coerce one rule from a request body (strings from form inputs are fine) and check its fields.
+ * @returns {{ rule: object, errors: string[] }}
+ */
+function normalizeAlertRule(input) {
+  const src = input || {};
+  const scope = String(src.scope || '').trim().toLowerCase();
+  const thresholdType = String(src.thresholdType || '').trim().toLowerCase();
+  const threshold = src.threshold === '' || src.threshold === null || src.threshold === undefined ? NaN : Number(src.threshold);
+  const rule = {
+    scope,
+    match: scope === 'default' ? null : String(src.match || '').trim(),
+    thresholdType,
+    threshold,
+    enabled: src.enabled === undefined ? true : src.enabled === true || src.enabled === 'true'
+  };
+
+  const errors = [];
+  if (!RULE_SCOPES.includes(scope)) errors.push(`scope must be one of: ${RULE_SCOPES.join(', ')}`);
+  if (scope !== 'default' && !rule.match) errors.push(`match is required for a ${scope || 'product'} rule`);
+  if (!THRESHOLD_TYPES.includes(thresholdType)) errors.push(`thresholdType must be one of: ${THRESHOLD_TYPES.join(', ')}`);
+  if (!Number.isFinite(threshold) || threshold <= 0) errors.push('threshold must be a positive number');
+  return { rule, errors };
+}
+
+// Only one rule per scope + match, so which rule applies is never ambiguous
+function findConflictingRule(rules, rule, ignoreId) {
+  return rules.find((r) => r.id !== ignoreId && r.scope === rule.scope && normalizeName(r.match) === normalizeName(rule.match)) || null;
+}
+
+// Average and latest price to compare: per base unit scaled to the latest pack when known, else as invoiced
+function comparablePrices(product) {
+  const n = product.normalized;
+  if (n && n.latestBaseQuantity > 0) {
+    // The latest point is at the latest pack size, so its invoiced price needs no scaling
+    return { averagePrice: n.averagePrice * n.latestBaseQuantity, mostRecentPrice: product.mostRecentPrice };
+  }
+  return { averagePrice: product.averagePrice, mostRecentPrice: product.mostRecentPrice };
+}
+
+function ruleForProduct(product, rules) {
+  const enabled = rules.filter((r) => r.enabled !== false);
+  const name = normalizeName(product.productName);
+  const category = normalizeName(product.category);
+  return enabled.find((r) => r.scope === 'product' && normalizeName(r.match) === name)
+    || (category && enabled.find((r) => r.scope === 'category' && normalizeName(r.match) === category))
+    || enabled.find((r) => r.scope === 'default')
+    || null;
+}
+
+/**
+ * @param {object[]} products - summarizePriceHistory output
+ * @param {object[]} rules - alert rules
+ * @param {Map<string, number>|object} [usage] - units used per biweekly order, keyed by reference product
+ *   (case-insensitive); products without usage still alert but sort after those with a dollar impact
+ * @returns {object[]} alerts, highest dollar impact first
+ */
+function evaluatePriceAlerts(products, rules, usage = new Map()) {
+  const usageEntries = usage instanceof Map ? [...usage.entries()] : Object.entries(usage || {});
+  const usageByName = new Map(usageEntries.map(([name, qty]) => [normalizeName(name), Number(qty)]));
+
+  const alerts = [];
+  for (const product of products || []) {
+    const { averagePrice, mostRecentPrice } = comparablePrices(product);
+    if (!mostRecentPrice || !(averagePrice > 0) || product.priceHistory.length < 2) continue;
+    const increase = mostRecentPrice - averagePrice;
+    if (increase <= 0) continue;
+
+    const rule = ruleForProduct(product, rules);
+    if (!rule) continue;
+    const percentIncrease = (increase / averagePrice) * 100;
+    if ((rule.thresholdType === 'percent' ? percentIncrease : increase) < rule.threshold) continue;
+
+    const latest = product.priceHistory[product.priceHistory.length - 1];
+    const usageQuantity = usageByName.get(normalizeName(product.productName));
+    const hasUsage = Number.isFinite(usageQuantity) && usageQuantity > 0;
+    alerts.push({
+      productName: product.productName,
+      category: product.category || null,
+      vendor: latest.vendor || null,
+      latestDate: latest.date,
+      averagePrice: round2(averagePrice),
+      mostRecentPrice: round2(mostRecentPrice),
+      packSize: latest.packSize || null,
+      pricePerBaseUnit: product.normalized ? product.normalized.mostRecentPrice : null,
+      baseUnit: product.normalized ? product.normalized.baseUnit : null,
+      increase: round2(increase),
+      percentIncrease: round2(percentIncrease),
+      usageQuantity: hasUsage ? usageQuantity : null,
+      dollarImpact: hasUsage ? round2(increase * usageQuantity) : null,
+      rule: { id: rule.id, scope: rule.scope, match: rule.match, thresholdType: rule.thresholdType, threshold: rule.threshold },
+      // Same product, date and price = same alert, so notifiers send it once
+      key: [normalizeName(product.productName), latest.date, round2(mostRecentPrice).toFixed(2)].join('|')
+    });
+  }
+
+  return alerts.sort((a, b) => (b.dollarImpact ?? -1) - (a.dollarImpact ?? -1)
+    || b.percentIncrease - a.percentIncrease
+    || a.productName.localeCompare(b.productName));
+}
+
+module.exports = {
+  RULE_SCOPES,
+  THRESHOLD_TYPES,
+  normalizeAlertRule,
+  findConflictingRule,
+  evaluatePriceAlerts
+};
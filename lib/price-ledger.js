@@ -0,0 +1,188 @@
+/**
+ * Vendor price history ledger: every matched price point from a vendor cost run, kept across runs so
+ * price history doesn't depend on re-uploading every old invoice.
+ *
+ * Entry: { referenceProduct, category, vendor, invoiceProduct, itemNumber, invoiceDate, unitPrice, packSize,
+ *          baseUnit, baseQuantity, pricePerBaseUnit, sourceFile, key }
+ *   category    - from the reference sheet's category column, when it has one (used by price alert rules)
+ *   vendor      - e.g. "Sysco", "US Foods"; null when the upload didn't say
+ *   invoiceDate - YYYY-MM-DD
+ *   packSize    - e.g. "6/5 LB" (lib/pack-size.js); it and the base unit fields are null when the pack is unknown
+ *   itemNumber  - the vendor's item number, when the file layout has that column
+ *   key         - dedupe key: the same product, vendor, invoice line name, date and price is one price
+ *                 point, whatever the file was called when it was (re-)uploaded
+ *
+ * Stored with createJsonStore (insertMany with uniqueBy: 'key').
+ */
+const { pricePerBaseUnit } = require('./pack-size');
+
+function round2(n) {
+  return parseFloat((n || 0).toFixed(2));
+}
+
+function normalizeKeyPart(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function ledgerKey(entry) {
+  return [
+    normalizeKeyPart(entry.referenceProduct),
+    normalizeKeyPart(entry.vendor),
+    normalizeKeyPart(entry.invoiceProduct),
+    entry.invoiceDate,
+    round2(entry.unitPrice).toFixed(2)
+  ].join('|');
+}
+
+/**
+ * @param {{ referenceProduct: string, category?: string|null, vendor?: string|null, invoiceProduct: string,
+ *   itemNumber?: string|null, invoiceDate: string, unitPrice: number, pack?: object|null, sourceFile: string }} point
+ *   pack from parsePackSize
+ */
+function toLedgerEntry(point) {
+  const pack = point.pack || null;
+  const entry = {
+    referenceProduct: point.referenceProduct,
+    category: point.category || null,
+    vendor: point.vendor || null,
+    invoiceProduct: point.invoiceProduct,
+    itemNumber: point.itemNumber || null,
+    invoiceDate: point.invoiceDate,
+    unitPrice: round2(point.unitPrice),
+    packSize: pack ? pack.label : null,
+    baseUnit: pack ? pack.baseUnit : null,
+    baseQuantity: pack ? pack.baseQuantity : null,
+    pricePerBaseUnit: pricePerBaseUnit(point.unitPrice, pack),
+    sourceFile: point.sourceFile || null
+  };
+  return { ...entry, key: ledgerKey(entry) };
+}
+
+/**
+ * @param {object[]} entries
+ * @param {{ product?: string, products?: string[], vendor?: string, from?: string, to?: string }} [filter]
+ *   product is a case-insensitive substring of the reference product; products an exact list;
+ *   vendor is matched case-insensitively ("unknown" for entries without one); from/to are inclusive YYYY-MM-DD
+ */
+function queryLedger(entries, filter = {}) {
+  const product = normalizeKeyPart(filter.product);
+  const exact = filter.products ? new Set(filter.products.map(normalizeKeyPart)) : null;
+  const vendor = normalizeKeyPart(filter.vendor);
+  return entries.filter((e) => {
+    const name = normalizeKeyPart(e.referenceProduct);
+    if (product && !name.includes(product)) return false;
+    if (exact && !exact.has(name)) return false;
+    if (vendor && normalizeKeyPart(e.vendor || 'unknown') !== vendor) return false;
+    if (filter.from && e.invoiceDate < filter.from) return false;
+    if (filter.to && e.invoiceDate > filter.to) return false;
+    return true;
+  });
+}
+
+// Average and most recent price of a date-sorted history
+function priceStats(priceHistory, field = 'price') {
+  const averagePrice = priceHistory.reduce((sum, item) => sum + item[field], 0) / priceHistory.length;
+  const mostRecentPrice = priceHistory[priceHistory.length - 1][field];
+  return { averagePrice, mostRecentPrice };
+}
+
+function percentChangeOf({ averagePrice, mostRecentPrice }) {
+  return mostRecentPrice && averagePrice > 0 ? ((mostRecentPrice - averagePrice) / averagePrice) * 100 : null;
+}
+
+// Base unit shared by every point's pack, or null when any pack is unknown or they're in different units
+function commonBaseUnit(priceHistory) {
+  const unit = priceHistory[0].baseUnit;
+  return unit && priceHistory.every((item) => item.baseUnit === unit && item.pricePerBaseUnit !== null) ? unit : null;
+}
+
+// Price per base unit stats (4 decimals: per-each prices are often fractions of a cent apart)
+function normalizedStats(priceHistory) {
+  const baseUnit = commonBaseUnit(priceHistory);
+  if (!baseUnit) return null;
+  const stats = priceStats(priceHistory, 'pricePerBaseUnit');
+  const percentChange = percentChangeOf(stats);
+  return {
+    baseUnit,
+    averagePrice: parseFloat(stats.averagePrice.toFixed(4)),
+    mostRecentPrice: parseFloat(stats.mostRecentPrice.toFixed(4)),
+    percentChange: percentChange !== null ? round2(percentChange) : null,
+    latestBaseQuantity: priceHistory[priceHistory.length - 1].baseQuantity
+  };
+}
+
+/**
+ * Per reference product: price history by date, average, most recent price and its % change vs. the average
+ * (the /api/vendor-costs `products` shape), plus `vendorSeries` - the same history split by vendor
+ * (vendor null = unknown, listed last) so each vendor can be charted as its own line. `category` is the
+ * one on the product's latest entry that has one.
+ *
+ * `normalized` holds the same stats per base unit (per lb, gal or each) when every point's pack size is known in
+ * one base unit, and null otherwise. `percentChange` then compares per base unit, so a switch from a 6/5 LB case
+ * to a 4/5 LB case isn't read as a price drop.
+ * @param {object[]} entries - ledger entries
+ */
+function summarizePriceHistory(entries) {
+  const byProduct = new Map();
+  const categories = new Map(); // product -> { date, category }
+  for (const e of entries) {
+    if (!byProduct.has(e.referenceProduct)) byProduct.set(e.referenceProduct, []);
+    byProduct.get(e.referenceProduct).push({
+      date: e.invoiceDate,
+      price: e.unitPrice,
+      sourceFile: e.sourceFile,
+      vendor: e.vendor,
+      packSize: e.packSize || null,
+      baseUnit: e.baseUnit || null,
+      baseQuantity: e.baseQuantity || null,
+      pricePerBaseUnit: typeof e.pricePerBaseUnit === 'number' ? e.pricePerBaseUnit : null
+    });
+    const seen = categories.get(e.referenceProduct);
+    if (e.category && (!seen || e.invoiceDate >= seen.date)) {
+      categories.set(e.referenceProduct, { date: e.invoiceDate, category: e.category });
+    }
+  }
+
+  const products = [...byProduct.entries()].map(([productName, priceHistory]) => {
+    priceHistory.sort((a, b) => a.date.localeCompare(b.date));
+    const { averagePrice, mostRecentPrice } = priceStats(priceHistory);
+    const normalized = normalizedStats(priceHistory);
+    const percentChange = normalized ? normalized.percentChange : percentChangeOf({ averagePrice, mostRecentPrice });
+
+    const byVendor = new Map();
+    priceHistory.forEach((item) => {
+      if (!byVendor.has(item.vendor)) byVendor.set(item.vendor, []);
+      byVendor.get(item.vendor).push(item);
+    });
+    const vendorSeries = [...byVendor.entries()]
+      .sort((a, b) => (a[0] === null) - (b[0] === null) || String(a[0]).localeCompare(String(b[0])))
+      .map(([vendor, history]) => {
+        const stats = priceStats(history);
+        return {
+          vendor,
+          priceHistory: history,
+          averagePrice: round2(stats.averagePrice),
+          mostRecentPrice: round2(stats.mostRecentPrice),
+          normalized: normalizedStats(history)
+        };
+      });
+
+    return {
+      productName,
+      category: categories.has(productName) ? categories.get(productName).category : null,
+      priceHistory,
+      vendorSeries,
+      averagePrice: round2(averagePrice),
+      mostRecentPrice: mostRecentPrice ? round2(mostRecentPrice) : null,
+      percentChange: percentChange !== null ? round2(percentChange) : null,
+      normalized
+    };
+  });
+  return products.sort((a, b) => a.productName.localeCompare(b.productName));
+}
+
+module.exports = {
+  toLedgerEntry,
+  queryLedger,
+  summarizePriceHistory
+};
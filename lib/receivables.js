@@ -0,0 +1,77 @@
+/**
+ * Accounts receivable over event history: events that still have a balance due, by event date.
+ * Only events analyzed with payment tracking (breakdown.balanceDue present) are considered; older
+ * records are counted in `untrackedEvents` rather than shown as owing their whole total.
+ */
+const { eventIsoDate } = require('./event-dates');
+const { countedEvents } = require('./duplicate-detection');
+
+const BALANCE_TOLERANCE = 0.005;
+
+function round2(n) {
+  return parseFloat((n || 0).toFixed(2));
+}
+
+function todayYmd() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * @param {object[]} events - event history records
+ * @param {{ today?: string, includePast?: boolean }} [opts] - today is YYYY-MM-DD (defaults to the local date);
+ *   past events with a balance are only listed when includePast is set
+ */
+function buildReceivables(events, opts = {}) {
+  const today = opts.today || todayYmd();
+  const rows = [];
+  const undated = [];
+  let untrackedEvents = 0;
+
+  for (const event of countedEvents(events)) {
+    const b = event.breakdown;
+    if (typeof b.balanceDue !== 'number') {
+      untrackedEvents++;
+      continue;
+    }
+    if (b.balanceDue <= BALANCE_TOLERANCE) continue;
+
+    const details = b.eventDetails || {};
+    const eventDate = eventIsoDate(event);
+    const row = {
+      id: event.id,
+      eventName: details.eventName || event.eventName || null,
+      date: details.date || event.date || null,
+      eventDate,
+      startTime: details.startTime || null,
+      guests: details.guests || event.guests || null,
+      contact: details.contact || event.contact || null,
+      sourceFilename: event.sourceFilename || null,
+      grandTotal: b.grandTotal,
+      depositsPaid: b.depositsPaid || 0,
+      amountPaid: b.amountPaid || 0,
+      balanceDue: b.balanceDue,
+      paymentMethods: b.paymentMethods || [],
+      pastDue: !!eventDate && eventDate < today
+    };
+    if (!eventDate) {
+      undated.push(row);
+    } else if (!row.pastDue || opts.includePast) {
+      rows.push(row);
+    }
+  }
+
+  rows.sort((a, b) => a.eventDate.localeCompare(b.eventDate) || (a.startTime || '').localeCompare(b.startTime || ''));
+  return {
+    today,
+    rows,
+    undated,
+    totalOutstanding: round2(rows.reduce((sum, r) => sum + r.balanceDue, 0)),
+    untrackedEvents
+  };
+}
+
+module.exports = {
+  buildReceivables
+};
@@ -0,0 +1,115 @@
+/**
+ * Revenue reporting over event history: Food / Drinks / Entertainment / Booking Fee totals from the
+ * saved processCostBreakdown results, bucketed by event date (week or month) or summed per category.
+ * The categories come from the category registry (reportCategories()); the default list below matches
+ * the built-in taxonomy.
+ */
+const { eventIsoDate } = require('./event-dates');
+const { countedEvents } = require('./duplicate-detection');
+
+const REPORT_GROUPS = ['week', 'month', 'category'];
+
+const DEFAULT_REPORT_CATEGORIES = [
+  { key: 'food', label: 'Food' },
+  { key: 'drinks', label: 'Drinks' },
+  { key: 'entertainment', label: 'Entertainment' },
+  { key: 'bookingFee', label: 'Booking Fee' }
+];
+
+function round2(n) {
+  return parseFloat((n || 0).toFixed(2));
+}
+
+function emptyTotals(categories) {
+  const totals = { total: 0, events: 0 };
+  categories.forEach((c) => {
+    totals[c.key] = 0;
+  });
+  return totals;
+}
+
+function roundTotals(totals, categories) {
+  const out = { ...totals };
+  categories.forEach((c) => {
+    out[c.key] = round2(out[c.key]);
+  });
+  out.total = round2(out.total);
+  return out;
+}
+
+// Monday of the ISO week containing `ymd`
+function weekStart(ymd) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  const dow = (d.getUTCDay() + 6) % 7;
+  d.setUTCDate(d.getUTCDate() - dow);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * @param {object[]} events - event history records
+ * @param {{ from?: string, to?: string, groupBy?: string, categories?: Array<{ key: string, label: string }> }} opts
+ *   from/to are inclusive YYYY-MM-DD; categories are the breakdown keys to report (registry reportCategories())
+ */
+function buildRevenueReport(events, opts = {}) {
+  const groupBy = opts.groupBy || 'month';
+  const categories = opts.categories || DEFAULT_REPORT_CATEGORIES;
+  const buckets = new Map();
+  const totals = emptyTotals(categories);
+  let undatedEvents = 0;
+
+  for (const event of countedEvents(events)) {
+    const ymd = eventIsoDate(event);
+    if (!ymd) {
+      undatedEvents++;
+      continue;
+    }
+    if (opts.from && ymd < opts.from) continue;
+    if (opts.to && ymd > opts.to) continue;
+
+    const b = event.breakdown;
+    const amounts = {};
+    categories.forEach((c) => {
+      amounts[c.key] = Number(b[c.key]) || 0;
+    });
+    const eventTotal = categories.reduce((sum, c) => sum + amounts[c.key], 0);
+
+    categories.forEach((c) => {
+      totals[c.key] += amounts[c.key];
+    });
+    totals.total += eventTotal;
+    totals.events++;
+
+    if (groupBy === 'category') continue;
+    const period = groupBy === 'week' ? weekStart(ymd) : ymd.slice(0, 7);
+    if (!buckets.has(period)) buckets.set(period, emptyTotals(categories));
+    const bucket = buckets.get(period);
+    categories.forEach((c) => {
+      bucket[c.key] += amounts[c.key];
+    });
+    bucket.total += eventTotal;
+    bucket.events++;
+  }
+
+  const report = {
+    groupBy,
+    from: opts.from || null,
+    to: opts.to || null,
+    categories,
+    totals: roundTotals(totals, categories),
+    undatedEvents
+  };
+
+  if (groupBy === 'category') {
+    report.rows = categories.map((c) => ({ category: c.key, label: c.label, total: round2(totals[c.key]) }));
+  } else {
+    report.rows = [...buckets.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([period, bucket]) => ({ period, ...roundTotals(bucket, categories) }));
+  }
+  return report;
+}
+
+module.exports = {
+  REPORT_GROUPS,
+  buildRevenueReport
+};
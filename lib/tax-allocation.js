@@ -0,0 +1,79 @@
+/**
+ * Split a party sheet's tax across revenue categories. Most sheets print one "Sales Tax" line for the
+ * whole bill; reporting wants to know how much of it belongs to food, drinks, etc.
+ */
+
+function toCents(n) {
+  return Math.round((Number(n) || 0) * 100);
+}
+
+// Spread `cents` over weights proportionally; leftover cents go to the largest remainders so the parts
+// add back up to exactly `cents`
+function spreadCents(cents, weights) {
+  const keys = Object.keys(weights).filter((k) => weights[k] > 0);
+  const base = keys.reduce((sum, k) => sum + weights[k], 0);
+  const out = {};
+  if (base <= 0 || cents === 0) return out;
+
+  const sign = cents < 0 ? -1 : 1;
+  const abs = Math.abs(cents);
+  const shares = keys.map((k) => {
+    const exact = (abs * weights[k]) / base;
+    return { key: k, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let leftover = abs - shares.reduce((sum, s) => sum + s.cents, 0);
+  shares
+    .slice()
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach((s) => {
+      if (leftover > 0) {
+        s.cents++;
+        leftover--;
+      }
+    });
+  shares.forEach((s) => {
+    if (s.cents) out[s.key] = s.cents * sign;
+  });
+  return out;
+}
+
+/**
+ * @param {Array<{ total: number, appliesTo?: string|null }>} taxLines - appliesTo is a category key (e.g. drinks
+ *   for a liquor tax) or null for a general tax
+ * @param {Object<string, number>} amounts - pre-tax amount per taxable category key
+ * @returns {{ byCategory: Object<string, number>, unallocated: number }} tax in dollars per category key; tax that
+ *   couldn't be placed (no taxable amounts) is reported as unallocated
+ */
+function allocateTax(taxLines, amounts) {
+  const cents = {};
+  let generalCents = 0;
+
+  (taxLines || []).forEach((line) => {
+    const lineCents = toCents(line.total);
+    if (line.appliesTo && Object.prototype.hasOwnProperty.call(amounts, line.appliesTo)) {
+      cents[line.appliesTo] = (cents[line.appliesTo] || 0) + lineCents;
+    } else {
+      generalCents += lineCents;
+    }
+  });
+
+  const weights = {};
+  Object.keys(amounts).forEach((k) => {
+    weights[k] = toCents(amounts[k]);
+  });
+  const spread = spreadCents(generalCents, weights);
+  const spreadTotal = Object.values(spread).reduce((sum, c) => sum + c, 0);
+  Object.keys(spread).forEach((k) => {
+    cents[k] = (cents[k] || 0) + spread[k];
+  });
+
+  const byCategory = {};
+  Object.keys(cents).forEach((k) => {
+    if (cents[k]) byCategory[k] = cents[k] / 100;
+  });
+  return { byCategory, unallocated: (generalCents - spreadTotal) / 100 };
+}
+
+module.exports = {
+  allocateTax
+};
@@ -0,0 +1,221 @@
+/**
+ * Vendor file layout profiles: where a vendor's Excel export keeps its data, so known files are read without
+ * an AI column-detection call.
+ *
+ * Profile shape: { name, vendor, sheet, headerRow, columns, fingerprint, headers }
+ *   sheet       - worksheet name; null = the first sheet
+ *   headerRow   - 1-based row with the column headers; data starts on the next row
+ *   columns     - column letters: { product, price, date, pack, itemNumber } (product and price required)
+ *   fingerprint - headerFingerprint() of the header row; a file whose header row (at this profile's sheet and
+ *                 row) has the same fingerprint is read with this profile. null = only used as the default for
+ *                 its vendor's upload slot (Sysco, US Foods).
+ *   headers     - the header row the fingerprint was taken from, for display
+ * The built-in profiles below only seed the store; edits go through /api/vendor-layouts.
+ */
+const crypto = require('crypto');
+
+const COLUMN_KEYS = ['product', 'price', 'date', 'pack', 'itemNumber'];
+
+const DEFAULT_VENDOR_LAYOUTS = [
+  {
+    name: 'Sysco invoice export',
+    vendor: 'Sysco',
+    sheet: null,
+    headerRow: 1,
+    columns: { product: 'H', price: 'K', date: null, pack: null, itemNumber: null },
+    fingerprint: null,
+    headers: []
+  },
+  {
+    name: 'US Foods invoice export',
+    vendor: 'US Foods',
+    sheet: null,
+    headerRow: 1,
+    columns: { product: 'B', price: 'G', date: null, pack: null, itemNumber: null },
+    fingerprint: null,
+    headers: []
+  }
+];
+
+// "H" -> 8, "AA" -> 27; null when not a column letter
+function columnLetterToNumber(letters) {
+  const text = String(letters || '').trim().toUpperCase();
+  if (!/^[A-Z]{1,3}$/.test(text)) return null;
+  return [...text].reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0);
+}
+
+function columnNumberToLetter(number) {
+  let n = number;
+  let letters = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+// Displayed text of an ExcelJS cell value (rich text, formulas, hyperlinks and dates included)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join('').trim();
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return '';
+  }
+  return String(value).trim();
+}
+
+/**
+ * Fingerprint of a header row: case, spacing and trailing empty cells don't matter; order does.
+ * @param {string[]} headers
+ * @returns {string|null} null for an empty row
+ */
+function headerFingerprint(headers) {
+  const cells = (headers || []).map((h) => String(h || '').toLowerCase().replace(/\s+/g, ' ').trim());
+  while (cells.length > 0 && !cells[cells.length - 1]) cells.pop();
+  if (cells.length === 0) return null;
+  return crypto.createHash('sha256').update(cells.join('|')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Coerce one profile from a request body and check its fields.
+ * @returns {{ profile: object, errors: string[] }}
+ */
+function normalizeLayoutProfile(input) {
+  const src = input || {};
+  const srcColumns = src.columns || {};
+  const columns = {};
+  const errors = [];
+  for (const key of COLUMN_KEYS) {
+    const raw = srcColumns[key] === undefined || srcColumns[key] === null ? '' : String(srcColumns[key]).trim().toUpperCase();
+    columns[key] = raw || null;
+    if (raw && columnLetterToNumber(raw) === null) errors.push(`columns.${key} must be a column letter like "H"`);
+  }
+  const headerRow = src.headerRow === undefined || src.headerRow === '' ? 1 : Number(src.headerRow);
+  const profile = {
+    name: String(src.name || '').trim(),
+    vendor: src.vendor ? String(src.vendor).trim() || null : null,
+    sheet: src.sheet ? String(src.sheet).trim() || null : null,
+    headerRow,
+    columns,
+    fingerprint: src.fingerprint ? String(src.fingerprint).trim() || null : null,
+    headers: Array.isArray(src.headers) ? src.headers.map((h) => String(h === null || h === undefined ? '' : h)) : []
+  };
+
+  if (!profile.name) errors.push('name is required');
+  if (!Number.isInteger(headerRow) || headerRow < 1) errors.push('headerRow must be a whole number of at least 1');
+  if (!columns.product) errors.push('columns.product is required');
+  if (!columns.price) errors.push('columns.price is required');
+  return { profile, errors };
+}
+
+// Only one profile per fingerprint, so which profile reads a file is never ambiguous
+function findConflictingLayout(profiles, profile, ignoreId) {
+  if (!profile.fingerprint) return null;
+  return profiles.find((p) => p.id !== ignoreId && p.fingerprint === profile.fingerprint) || null;
+}
+
+function worksheetFor(workbook, sheetName) {
+  return sheetName ? workbook.getWorksheet(sheetName) || null : workbook.worksheets[0] || null;
+}
+
+/**
+ * Header row of a worksheet as text, e.g. ["Item #", "Description", …] (index 0 = column A).
+ * @param {import('exceljs').Worksheet} worksheet
+ * @param {number} headerRow - 1-based
+ */
+function readHeaderRow(worksheet, headerRow) {
+  const values = worksheet.getRow(headerRow).values || [];
+  const headers = [];
+  for (let c = 1; c < values.length; c++) headers.push(cellText(values[c]));
+  return headers;
+}
+
+/**
+ * Profile whose fingerprint matches the workbook's header row at the profile's sheet and header row, or null.
+ * @param {import('exceljs').Workbook} workbook
+ * @param {object[]} profiles
+ */
+function matchLayoutProfile(workbook, profiles) {
+  const cache = new Map();
+  for (const profile of profiles) {
+    if (!profile.fingerprint) continue;
+    const cacheKey = `${profile.sheet || ''}\u0000${profile.headerRow}`;
+    if (!cache.has(cacheKey)) {
+      const worksheet = worksheetFor(workbook, profile.sheet);
+      cache.set(cacheKey, worksheet ? headerFingerprint(readHeaderRow(worksheet, profile.headerRow)) : null);
+    }
+    if (cache.get(cacheKey) === profile.fingerprint) return profile;
+  }
+  return null;
+}
+
+function parseLayoutDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  const text = cellText(value);
+  if (!text) return null;
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+}
+
+/**
+ * Data rows below the profile's header row. Rows without a product or a positive price are skipped.
+ * @param {import('exceljs').Workbook} workbook
+ * @param {object} profile
+ * @returns {Array<{ productName: string, unitPrice: number, date: string|null, packText: string|null,
+ *   itemNumber: string|null, rawRow: object }>}
+ */
+function readRowsWithLayout(workbook, profile) {
+  const worksheet = worksheetFor(workbook, profile.sheet);
+  if (!worksheet) {
+    const error = new Error(`Sheet "${profile.sheet}" not found (layout "${profile.name}")`);
+    error.status = 400;
+    throw error;
+  }
+  const columnNumbers = {};
+  COLUMN_KEYS.forEach((key) => {
+    columnNumbers[key] = profile.columns[key] ? columnLetterToNumber(profile.columns[key]) : null;
+  });
+  const read = (row, key) => (columnNumbers[key] ? row.getCell(columnNumbers[key]).value : null);
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber <= profile.headerRow) return;
+    const productName = cellText(read(row, 'product'));
+    const priceStr = cellText(read(row, 'price'));
+    if (!productName || !priceStr) return;
+    const price = parseFloat(priceStr.replace(/[^0-9.-]/g, ''));
+    if (isNaN(price) || price <= 0) return;
+
+    const rawRow = {};
+    COLUMN_KEYS.forEach((key) => {
+      if (profile.columns[key]) rawRow[profile.columns[key]] = read(row, key);
+    });
+    rows.push({
+      productName,
+      unitPrice: price,
+      date: parseLayoutDate(read(row, 'date')),
+      packText: cellText(read(row, 'pack')) || null,
+      itemNumber: cellText(read(row, 'itemNumber')) || null,
+      rawRow
+    });
+  });
+  return rows;
+}
+
+module.exports = {
+  COLUMN_KEYS,
+  DEFAULT_VENDOR_LAYOUTS,
+  columnLetterToNumber,
+  columnNumberToLetter,
+  headerFingerprint,
+  normalizeLayoutProfile,
+  findConflictingLayout,
+  worksheetFor,
+  readHeaderRow,
+  matchLayoutProfile,
+  readRowsWithLayout
+};
@@ -0,0 +1,49 @@
+/**
+ * Vendor identity for price points. Sysco and US Foods uploads have their own slots; generic vendor files
+ * get a name typed next to the file, a vendor/supplier column on each row, or one detected from the file
+ * name, sheet name or header row. Points with none of these are left without a vendor (shown as "Unknown").
+ */
+
+const KNOWN_VENDORS = [
+  { name: 'Sysco', pattern: /\bsysco\b/i },
+  { name: 'US Foods', pattern: /\bus\s*foods\b|\busfoods\b|\busf\b/i },
+  { name: 'Performance Food Group', pattern: /\bpfg\b|performance\s*food/i },
+  { name: 'Gordon Food Service', pattern: /\bgfs\b|gordon\s*food/i },
+  { name: 'Restaurant Depot', pattern: /restaurant\s*depot/i },
+  { name: 'Costco', pattern: /\bcostco\b/i }
+];
+
+const VENDOR_COLUMN_RE = /^\s*(vendor|supplier|distributor)(\s*name)?\s*$/i;
+
+function cleanVendorName(value) {
+  const text = value === null || value === undefined ? '' : String(value).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  // Canonical spelling for known vendors ("SYSCO CHICAGO" -> "Sysco")
+  const known = KNOWN_VENDORS.find((v) => v.pattern.test(text));
+  return known ? known.name : text;
+}
+
+/**
+ * First known vendor mentioned in any of the given strings (file name, sheet name, headers, …), or null.
+ * @param {string[]} texts
+ */
+function detectVendor(texts) {
+  const haystack = texts.filter(Boolean).join(' ').replace(/[_.-]+/g, ' ');
+  const known = KNOWN_VENDORS.find((v) => v.pattern.test(haystack));
+  return known ? known.name : null;
+}
+
+/**
+ * Header of a per-row vendor/supplier column, or null.
+ * @param {string[]} headers
+ */
+function findVendorColumn(headers) {
+  return (headers || []).find((h) => VENDOR_COLUMN_RE.test(String(h || ''))) || null;
+}
+
+module.exports = {
+  KNOWN_VENDORS,
+  cleanVendorName,
+  detectVendor,
+  findVendorColumn
+};
@@ -0,0 +1,149 @@
+/**
+ * Expand an uploaded ZIP of party sheets into the upload directory, as multer-style file objects
+ * ({ originalname, path, mimetype, size, lastModified }) that go through the normal analysis pipeline.
+ *
+ * Safety: entries are written under generated names (never the archive's paths), only PDF/PNG/JPEG
+ * entries are extracted, and the file count, per-file size and total uncompressed size are capped
+ * before anything is written. yauzl checks the actual inflated size against the declared one, so a
+ * zip bomb with lying headers fails instead of filling the disk.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+
+const PARTY_SHEET_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+const DEFAULT_LIMITS = {
+  maxFiles: 50,
+  maxFileBytes: 10 * 1024 * 1024, // same as a single upload
+  maxTotalBytes: 200 * 1024 * 1024,
+  maxEntries: 1000 // folders, readmes, etc. included
+};
+
+function badArchive(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false, validateEntrySizes: true }, (error, zipfile) => {
+      if (error) reject(badArchive(`Not a readable ZIP archive: ${error.message}`));
+      else resolve(zipfile);
+    });
+  });
+}
+
+// Read the central directory only: every entry's name and declared size, nothing inflated yet
+function listEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on('entry', (entry) => {
+      entries.push(entry);
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    // Absolute paths, ".." and the like are rejected by yauzl here
+    zipfile.on('error', (error) => reject(badArchive(`Invalid ZIP archive: ${error.message}`)));
+    zipfile.readEntry();
+  });
+}
+
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+}
+
+function skipReason(entry, limits) {
+  const name = entry.fileName;
+  const base = path.posix.basename(name);
+  if (name.endsWith('/')) return null; // folder
+  if (name.startsWith('__MACOSX/') || base.startsWith('.')) return null; // Finder metadata, dotfiles
+  if (!PARTY_SHEET_TYPES[path.extname(base).toLowerCase()]) return 'not a PDF, PNG or JPEG';
+  if (entry.isEncrypted()) return 'encrypted';
+  if (entry.uncompressedSize > limits.maxFileBytes) return `larger than ${Math.round(limits.maxFileBytes / 1024 / 1024)}MB`;
+  return '';
+}
+
+/**
+ * @param {string} zipPath - uploaded archive (left in place; the caller deletes it)
+ * @param {string} destDir - where extracted files are written
+ * @param {Partial<typeof DEFAULT_LIMITS>} [limits]
+ * @returns {Promise<{ files: object[], skipped: Array<{ filename: string, reason: string }> }>}
+ *   Rejects with `status: 400` when the archive is unreadable or over a limit; nothing is left behind then.
+ */
+async function extractPartySheetsFromZip(zipPath, destDir, limits = {}) {
+  const max = { ...DEFAULT_LIMITS, ...limits };
+  const zipfile = await openZip(zipPath);
+  let entries;
+  try {
+    if (zipfile.entryCount > max.maxEntries) {
+      throw badArchive(`ZIP has ${zipfile.entryCount} entries; the limit is ${max.maxEntries}`);
+    }
+    entries = await listEntries(zipfile);
+  } catch (error) {
+    zipfile.close();
+    throw error;
+  }
+  const wanted = [];
+  const skipped = [];
+  for (const entry of entries) {
+    const reason = skipReason(entry, max);
+    if (reason === '') wanted.push(entry);
+    else if (reason) skipped.push({ filename: entry.fileName, reason });
+  }
+
+  const totalBytes = wanted.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+  let limitError = null;
+  if (wanted.length === 0) limitError = 'ZIP contains no PDF, PNG or JPEG files';
+  else if (wanted.length > max.maxFiles) limitError = `ZIP has ${wanted.length} party sheets; the limit is ${max.maxFiles} per upload`;
+  else if (totalBytes > max.maxTotalBytes) {
+    limitError = `ZIP expands to ${Math.round(totalBytes / 1024 / 1024)}MB; the limit is ${Math.round(max.maxTotalBytes / 1024 / 1024)}MB`;
+  }
+  if (limitError) {
+    zipfile.close();
+    throw badArchive(limitError);
+  }
+
+  const batchId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const files = [];
+  try {
+    for (const entry of wanted) {
+      const ext = path.extname(entry.fileName).toLowerCase();
+      const filePath = path.join(destDir, `zip-${batchId}-${files.length}${ext}`);
+      files.push({
+        originalname: entry.fileName,
+        path: filePath,
+        mimetype: PARTY_SHEET_TYPES[ext],
+        size: entry.uncompressedSize,
+        lastModified: entry.getLastModDate().getTime() // picks the newest revision among duplicates
+      });
+      try {
+        await pipeline(await openEntryStream(zipfile, entry), fs.createWriteStream(filePath));
+      } catch (error) {
+        throw badArchive(`Could not extract ${entry.fileName}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    await Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => {})));
+    throw error;
+  } finally {
+    zipfile.close();
+  }
+
+  return { files, skipped };
+}
+
+module.exports = {
+  PARTY_SHEET_TYPES,
+  extractPartySheetsFromZip
+};
@@ -2,20 +2,68 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const OpenAI = require('openai');
 const ExcelJS = require('exceljs');
 const os = require('os');
 const fssync = require('fs');
 const crypto = require('crypto');
+const { buildPrepSheet } = require('./lib/prep-sheet');
+const {
+  DEFAULT_CONVERSION_TABLE,
+  normalizeConversionRule,
+  validateConversionTable
+} = require('./lib/conversion-rules');
+const { createJsonStore } = require('./lib/json-store');
+const { detectDuplicates } = require('./lib/duplicate-detection');
+const { REPORT_GROUPS, buildRevenueReport } = require('./lib/revenue-report');
+const { validatePartySheet } = require('./lib/party-sheet-validation');
+const { createLlmProvider } = require('./lib/llm-providers');
+const { extractPdfText, renderPdfPages } = require('./lib/pdf-tools');
+const { mergePageAnalyses } = require('./lib/party-sheet-merge');
+const { parsePartySheetTemplate } = require('./lib/party-sheet-template');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { createJobQueue } = require('./lib/jobs');
+const { loadCategoryRegistry } = require('./lib/categories');
+const { allocateTax } = require('./lib/tax-allocation');
+const { normalizePayments, summarizePayments } = require('./lib/payments');
+const { buildReceivables } = require('./lib/receivables');
+const { buildPartySheetWorkbook } = require('./lib/party-sheet-export');
+const { buildEventSummaryPdf, buildKitchenTicketPdf } = require('./lib/event-pdf');
+const { buildEventCalendar } = require('./lib/event-calendar');
+const { normalizeEventDetails } = require('./lib/event-dates');
+const { PARTY_SHEET_TYPES, extractPartySheetsFromZip } = require('./lib/zip-extract');
+const { createFolderWatcher } = require('./lib/folder-watcher');
+const { toLedgerEntry, queryLedger, summarizePriceHistory } = require('./lib/price-ledger');
+const { cleanVendorName, detectVendor, findVendorColumn } = require('./lib/vendors');
+const { normalizeAlertRule, findConflictingRule, evaluatePriceAlerts } = require('./lib/price-alerts');
+const { createNotifiers, sendToNotifiers } = require('./lib/notifiers');
+const { parsePackSize, pricePerBaseUnit, findPackColumn, preferCaseOffer, planOrderLine } = require('./lib/pack-size');
+const {
+  DEFAULT_VENDOR_LAYOUTS,
+  columnNumberToLetter,
+  headerFingerprint,
+  normalizeLayoutProfile,
+  findConflictingLayout,
+  worksheetFor,
+  readHeaderRow,
+  matchLayoutProfile,
+  readRowsWithLayout
+} = require('./lib/vendor-layouts');
 require('dotenv').config();
 
 const app = express();
 const PORT = 3000;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Progress logging for analyses and vendor files; QUIET_LOGS=1 turns it off (tests). Errors still go to console.error.
+const log = process.env.QUIET_LOGS ? () => {} : (...args) => console.log(...args);
+
+// Revenue categories (prompt, breakdown keys, labels); see lib/categories.js
+const categoryRegistry = loadCategoryRegistry();
+
+// LLM provider for extraction calls (OpenAI by default; see lib/llm-providers.js for LLM_PROVIDER options)
+const llm = createLlmProvider();
+
+// In-process background jobs need a server that keeps running after it responds, which Vercel's functions don't
+const backgroundJobsAvailable = !process.env.VERCEL && !process.env.NOW;
 
 // Configure multer for file uploads
 // Use /tmp directory on Vercel (serverless), otherwise use ./uploads for local
@@ -93,6 +141,36 @@ const biweeklyUpload = multer({
   }
 });
 
+// Multer for a ZIP of party sheets; what's inside is capped separately (PARTY_SHEET_ZIP_LIMITS)
+const zipUpload = multer({
+  storage: storage,
+  limits: { fileSize: (parseInt(process.env.PARTY_SHEET_ZIP_MAX_UPLOAD_MB, 10) || 100) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.zip')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only ZIP archives are allowed'));
+    }
+  }
+});
+
+// Local JSON data (conversion table, event history, …). Vercel only allows writes under /tmp, so data there is ephemeral.
+const dataDir = process.env.DATA_DIR || (process.env.VERCEL || process.env.NOW ? path.join(os.tmpdir(), 'onpar-data') : './data');
+const conversionRuleStore = createJsonStore(path.join(dataDir, 'conversion-rules.json'), {
+  seed: () => DEFAULT_CONVERSION_TABLE
+});
+const eventStore = createJsonStore(path.join(dataDir, 'events.json'));
+const vendorPriceStore = createJsonStore(path.join(dataDir, 'vendor-prices.json'));
+const priceAlertRuleStore = createJsonStore(path.join(dataDir, 'price-alert-rules.json'));
+const productUsageStore = createJsonStore(path.join(dataDir, 'product-usage.json'));
+const sentPriceAlertStore = createJsonStore(path.join(dataDir, 'sent-price-alerts.json'));
+const vendorLayoutStore = createJsonStore(path.join(dataDir, 'vendor-layouts.json'), {
+  seed: () => DEFAULT_VENDOR_LAYOUTS
+});
+
+// Price alert delivery (log file, webhook, email); see lib/notifiers.js for PRICE_ALERT_NOTIFIERS options
+const priceAlertNotifiers = createNotifiers(process.env, { dataDir });
+
 async function downloadUrlToFile(url, targetPath, { expectExt, expectContentTypes }) {
   const res = await fetch(url, { redirect: 'follow' });
   if (!res.ok) {
@@ -115,6 +193,7 @@ async function downloadUrlToFile(url, targetPath, { expectExt, expectContentType
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.json({ limit: '10mb' }));
 
 // Convert PDF to base64 for OpenAI Vision API
 async function pdfToBase64(pdfPath) {
@@ -136,24 +215,96 @@ async function imageToBase64(imagePath) {
   }
 }
 
-// Analyze party sheet (PDF or PNG) with OpenAI
-async function analyzePartySheet(filePath, mimeType) {
+// Model replies should be bare JSON (json_object mode), but some wrap it in markdown
+function parseJsonContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (parseError) {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) return JSON.parse(jsonMatch[0]);
+    throw new Error(`Could not parse JSON from ${llm.name} response: ${content.substring(0, 200)}`);
+  }
+}
+
+// Vision models take page images, not PDFs: render the pages locally and send PDF_PAGES_PER_REQUEST per call.
+// If the PDF can't be rendered here, fall back to sending it whole as a data URL (first pages only on most models).
+const PDF_PAGES_PER_REQUEST = Math.max(1, parseInt(process.env.PDF_PAGES_PER_REQUEST, 10) || 4);
+const PDF_MAX_PAGES = Math.max(1, parseInt(process.env.PDF_MAX_PAGES, 10) || 20);
+
+async function pdfPageBatches(filePath, fileHash) {
+  let rendered = null;
+  try {
+    rendered = await renderPdfPages(filePath, { width: 1600, maxPages: PDF_MAX_PAGES });
+  } catch (error) {
+    console.error(`Could not render ${path.basename(filePath)} to images, sending the PDF as-is:`, error.message);
+  }
+
+  if (!rendered || rendered.pages.length === 0) {
+    const base64Pdf = await pdfToBase64(filePath);
+    return [{
+      text: "Analyze this party event contract PDF and extract the financial breakdown:",
+      imageUrls: [`data:application/pdf;base64,${base64Pdf}`],
+      fixtureKey: fileHash
+    }];
+  }
+
+  const { pages, totalPages } = rendered;
+  if (totalPages > pages.length) {
+    console.warn(`${path.basename(filePath)} has ${totalPages} pages; only the first ${pages.length} are analyzed (PDF_MAX_PAGES)`);
+  }
+  if (pages.length <= PDF_PAGES_PER_REQUEST) {
+    return [{
+      text: `Analyze this party event contract (${pages.length} page${pages.length === 1 ? '' : 's'}) and extract the financial breakdown:`,
+      imageUrls: pages.map(p => p.dataUrl),
+      fixtureKey: fileHash
+    }];
+  }
+
+  const batches = [];
+  for (let i = 0; i < pages.length; i += PDF_PAGES_PER_REQUEST) {
+    const chunk = pages.slice(i, i + PDF_PAGES_PER_REQUEST);
+    const from = chunk[0].pageNumber;
+    const to = chunk[chunk.length - 1].pageNumber;
+    batches.push({
+      text: `These are pages ${from}-${to} of a ${totalPages}-page party event contract. Extract the financial breakdown from these pages only; use null for event details or totals that don't appear on them:`,
+      imageUrls: chunk.map(p => p.dataUrl),
+      fixtureKey: [`${fileHash}-pages-${from}-${to}`, fileHash]
+    });
+  }
+  return batches;
+}
+
+// Our own booking system's PDFs have a text layer with a fixed layout; read those without the LLM.
+// Returns null (use the LLM) for scans, other layouts, or PARTY_SHEET_TEMPLATE_PARSER=off.
+async function analyzePartySheetFromTemplate(filePath) {
+  if (String(process.env.PARTY_SHEET_TEMPLATE_PARSER || '').toLowerCase() === 'off') return null;
+  try {
+    const pages = await extractPdfText(filePath);
+    if (!pages.some((text) => text.trim())) return null;
+    const parsed = parsePartySheetTemplate(pages, { categorize: (description) => categoryRegistry.categorize(description) });
+    if (!parsed.recognized) {
+      log(`Template parser skipped ${path.basename(filePath)}: ${parsed.reason}`);
+      return null;
+    }
+    return parsed.analysis;
+  } catch (error) {
+    console.error('Template parser error (falling back to LLM):', error.message);
+    return null;
+  }
+}
+
+// Analyze party sheet (PDF or PNG): template parser for our own PDFs, otherwise the configured LLM provider.
+// fileHash keys mock fixtures; it's computed here when the caller doesn't already have it.
+async function analyzePartySheet(filePath, mimeType, fileHash) {
+  if (mimeType === 'application/pdf') {
+    const fromTemplate = await analyzePartySheetFromTemplate(filePath);
+    if (fromTemplate) return { ...fromTemplate, extractionMethod: 'template' };
+  }
+
   try {
     const systemPrompt = `You are an expert at analyzing party event contracts and extracting financial information from documents or images. 
           Extract all line items and categorize them into:
-          1. FOOD - food items including:
-             - Packages like "Front Nine", "Full Course" (food portion), taco bars
-             - Food platters: wings, tater kegs, pretzel bites, garden salad, vegetable trays, chicken tenders, cookies, sauces, loaded fries, beer cheese, and any other food items
-             - Each food platter item should be listed as a separate line item with its quantity, price, and total
-          2. DRINKS - drink packages like "Back Nine", preloaded RFID amounts, drink bracelets, preloaded drinks
-          3. ENTERTAINMENT - categorize each entertainment item specifically:
-             - BOWLING - bowling lanes, duckpin bowling
-             - DARTS - darts lanes, dart games
-             - MINI_GOLF - mini golf
-             - SHUFFLEBOARD - shuffleboard
-             - KARAOKE - karaoke
-             - OTHER_ENTERTAINMENT - any other entertainment items
-          4. BOOKING_FEE - any booking fees, setup fees, or administrative charges
+          ${categoryRegistry.promptSection().replace(/\n/g, '\n          ')}
           
           IMPORTANT RULES FOR COST BREAKDOWN:
           - If you see "Full Course" for X people with $Y drink bracelets/preloaded drinks:
@@ -166,15 +317,16 @@ async function analyzePartySheet(filePath, mimeType) {
           - "Back Nine" = Drinks only (preloaded RFID amount)
           - "Full Course" = Food + Drinks (must split)
           
-          - Look for entertainment items like:
-            * Bowling lanes (per hour, per lane)
-            * Darts (per hour, per lane)
-            * Duckpin Bowling (per hour, per lane)
-            * Karaoke
-            * Shuffleboard
-            * Mini Golf
+          - Use the most specific category for every line; e.g. lanes and activities go in their own category, not FOOD
+          
+          - Sales tax, auto-gratuity and service charges are their own line items (TAX, GRATUITY, SERVICE_CHARGE) with quantity 1 and the printed amount - never fold them into FOOD or leave them out
+          - If a TAX line only covers one category (e.g. a liquor tax on drinks), set appliesTo to that category; otherwise appliesTo is null
           
-          - Look for booking fees at the bottom of the document - these should be categorized as BOOKING_FEE
+          - Copy the document's printed subtotal (before tax/gratuity) into statedTotals.subtotal exactly as printed - do not compute it. Use null if none is printed.
+          - Copy the printed total after tax, gratuity and service charges (before any deposit) into statedTotals.total. Use null if none is printed.
+          
+          - Deposits and payments already received are NOT line items: list each one in payments (type DEPOSIT or PAYMENT, amount, date and payment method as printed, e.g. "Visa", "Check #1042")
+          - Copy the printed balance due / amount remaining into statedTotals.balanceDue. Use null if none is printed.
           
           Return ONLY a valid JSON object with this exact structure (no markdown, no code blocks):
           {
@@ -191,7 +343,8 @@ async function analyzePartySheet(filePath, mimeType) {
                 "quantity": number,
                 "unitPrice": number,
                 "total": number,
-                "category": "FOOD" | "DRINKS" | "BOWLING" | "DARTS" | "MINI_GOLF" | "SHUFFLEBOARD" | "KARAOKE" | "OTHER_ENTERTAINMENT" | "BOOKING_FEE",
+                "category": ${categoryRegistry.promptEnum()},
+                "appliesTo": category or null (TAX lines only),
                 "notes": "string or null"
               }
             ],
@@ -199,142 +352,112 @@ async function analyzePartySheet(filePath, mimeType) {
               "quantity": number,
               "pricePerPerson": number,
               "total": number
-            } or null
+            } or null,
+            "payments": [
+              {
+                "type": "DEPOSIT" | "PAYMENT",
+                "amount": number,
+                "date": "string or null",
+                "method": "string or null"
+              }
+            ],
+            "statedTotals": {
+              "subtotal": number or null,
+              "total": number or null,
+              "balanceDue": number or null
+            }
           }
           
           Make sure all numbers are actual numbers, not strings. Calculate totals correctly.`;
 
-    let messages;
+    // One request per batch of images; long PDFs take several, merged afterwards
+    const key = fileHash || await hashFile(filePath);
+    let batches;
 
     if (mimeType === 'application/pdf') {
-      // Handle PDF: use Vision API (same as PNG)
-      const base64Pdf = await pdfToBase64(filePath);
-      messages = [
-        {
-          role: "system",
-          content: systemPrompt
-        },
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: "Analyze this party event contract PDF and extract the financial breakdown:"
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:application/pdf;base64,${base64Pdf}`
-              }
-            }
-          ]
-        }
-      ];
+      batches = await pdfPageBatches(filePath, key);
     } else if (mimeType === 'image/png' || mimeType === 'image/jpeg' || mimeType === 'image/jpg') {
       // Handle images (PNG, JPEG): use Vision API
       const base64Image = await imageToBase64(filePath);
       const imageMimeType = mimeType === 'image/jpeg' || mimeType === 'image/jpg' ? 'image/jpeg' : 'image/png';
-      messages = [
-        {
-          role: "system",
-          content: systemPrompt
-        },
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: "Analyze this party event contract image and extract the financial breakdown:"
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:${imageMimeType};base64,${base64Image}`
-              }
-            }
-          ]
-        }
-      ];
+      batches = [{
+        text: "Analyze this party event contract image and extract the financial breakdown:",
+        imageUrls: [`data:${imageMimeType};base64,${base64Image}`],
+        fixtureKey: key
+      }];
     } else {
       throw new Error('Unsupported file type');
     }
-    
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: messages,
-      response_format: { type: "json_object" },
-      max_tokens: 2000
-    });
 
-    const content = response.choices[0].message.content;
-    
-    // Parse JSON response
-    let jsonData;
-    try {
-      jsonData = JSON.parse(content);
-    } catch (parseError) {
-      // Try to extract JSON if wrapped in markdown
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonData = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error(`Could not parse JSON from OpenAI response: ${content.substring(0, 200)}`);
-      }
+    const analyses = [];
+    for (const batch of batches) {
+      const content = await llm.completeJson({
+        task: 'party-sheet',
+        fixtureKey: batch.fixtureKey,
+        messages: [
+          {
+            role: "system",
+            content: systemPrompt
+          },
+          {
+            role: "user",
+            content: [
+              { type: "text", text: batch.text },
+              ...batch.imageUrls.map(url => ({ type: "image_url", image_url: { url } }))
+            ]
+          }
+        ],
+        maxTokens: 2000
+      });
+      analyses.push(parseJsonContent(content));
     }
+    const jsonData = analyses.length === 1 ? analyses[0] : mergePageAnalyses(analyses);
 
     // Log line items for debugging
     if (jsonData.lineItems) {
-      console.log(`Found ${jsonData.lineItems.length} line items`);
+      log(`Found ${jsonData.lineItems.length} line items`);
       if (jsonData.lineItems.length > 0) {
-        console.log('Sample line item:', JSON.stringify(jsonData.lineItems[0], null, 2));
+        log('Sample line item:', JSON.stringify(jsonData.lineItems[0], null, 2));
       }
     } else {
-      console.log('No lineItems found in OpenAI response');
+      log(`No lineItems found in ${llm.name} response`);
     }
 
-    return jsonData;
+    return { ...jsonData, extractionMethod: 'llm' };
   } catch (error) {
-    throw new Error(`OpenAI analysis error: ${error.message}`);
+    throw new Error(`LLM analysis error (${llm.name}): ${error.message}`);
   }
 }
 
-// Process cost breakdown
+// Validation warnings, with the registry deciding which lines are charges (tax etc.) rather than items
+function partySheetWarnings(breakdown) {
+  return validatePartySheet(breakdown, {
+    isCharge: (category) => {
+      const found = categoryRegistry.find(category);
+      return !!(found && found.charge);
+    }
+  });
+}
+
+// Process cost breakdown: one total per registry category (food, drinks, bowling, ..., tax, gratuity),
+// group totals (entertainment), preTaxTotal and grandTotal (after tax and charges), with the Full Course
+// preloaded drinks moved from food to drinks and tax allocated per revenue category in taxByCategory.
+// Deposits/payments give amountPaid and balanceDue.
 function processCostBreakdown(analysisResult) {
-  let foodTotal = 0;
-  let drinksTotal = 0;
-  let bowlingTotal = 0;
-  let dartsTotal = 0;
-  let miniGolfTotal = 0;
-  let shuffleboardTotal = 0;
-  let karaokeTotal = 0;
-  let otherEntertainmentTotal = 0;
-  let bookingFeeTotal = 0;
-
-  // Process line items
+  const totals = categoryRegistry.emptyTotals();
+  const taxLines = [];
+
+  // Process line items (legacy ENTERTAINMENT maps to OTHER_ENTERTAINMENT through the registry aliases).
+  // A line with a missing or unknown category is placed by its description's keywords.
   if (analysisResult.lineItems && Array.isArray(analysisResult.lineItems)) {
     analysisResult.lineItems.forEach(item => {
-      const amount = item.total || 0;
-      const category = item.category || '';
-      
-      if (category === 'FOOD') {
-        foodTotal += amount;
-      } else if (category === 'DRINKS') {
-        drinksTotal += amount;
-      } else if (category === 'BOWLING') {
-        bowlingTotal += amount;
-      } else if (category === 'DARTS') {
-        dartsTotal += amount;
-      } else if (category === 'MINI_GOLF') {
-        miniGolfTotal += amount;
-      } else if (category === 'SHUFFLEBOARD') {
-        shuffleboardTotal += amount;
-      } else if (category === 'KARAOKE') {
-        karaokeTotal += amount;
-      } else if (category === 'OTHER_ENTERTAINMENT' || category === 'ENTERTAINMENT') {
-        // Handle legacy ENTERTAINMENT category or other entertainment
-        otherEntertainmentTotal += amount;
-      } else if (category === 'BOOKING_FEE') {
-        bookingFeeTotal += amount;
+      const category = categoryRegistry.categoryOf(item);
+      if (category) {
+        totals[category.key] += item.total || 0;
+      }
+      if (category && category.key === 'tax') {
+        const appliesTo = categoryRegistry.find(item.appliesTo);
+        taxLines.push({ total: item.total || 0, appliesTo: appliesTo && appliesTo.taxable ? appliesTo.key : null });
       }
     });
   }
@@ -342,251 +465,832 @@ function processCostBreakdown(analysisResult) {
   // Handle preloaded drinks - subtract from food, add to drinks
   if (analysisResult.preloadedDrinks && analysisResult.preloadedDrinks.total) {
     const preloadedAmount = analysisResult.preloadedDrinks.total;
-    foodTotal = Math.max(0, foodTotal - preloadedAmount);
-    drinksTotal += preloadedAmount;
+    totals.food = Math.max(0, totals.food - preloadedAmount);
+    totals.drinks += preloadedAmount;
   }
 
-  // Calculate total entertainment for backward compatibility
-  const entertainmentTotal = bowlingTotal + dartsTotal + miniGolfTotal + shuffleboardTotal + karaokeTotal + otherEntertainmentTotal;
-
   // Also check if totals are provided directly (legacy support)
   if (analysisResult.totals) {
-    if (analysisResult.totals.food !== undefined) {
-      foodTotal = analysisResult.totals.food;
-    }
-    if (analysisResult.totals.drinks !== undefined) {
-      drinksTotal = analysisResult.totals.drinks;
-    }
-    if (analysisResult.totals.bookingFee !== undefined) {
-      bookingFeeTotal = analysisResult.totals.bookingFee;
-    }
+    ['food', 'drinks', 'bookingFee'].forEach(key => {
+      if (analysisResult.totals[key] !== undefined && key in totals) {
+        totals[key] = analysisResult.totals[key];
+      }
+    });
   }
 
-  const grandTotal = foodTotal + drinksTotal + entertainmentTotal + bookingFeeTotal;
+  // Group totals (e.g. entertainment) for backward compatibility and reporting
+  categoryRegistry.groups.forEach(group => {
+    totals[group.key] = categoryRegistry.categories
+      .filter(c => c.group === group.id)
+      .reduce((sum, c) => sum + totals[c.key], 0);
+  });
+
+  const preTaxTotal = categoryRegistry.revenue.reduce((sum, c) => sum + totals[c.key], 0);
+  const grandTotal = preTaxTotal + categoryRegistry.charges.reduce((sum, c) => sum + totals[c.key], 0);
+
+  const breakdown = {};
+  Object.keys(totals).forEach(key => {
+    breakdown[key] = parseFloat(totals[key].toFixed(2));
+  });
+
+  // A single "Sales Tax" line is shared by the taxable categories in proportion to their amounts
+  const taxable = {};
+  categoryRegistry.revenue.filter(c => c.taxable).forEach(c => {
+    taxable[c.key] = breakdown[c.key];
+  });
+  const { byCategory: taxByCategory, unallocated } = allocateTax(taxLines, taxable);
+  categoryRegistry.groups.forEach(group => {
+    const groupTax = categoryRegistry.revenue
+      .filter(c => c.group === group.id)
+      .reduce((sum, c) => sum + (taxByCategory[c.key] || 0), 0);
+    if (groupTax) taxByCategory[group.key] = parseFloat(groupTax.toFixed(2));
+  });
+  if (unallocated) taxByCategory.unallocated = unallocated;
+
+  const roundedGrandTotal = parseFloat(grandTotal.toFixed(2));
+  const payments = normalizePayments(analysisResult.payments);
 
   return {
-    food: parseFloat(foodTotal.toFixed(2)),
-    drinks: parseFloat(drinksTotal.toFixed(2)),
-    bowling: parseFloat(bowlingTotal.toFixed(2)),
-    darts: parseFloat(dartsTotal.toFixed(2)),
-    miniGolf: parseFloat(miniGolfTotal.toFixed(2)),
-    shuffleboard: parseFloat(shuffleboardTotal.toFixed(2)),
-    karaoke: parseFloat(karaokeTotal.toFixed(2)),
-    otherEntertainment: parseFloat(otherEntertainmentTotal.toFixed(2)),
-    entertainment: parseFloat(entertainmentTotal.toFixed(2)), // Total for backward compatibility
-    bookingFee: parseFloat(bookingFeeTotal.toFixed(2)),
-    grandTotal: parseFloat(grandTotal.toFixed(2)),
+    ...breakdown,
+    preTaxTotal: parseFloat(preTaxTotal.toFixed(2)),
+    grandTotal: roundedGrandTotal,
+    taxByCategory,
+    payments,
+    ...summarizePayments(payments, roundedGrandTotal),
     lineItems: analysisResult.lineItems || [],
     eventDetails: analysisResult.eventDetails || {},
-    preloadedDrinks: analysisResult.preloadedDrinks || null
+    preloadedDrinks: analysisResult.preloadedDrinks || null,
+    statedTotals: analysisResult.statedTotals || null
   };
 }
 
-// Upload endpoint - accepts up to 10 PDFs, PNGs, or JPEGs
-app.post('/api/upload', upload.array('pdfs', 10), async (req, res) => {
-  try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
+// Conversion table CRUD (kitchen prep sheet). Every write re-validates the whole table so each
+// menu item's guest brackets stay contiguous from 1 with no overlaps or gaps.
+function stripStoreFields(rule) {
+  const { id, createdAt, updatedAt, ...rest } = rule;
+  return rest;
+}
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
-    }
+function checkConversionTable(rules) {
+  return validateConversionTable(rules.map((r) => normalizeConversionRule(stripStoreFields(r)).rule));
+}
 
-    const results = [];
+app.get('/api/conversion-rules', async (req, res) => {
+  try {
+    const rules = await conversionRuleStore.list();
+    rules.sort((a, b) => a.menuItem.localeCompare(b.menuItem) || a.minGuests - b.minGuests);
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Conversion rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Process each uploaded file (PDF or PNG)
-    for (const file of req.files) {
-      try {
-        console.log(`Analyzing ${file.originalname}...`);
-        const analysis = await analyzePartySheet(file.path, file.mimetype);
-        const breakdown = processCostBreakdown(analysis);
-        
-        console.log(`Breakdown for ${file.originalname}:`, {
-          food: breakdown.food,
-          drinks: breakdown.drinks,
-          entertainment: breakdown.entertainment,
-          bookingFee: breakdown.bookingFee,
-          lineItemsCount: breakdown.lineItems ? breakdown.lineItems.length : 0
-        });
-        
-        results.push({
-          filename: file.originalname,
-          breakdown: breakdown,
-          rawAnalysis: analysis
-        });
+app.post('/api/conversion-rules', async (req, res) => {
+  try {
+    const { rule, errors } = normalizeConversionRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid conversion rule', details: errors });
+    }
+    const existing = await conversionRuleStore.list();
+    const tableErrors = checkConversionTable([...existing, rule]);
+    if (tableErrors.length > 0) {
+      return res.status(400).json({ error: 'Conversion table brackets are invalid', details: tableErrors });
+    }
+    const created = await conversionRuleStore.insert(rule);
+    res.status(201).json({ success: true, rule: created });
+  } catch (error) {
+    console.error('Conversion rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        // Clean up uploaded file
-        await fs.unlink(file.path);
-      } catch (error) {
-        console.error(`Error processing ${file.originalname}:`, error);
-        results.push({
-          filename: file.originalname,
-          error: error.message
-        });
-        
-        // Clean up file even on error
-        try {
-          await fs.unlink(file.path);
-        } catch (unlinkError) {
-          console.error('Error deleting file:', unlinkError);
-        }
-      }
+// Replace the whole table in one write (the admin tab saves this way so neighbouring brackets can move together)
+app.put('/api/conversion-rules', async (req, res) => {
+  try {
+    const input = req.body && Array.isArray(req.body.rules) ? req.body.rules : null;
+    if (!input) return res.status(400).json({ error: 'Expected { rules: [...] }' });
+
+    const errors = [];
+    const rules = input.map((r) => {
+      const normalized = normalizeConversionRule(r);
+      errors.push(...normalized.errors);
+      return { ...normalized.rule, id: r.id };
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid conversion rule', details: errors });
+    }
+    const tableErrors = checkConversionTable(rules);
+    if (tableErrors.length > 0) {
+      return res.status(400).json({ error: 'Conversion table brackets are invalid', details: tableErrors });
     }
+    const saved = await conversionRuleStore.replaceAll(rules);
+    res.json({ success: true, rules: saved });
+  } catch (error) {
+    console.error('Conversion rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Calculate combined totals across all files
-    const combinedTotals = results
-      .filter(r => !r.error && r.breakdown)
-      .reduce((totals, result) => {
-        return {
-          food: totals.food + (result.breakdown.food || 0),
-          drinks: totals.drinks + (result.breakdown.drinks || 0),
-          bowling: totals.bowling + (result.breakdown.bowling || 0),
-          darts: totals.darts + (result.breakdown.darts || 0),
-          miniGolf: totals.miniGolf + (result.breakdown.miniGolf || 0),
-          shuffleboard: totals.shuffleboard + (result.breakdown.shuffleboard || 0),
-          karaoke: totals.karaoke + (result.breakdown.karaoke || 0),
-          otherEntertainment: totals.otherEntertainment + (result.breakdown.otherEntertainment || 0),
-          bookingFee: totals.bookingFee + (result.breakdown.bookingFee || 0),
-          grandTotal: totals.grandTotal + (result.breakdown.grandTotal || 0)
-        };
-      }, { food: 0, drinks: 0, bowling: 0, darts: 0, miniGolf: 0, shuffleboard: 0, karaoke: 0, otherEntertainment: 0, bookingFee: 0, grandTotal: 0 });
-
-    // Calculate total entertainment
-    const totalEntertainment = combinedTotals.bowling + combinedTotals.darts + combinedTotals.miniGolf + combinedTotals.shuffleboard + combinedTotals.karaoke + combinedTotals.otherEntertainment;
+app.put('/api/conversion-rules/:id', async (req, res) => {
+  try {
+    const current = await conversionRuleStore.get(req.params.id);
+    if (!current) return res.status(404).json({ error: 'Conversion rule not found' });
 
-    res.json({
-      success: true,
-      results: results,
-      combinedTotals: {
-        food: parseFloat(combinedTotals.food.toFixed(2)),
-        drinks: parseFloat(combinedTotals.drinks.toFixed(2)),
-        bowling: parseFloat(combinedTotals.bowling.toFixed(2)),
-        darts: parseFloat(combinedTotals.darts.toFixed(2)),
-        miniGolf: parseFloat(combinedTotals.miniGolf.toFixed(2)),
-        shuffleboard: parseFloat(combinedTotals.shuffleboard.toFixed(2)),
-        karaoke: parseFloat(combinedTotals.karaoke.toFixed(2)),
-        otherEntertainment: parseFloat(combinedTotals.otherEntertainment.toFixed(2)),
-        entertainment: parseFloat(totalEntertainment.toFixed(2)), // Total for reference
-        bookingFee: parseFloat(combinedTotals.bookingFee.toFixed(2)),
-        grandTotal: parseFloat(combinedTotals.grandTotal.toFixed(2))
-      },
-      summary: {
-        totalFiles: results.length,
-        successful: results.filter(r => !r.error).length,
-        failed: results.filter(r => r.error).length
-      }
-    });
+    const { rule, errors } = normalizeConversionRule({ ...stripStoreFields(current), ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid conversion rule', details: errors });
+    }
+    const others = (await conversionRuleStore.list()).filter((r) => r.id !== current.id);
+    const tableErrors = checkConversionTable([...others, rule]);
+    if (tableErrors.length > 0) {
+      return res.status(400).json({ error: 'Conversion table brackets are invalid', details: tableErrors });
+    }
+    const updated = await conversionRuleStore.update(current.id, rule);
+    res.json({ success: true, rule: updated });
   } catch (error) {
-    console.error('Upload error:', error);
+    console.error('Conversion rules error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Read Excel file and get first sheet data
-async function readExcelFile(filePath) {
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.readFile(filePath);
-  const worksheet = workbook.worksheets[0];
-  
-  const data = [];
-  worksheet.eachRow((row, rowNumber) => {
-    const rowData = {};
-    row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
-      const header = worksheet.getRow(1).getCell(colNumber).value?.toString() || `Column${colNumber}`;
-      rowData[header] = cell.value;
-    });
-    if (rowNumber > 1) { // Skip header row
-      data.push(rowData);
+app.delete('/api/conversion-rules/:id', async (req, res) => {
+  try {
+    const all = await conversionRuleStore.list();
+    if (!all.some((r) => r.id === req.params.id)) {
+      return res.status(404).json({ error: 'Conversion rule not found' });
     }
-  });
-  
+    const tableErrors = checkConversionTable(all.filter((r) => r.id !== req.params.id));
+    if (tableErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Deleting this bracket would leave a gap; delete from the largest bracket down or edit a neighbour first',
+        details: tableErrors
+      });
+    }
+    await conversionRuleStore.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Conversion rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function hashFile(filePath) {
+  const buf = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+// Event history: one record per analyzed party sheet. Event fields are copied to the top level for list/search.
+function eventFieldsFromBreakdown(breakdown) {
+  const details = breakdown.eventDetails || {};
   return {
-    headers: worksheet.getRow(1).values.slice(1).map(v => v?.toString() || ''),
-    data: data
+    eventName: details.eventName || null,
+    date: details.date || null,
+    time: details.time || null,
+    isoDate: details.isoDate || null,
+    startTime: details.startTime || null,
+    guests: details.guests || null,
+    contact: details.contact || null
   };
 }
 
-// Read and parse CSV file (supports quoted fields)
-function detectCsvDelimiter(csvText) {
-  // Heuristic: choose the delimiter that appears more in the first non-empty line.
-  const firstLine = csvText.split(/\r?\n/).find(l => l && l.trim().length > 0) || '';
-  const commaCount = (firstLine.match(/,/g) || []).length;
-  const semiCount = (firstLine.match(/;/g) || []).length;
-  return semiCount > commaCount ? ';' : ',';
+// extractionMethod: 'template' or 'llm', for the export's "Read by" column (null on events saved before it was kept)
+function toEventRecord(filename, fileHash, breakdown, extractionMethod) {
+  return {
+    ...eventFieldsFromBreakdown(breakdown),
+    sourceFilename: filename,
+    fileHash,
+    extractionMethod: extractionMethod || null,
+    breakdown
+  };
 }
 
-function parseCsvRows(csvText, delimiter) {
-  const rows = [];
-  let row = [];
-  let field = '';
-  let inQuotes = false;
+function toEventSummary(event) {
+  return {
+    id: event.id,
+    eventName: event.eventName,
+    date: event.date,
+    time: event.time,
+    isoDate: event.isoDate || null,
+    startTime: event.startTime || null,
+    guests: event.guests,
+    contact: event.contact,
+    sourceFilename: event.sourceFilename,
+    grandTotal: event.breakdown ? event.breakdown.grandTotal : null,
+    balanceDue: event.breakdown && typeof event.breakdown.balanceDue === 'number' ? event.breakdown.balanceDue : null,
+    supersededBy: event.supersededBy || null,
+    createdAt: event.createdAt
+  };
+}
 
-  for (let i = 0; i < csvText.length; i++) {
-    const char = csvText[i];
+/**
+ * Flag duplicate party sheets (same file hash, or same event name + date + contact) within the batch
+ * and against event history, then save the batch to history. With keepLatestOnly, older revisions are
+ * excluded from combined totals and marked `supersededBy` the newest revision in the history store.
+ * A file already in history (same hash) is never saved again, checkbox or not: the result points at the
+ * existing record (`alreadyInHistory`), and a repeat of a file within the batch (`repeatOf`) is left out of
+ * its totals.
+ */
+async function recordPartySheetResults(results, { keepLatestOnly }) {
+  const analyzed = results.filter((r) => !r.error && r.breakdown);
+  if (analyzed.length === 0) return;
 
-    if (char === '"') {
-      if (inQuotes && csvText[i + 1] === '"') {
-        // Escaped quote
-        field += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
+  let storedEvents = [];
+  try {
+    storedEvents = await eventStore.list();
+  } catch (error) {
+    console.error('Error loading event history for duplicate check:', error);
+  }
 
-    if (!inQuotes && char === delimiter) {
-      row.push(field);
-      field = '';
-      continue;
-    }
+  const flags = detectDuplicates(
+    analyzed.map((r) => ({
+      filename: r.filename,
+      fileHash: r.fileHash,
+      eventDetails: r.breakdown.eventDetails,
+      lastModified: r.lastModified
+    })),
+    storedEvents
+  );
 
-    if (!inQuotes && (char === '\n' || char === '\r')) {
-      // Handle CRLF
-      if (char === '\r' && csvText[i + 1] === '\n') i++;
-      row.push(field);
-      field = '';
+  const firstIndexByHash = new Map();
+  analyzed.forEach((r, i) => {
+    r.duplicates = flags[i].duplicates;
+    const newerIdx = flags[i].supersededByIndex;
+    if (newerIdx !== null) {
+      r.supersededBy = analyzed[newerIdx].filename;
+      if (keepLatestOnly) r.excludedFromTotals = true;
+    }
+    if (r.fileHash && !firstIndexByHash.has(r.fileHash)) firstIndexByHash.set(r.fileHash, i);
+    if (firstIndexByHash.get(r.fileHash) !== i) {
+      r.repeatOf = analyzed[firstIndexByHash.get(r.fileHash)].filename;
+      if (!keepLatestOnly) r.excludedFromTotals = true;
+    }
+  });
 
-      // Avoid adding a final empty row
-      const isRowEmpty = row.every(c => (c === null || c === undefined || c.toString().trim() === ''));
-      if (!isRowEmpty) rows.push(row);
+  // Stored records by file hash, active ones first (a superseded copy is still the same file)
+  const storedByHash = new Map();
+  storedEvents
+    .filter((ev) => ev.fileHash)
+    .sort((a, b) => !!a.supersededBy - !!b.supersededBy)
+    .forEach((ev) => {
+      if (!storedByHash.has(ev.fileHash)) storedByHash.set(ev.fileHash, ev);
+    });
 
-      row = [];
+  // Keep a history record; a storage failure shouldn't lose the analysis itself
+  for (const [i, r] of analyzed.entries()) {
+    const stored = storedByHash.get(r.fileHash);
+    if (stored) {
+      r.eventId = stored.id;
+      r.alreadyInHistory = true;
       continue;
     }
-
-    field += char;
+    const firstIdx = firstIndexByHash.get(r.fileHash);
+    if (firstIdx !== undefined && firstIdx !== i) {
+      r.eventId = analyzed[firstIdx].eventId;
+      continue;
+    }
+    try {
+      const saved = await eventStore.insert(toEventRecord(r.filename, r.fileHash, r.breakdown, r.extractionMethod));
+      r.eventId = saved.id;
+    } catch (storeError) {
+      console.error(`Error saving event history for ${r.filename}:`, storeError);
+    }
   }
 
-  // Flush last field/row
-  row.push(field);
-  const isRowEmpty = row.every(c => (c === null || c === undefined || c.toString().trim() === ''));
-  if (!isRowEmpty) rows.push(row);
-
-  return rows;
-}
-
-async function readCsvFile(filePath) {
-  let csvText = await fs.readFile(filePath, 'utf8');
-  if (csvText.charCodeAt(0) === 0xfeff) {
-    csvText = csvText.slice(1);
-  } else if (csvText.startsWith('\uFEFF')) {
-    csvText = csvText.slice(1);
+  if (!keepLatestOnly) return;
+  for (let i = 0; i < analyzed.length; i++) {
+    const newestIdx = flags[i].supersededByIndex !== null ? flags[i].supersededByIndex : i;
+    const newestId = analyzed[newestIdx].eventId;
+    if (!newestId) continue;
+    const olderIds = new Set(flags[i].historyMatchIds);
+    if (newestIdx !== i && analyzed[i].eventId) olderIds.add(analyzed[i].eventId);
+    // An identical file shares the newest revision's record, which mustn't supersede itself
+    olderIds.delete(newestId);
+    for (const id of olderIds) {
+      try {
+        await eventStore.update(id, { supersededBy: newestId });
+      } catch (storeError) {
+        console.error(`Error marking event ${id} as superseded:`, storeError);
+      }
+    }
   }
-  const delimiter = detectCsvDelimiter(csvText);
-  return parseCsvRows(csvText, delimiter);
 }
 
-function parseNumber(value) {
-  if (value === null || value === undefined) return null;
-  const str = value.toString().trim();
-  if (!str) return null;
-  const num = parseFloat(str.replace(/[^0-9.-]/g, ''));
+app.get('/api/events', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().toLowerCase();
+    let events = await eventStore.list();
+    if (q) {
+      events = events.filter((e) =>
+        [e.eventName, e.date, e.contact, e.sourceFilename]
+          .some((v) => v && String(v).toLowerCase().includes(q))
+      );
+    }
+    events.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    res.json({ success: true, events: events.map(toEventSummary) });
+  } catch (error) {
+    console.error('Event history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/events/:id', async (req, res) => {
+  try {
+    const event = await eventStore.get(req.params.id);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    const conversionRules = await conversionRuleStore.list();
+    res.json({
+      success: true,
+      event,
+      // Same shape as one entry of POST /api/upload `results`, so the UI can re-render it as-is
+      result: {
+        eventId: event.id,
+        filename: event.sourceFilename,
+        breakdown: event.breakdown,
+        extractionMethod: event.extractionMethod || null,
+        prepSheet: buildPrepSheet(event.breakdown, conversionRules),
+        warnings: partySheetWarnings(event.breakdown)
+      }
+    });
+  } catch (error) {
+    console.error('Event history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+function pdfFilename(event, suffix) {
+  const base = String(event.eventName || event.sourceFilename || 'event').replace(/\.pdf$/i, '').replace(/[^\w-]+/g, '_');
+  return `${base}-${suffix}.pdf`;
+}
+
+function sendPdf(res, buffer, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buffer);
+}
+
+// Printable event summary (totals, payments, line items) for a saved event
+app.get('/api/events/:id/summary.pdf', async (req, res) => {
+  try {
+    const event = await eventStore.get(req.params.id);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    const result = { filename: event.sourceFilename, breakdown: event.breakdown, warnings: partySheetWarnings(event.breakdown) };
+    sendPdf(res, await buildEventSummaryPdf(result, { registry: categoryRegistry }), pdfFilename(event, 'summary'));
+  } catch (error) {
+    console.error('Event PDF error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compact kitchen ticket (guests + prep checklist, no prices) for a saved event
+app.get('/api/events/:id/kitchen-ticket.pdf', async (req, res) => {
+  try {
+    const event = await eventStore.get(req.params.id);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    const conversionRules = await conversionRuleStore.list();
+    const prepSheet = buildPrepSheet(event.breakdown, conversionRules);
+    sendPdf(res, await buildKitchenTicketPdf(prepSheet, event.breakdown.eventDetails || {}), pdfFilename(event, 'kitchen-ticket'));
+  } catch (error) {
+    console.error('Event PDF error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/events/:id', async (req, res) => {
+  try {
+    const removed = await eventStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Event not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Event history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+// Coerce a hand-edited analysis (strings from form inputs) into the shape analyzePartySheet returns
+function sanitizeEditedAnalysis(body) {
+  const lineItems = (Array.isArray(body.lineItems) ? body.lineItems : [])
+    .filter((item) => item && (item.description || toNumberOrNull(item.total) !== null))
+    .map((item) => ({
+      description: String(item.description || '').trim(),
+      quantity: toNumberOrNull(item.quantity),
+      unitPrice: toNumberOrNull(item.unitPrice),
+      total: toNumberOrNull(item.total) || 0,
+      category: String(item.category || '').trim().toUpperCase(),
+      ...(item.appliesTo ? { appliesTo: String(item.appliesTo).trim().toUpperCase() } : {}),
+      notes: item.notes ? String(item.notes) : null
+    }));
+
+  let preloadedDrinks = null;
+  if (body.preloadedDrinks) {
+    const quantity = toNumberOrNull(body.preloadedDrinks.quantity);
+    const pricePerPerson = toNumberOrNull(body.preloadedDrinks.pricePerPerson);
+    let total = toNumberOrNull(body.preloadedDrinks.total);
+    if (total === null && quantity !== null && pricePerPerson !== null) total = quantity * pricePerPerson;
+    if (total) preloadedDrinks = { quantity, pricePerPerson, total };
+  }
+
+  const eventDetails = body.eventDetails && typeof body.eventDetails === 'object' ? body.eventDetails : {};
+  const stated = body.statedTotals || {};
+  const statedTotals = {
+    subtotal: toNumberOrNull(stated.subtotal),
+    total: toNumberOrNull(stated.total),
+    balanceDue: toNumberOrNull(stated.balanceDue)
+  };
+  const anyStated = Object.values(statedTotals).some((v) => v !== null);
+  const payments = normalizePayments(body.payments);
+  return { eventDetails, lineItems, preloadedDrinks, payments, statedTotals: anyStated ? statedTotals : null };
+}
+
+// Recalculate totals for manually corrected line items; updates the saved event when eventId is given
+app.post('/api/recalculate', async (req, res) => {
+  try {
+    if (!req.body || !Array.isArray(req.body.lineItems)) {
+      return res.status(400).json({ error: 'Expected { lineItems: [...], preloadedDrinks, eventDetails }' });
+    }
+
+    const analysis = sanitizeEditedAnalysis(req.body);
+    // Resolve dates against when the event was first analyzed, not today
+    const existing = req.body.eventId ? await eventStore.get(req.body.eventId) : null;
+    if (req.body.eventId && !existing) return res.status(404).json({ error: 'Event not found' });
+    analysis.eventDetails = normalizeEventDetails(analysis.eventDetails, existing ? new Date(existing.createdAt) : new Date());
+    const breakdown = processCostBreakdown(analysis);
+    const conversionRules = await conversionRuleStore.list();
+    const result = {
+      filename: req.body.filename || null,
+      breakdown,
+      prepSheet: buildPrepSheet(breakdown, conversionRules),
+      warnings: partySheetWarnings(breakdown),
+      manuallyEdited: true
+    };
+
+    if (req.body.eventId) {
+      const updated = await eventStore.update(req.body.eventId, {
+        ...eventFieldsFromBreakdown(breakdown),
+        breakdown,
+        manuallyEdited: true
+      });
+      if (!updated) return res.status(404).json({ error: 'Event not found' });
+      result.eventId = updated.id;
+    }
+
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('Recalculate error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Excel workbook of party sheet results for accounting. Body: an /api/upload response ({ results })
+// or { eventIds: [...] } to export saved events from history.
+app.post('/api/export/party-sheets.xlsx', async (req, res) => {
+  try {
+    const body = req.body || {};
+    let results = [];
+    if (Array.isArray(body.results)) {
+      results = body.results;
+    } else if (Array.isArray(body.eventIds)) {
+      const events = await Promise.all(body.eventIds.map((id) => eventStore.get(String(id))));
+      results = events.filter(Boolean).map((event) => ({
+        filename: event.sourceFilename,
+        eventId: event.id,
+        breakdown: event.breakdown,
+        extractionMethod: event.extractionMethod || null,
+        excludedFromTotals: !!event.supersededBy
+      }));
+    }
+    results = results.filter((r) => r && !r.error && r.breakdown && typeof r.breakdown === 'object');
+    if (results.length === 0) {
+      return res.status(400).json({ error: 'No analyzed party sheets to export' });
+    }
+
+    const workbook = buildPartySheetWorkbook(results, { registry: categoryRegistry, warningsFor: partySheetWarnings });
+    const buffer = await workbook.xlsx.writeBuffer();
+    const stamp = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="party-sheets-${stamp}.xlsx"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Party sheet export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Most guests the venue takes in one day; the calendar highlights days over it (?capacity= overrides)
+const EVENT_DAILY_GUEST_CAPACITY = parseInt(process.env.EVENT_DAILY_GUEST_CAPACITY, 10) || null;
+
+// Event calendar: ?month=YYYY-MM (default: this month) or ?from=YYYY-MM-DD&to=YYYY-MM-DD, optional ?capacity=N
+app.get('/api/calendar', async (req, res) => {
+  try {
+    const isYmd = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+    let from = String(req.query.from || '').trim();
+    let to = String(req.query.to || '').trim();
+    if (!from && !to) {
+      const month = String(req.query.month || new Date().toISOString().slice(0, 7)).trim();
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+      }
+      const [y, m] = month.split('-').map(Number);
+      from = `${month}-01`;
+      to = new Date(Date.UTC(y, m, 0)).toISOString().split('T')[0];
+    }
+    if (!isYmd(from) || !isYmd(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format, from <= to' });
+    }
+
+    let capacity = EVENT_DAILY_GUEST_CAPACITY;
+    if (req.query.capacity !== undefined && req.query.capacity !== '') {
+      capacity = parseInt(req.query.capacity, 10);
+      if (!Number.isFinite(capacity) || capacity <= 0) {
+        return res.status(400).json({ error: 'capacity must be a positive number of guests' });
+      }
+    }
+
+    const events = await eventStore.list();
+    res.json({ success: true, calendar: buildEventCalendar(events, { from, to, capacity }) });
+  } catch (error) {
+    console.error('Calendar error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accounts receivable: upcoming events with a balance due, soonest first (?includePast=true adds past-due events)
+app.get('/api/receivables', async (req, res) => {
+  try {
+    const includePast = String(req.query.includePast || '').toLowerCase() === 'true';
+    const events = await eventStore.list();
+    res.json({ success: true, receivables: buildReceivables(events, { includePast }) });
+  } catch (error) {
+    console.error('Receivables error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revenue category registry for the frontend (labels, icons, grouping, description keywords)
+app.get('/api/categories', (req, res) => {
+  res.json({ success: true, ...categoryRegistry.describe() });
+});
+
+// Revenue report over event history, by event date: ?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=week|month|category
+app.get('/api/reports/revenue', async (req, res) => {
+  try {
+    const from = String(req.query.from || '').trim();
+    const to = String(req.query.to || '').trim();
+    const groupBy = String(req.query.groupBy || 'month').trim().toLowerCase();
+
+    const isYmd = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+    if ((from && !isYmd(from)) || (to && !isYmd(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (!REPORT_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of: ${REPORT_GROUPS.join(', ')}` });
+    }
+
+    const events = await eventStore.list();
+    const categories = categoryRegistry.reportCategories();
+    res.json({ success: true, report: buildRevenueReport(events, { from, to, groupBy, categories }) });
+  } catch (error) {
+    console.error('Revenue report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Party sheets analyzed at once per batch; each one is a Vision/LLM call, so keep this modest
+const PARTY_SHEET_CONCURRENCY = Math.max(1, parseInt(process.env.PARTY_SHEET_CONCURRENCY, 10) || 3);
+
+// Multer parses non-file fields into req.body; lastModified may be a string or array (one per file, in order)
+function readPartySheetUploadOptions(req) {
+  const keepLatestOnly = req.body && req.body.keepLatestOnly === 'true';
+  let lastModified = [];
+  if (req.body && req.body.lastModified) {
+    lastModified = Array.isArray(req.body.lastModified) ? req.body.lastModified : [req.body.lastModified];
+  }
+  return { keepLatestOnly, lastModified };
+}
+
+// Analyze one uploaded party sheet (PDF or image) into a result entry; never throws, errors become { filename, error }
+async function analyzeUploadedPartySheet(file, { lastModified, conversionRules }) {
+  try {
+    log(`Analyzing ${file.originalname}...`);
+    const fileHash = await hashFile(file.path);
+    const rawAnalysis = await analyzePartySheet(file.path, file.mimetype, fileHash);
+    // Free-form date/time strings resolved to ISO, with the upload date as year context
+    const analysis = { ...rawAnalysis, eventDetails: normalizeEventDetails(rawAnalysis.eventDetails, new Date()) };
+    const breakdown = processCostBreakdown(analysis);
+
+    log(`Breakdown for ${file.originalname}:`, {
+      food: breakdown.food,
+      drinks: breakdown.drinks,
+      entertainment: breakdown.entertainment,
+      bookingFee: breakdown.bookingFee,
+      lineItemsCount: breakdown.lineItems ? breakdown.lineItems.length : 0
+    });
+
+    return {
+      filename: file.originalname,
+      fileHash,
+      lastModified: Number(lastModified) || null,
+      breakdown: breakdown,
+      prepSheet: buildPrepSheet(breakdown, conversionRules),
+      warnings: partySheetWarnings(breakdown),
+      extractionMethod: analysis.extractionMethod,
+      rawAnalysis
+    };
+  } catch (error) {
+    console.error(`Error processing ${file.originalname}:`, error);
+    return {
+      filename: file.originalname,
+      error: error.message
+    };
+  } finally {
+    // Clean up uploaded file, success or not
+    try {
+      await fs.unlink(file.path);
+    } catch (unlinkError) {
+      console.error('Error deleting file:', unlinkError);
+    }
+  }
+}
+
+/**
+ * Analyze a batch of uploaded party sheets with bounded concurrency, then flag duplicates and save
+ * history. `onProgress(index, status, result?)` sees each file go analyzing -> done | failed.
+ * Resolves to the POST /api/upload response body.
+ */
+async function processPartySheetBatch(files, { keepLatestOnly, lastModified }, onProgress = () => {}) {
+  const conversionRules = await conversionRuleStore.list();
+
+  const results = await mapWithConcurrency(files, PARTY_SHEET_CONCURRENCY, async (file, fileIndex) => {
+    onProgress(fileIndex, 'analyzing');
+    const result = await analyzeUploadedPartySheet(file, { lastModified: lastModified[fileIndex], conversionRules });
+    onProgress(fileIndex, result.error ? 'failed' : 'done', result);
+    return result;
+  });
+
+  await recordPartySheetResults(results, { keepLatestOnly });
+  return buildPartySheetBatchResponse(results, { keepLatestOnly });
+}
+
+function buildPartySheetBatchResponse(results, { keepLatestOnly }) {
+  // Calculate combined totals across all files (older revisions skipped when keepLatestOnly is set)
+  const totalKeys = [...Object.keys(categoryRegistry.emptyTotals()), 'preTaxTotal', 'grandTotal'];
+  const combinedTotals = {};
+  totalKeys.forEach(key => { combinedTotals[key] = 0; });
+  results
+    .filter(r => !r.error && r.breakdown && !r.excludedFromTotals)
+    .forEach(result => {
+      totalKeys.forEach(key => { combinedTotals[key] += result.breakdown[key] || 0; });
+    });
+  totalKeys.forEach(key => { combinedTotals[key] = parseFloat(combinedTotals[key].toFixed(2)); });
+
+  return {
+    success: true,
+    results: results,
+    combinedTotals,
+    summary: {
+      totalFiles: results.length,
+      successful: results.filter(r => !r.error).length,
+      failed: results.filter(r => r.error).length,
+      duplicates: results.filter(r => r.duplicates && r.duplicates.length > 0).length,
+      excludedFromTotals: results.filter(r => r.excludedFromTotals).length,
+      withWarnings: results.filter(r => r.warnings && r.warnings.some(w => w.severity === 'warning')).length,
+      keepLatestOnly
+    }
+  };
+}
+
+// Upload endpoint - accepts up to 10 PDFs, PNGs, or JPEGs
+app.post('/api/upload', upload.array('pdfs', 10), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    if (!llm.isConfigured()) {
+      return res.status(500).json({ error: `LLM provider "${llm.name}" is not configured` });
+    }
+
+    res.json(await processPartySheetBatch(req.files, readPartySheetUploadOptions(req)));
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Read Excel file and get first sheet data
+async function readExcelFile(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  return readExcelSheet(workbook.worksheets[0]);
+}
+
+// Rows of a worksheet keyed by the row-1 headers
+function readExcelSheet(worksheet) {
+  const data = [];
+  worksheet.eachRow((row, rowNumber) => {
+    const rowData = {};
+    row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+      const header = worksheet.getRow(1).getCell(colNumber).value?.toString() || `Column${colNumber}`;
+      rowData[header] = cell.value;
+    });
+    if (rowNumber > 1) { // Skip header row
+      data.push(rowData);
+    }
+  });
+  
+  return {
+    sheetName: worksheet.name,
+    headers: worksheet.getRow(1).values.slice(1).map(v => v?.toString() || ''),
+    data: data
+  };
+}
+
+// Read and parse CSV file (supports quoted fields)
+function detectCsvDelimiter(csvText) {
+  // Heuristic: choose the delimiter that appears more in the first non-empty line.
+  const firstLine = csvText.split(/\r?\n/).find(l => l && l.trim().length > 0) || '';
+  const commaCount = (firstLine.match(/,/g) || []).length;
+  const semiCount = (firstLine.match(/;/g) || []).length;
+  return semiCount > commaCount ? ';' : ',';
+}
+
+function parseCsvRows(csvText, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < csvText.length; i++) {
+    const char = csvText[i];
+
+    if (char === '"') {
+      if (inQuotes && csvText[i + 1] === '"') {
+        // Escaped quote
+        field += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+
+    if (!inQuotes && char === delimiter) {
+      row.push(field);
+      field = '';
+      continue;
+    }
+
+    if (!inQuotes && (char === '\n' || char === '\r')) {
+      // Handle CRLF
+      if (char === '\r' && csvText[i + 1] === '\n') i++;
+      row.push(field);
+      field = '';
+
+      // Avoid adding a final empty row
+      const isRowEmpty = row.every(c => (c === null || c === undefined || c.toString().trim() === ''));
+      if (!isRowEmpty) rows.push(row);
+
+      row = [];
+      continue;
+    }
+
+    field += char;
+  }
+
+  // Flush last field/row
+  row.push(field);
+  const isRowEmpty = row.every(c => (c === null || c === undefined || c.toString().trim() === ''));
+  if (!isRowEmpty) rows.push(row);
+
+  return rows;
+}
+
+async function readCsvFile(filePath) {
+  let csvText = await fs.readFile(filePath, 'utf8');
+  if (csvText.charCodeAt(0) === 0xfeff) {
+    csvText = csvText.slice(1);
+  } else if (csvText.startsWith('\uFEFF')) {
+    csvText = csvText.slice(1);
+  }
+  const delimiter = detectCsvDelimiter(csvText);
+  return parseCsvRows(csvText, delimiter);
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined) return null;
+  const str = value.toString().trim();
+  if (!str) return null;
+  const num = parseFloat(str.replace(/[^0-9.-]/g, ''));
   return isNaN(num) ? null : num;
 }
 
-// Use OpenAI to identify which columns contain product description, unit price, and date
+// Use the LLM provider to identify which columns contain product description, unit price, and date
 async function identifyExcelColumns(headers, sampleData) {
   const systemPrompt = `You are an expert at analyzing Excel file structures. Given a list of column headers and sample data, identify which columns contain:
 1. Product description/name (the column that identifies what product/item is being sold)
@@ -614,17 +1318,16 @@ Sample data (first 5 rows): ${JSON.stringify(sampleRows, null, 2)}
 Identify which columns contain product description, unit price, and date.`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const content = await llm.completeJson({
+      task: 'excel-columns',
+      // Mock fixtures for column detection are keyed by the header row
+      fixtureKey: crypto.createHash('sha256').update(JSON.stringify(headers)).digest('hex'),
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: userPrompt }
       ],
-      response_format: { type: "json_object" },
-      max_tokens: 500
+      maxTokens: 500
     });
-
-    const content = response.choices[0].message.content;
     const result = JSON.parse(content);
     return result;
   } catch (error) {
@@ -647,16 +1350,54 @@ Identify which columns contain product description, unit price, and date.`;
   }
 }
 
-// Extract product data from Excel file
-async function extractProductDataFromExcel(filePath, filename) {
+// Price points from rows read with a layout profile (lib/vendor-layouts.js); rows without a date get fallbackDate
+function layoutRowsToPricePoints(rows, { filename, vendor, fallbackDate, layout }) {
+  return rows.map((row) => ({
+    productName: row.productName,
+    unitPrice: row.unitPrice,
+    date: row.date || fallbackDate,
+    sourceFile: filename,
+    vendor,
+    itemNumber: row.itemNumber,
+    pack: parsePackSize(row.packText, row.productName),
+    layout: layout.name,
+    rawRow: row.rawRow
+  }));
+}
+
+// Extract product data from Excel file. A saved layout whose header fingerprint matches the file is used first;
+// otherwise the columns are detected with identifyExcelColumns (an LLM call).
+// vendorName (typed next to the file) wins; otherwise the layout's vendor, a vendor/supplier column on the row,
+// then a vendor named in the file name, sheet name or headers (lib/vendors.js).
+// Pack size comes from the layout's or a Pack/Size/UOM column when there is one, else from the description
+// (lib/pack-size.js).
+async function extractProductDataFromExcel(filePath, filename, vendorName) {
   try {
-    const excelData = await readExcelFile(filePath);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const fileVendor = cleanVendorName(vendorName);
+    const today = new Date().toISOString().split('T')[0];
+
+    const layout = matchLayoutProfile(workbook, await vendorLayoutStore.list());
+    if (layout) {
+      log(`Using layout "${layout.name}" for ${filename}`);
+      const worksheet = worksheetFor(workbook, layout.sheet);
+      const vendor = fileVendor || cleanVendorName(layout.vendor)
+        || detectVendor([filename, worksheet.name, ...readHeaderRow(worksheet, layout.headerRow)]);
+      return layoutRowsToPricePoints(readRowsWithLayout(workbook, layout), { filename, vendor, fallbackDate: today, layout });
+    }
+
+    const excelData = readExcelSheet(workbook.worksheets[0]);
     const columnMapping = await identifyExcelColumns(excelData.headers, excelData.data);
     
     if (!columnMapping.productDescriptionColumn || !columnMapping.unitPriceColumn) {
       throw new Error(`Could not identify required columns in ${filename}. Found columns: ${excelData.headers.join(', ')}`);
     }
 
+    const vendorColumn = fileVendor ? null : findVendorColumn(excelData.headers);
+    const detectedVendor = detectVendor([filename, excelData.sheetName, ...excelData.headers]);
+    const packColumn = findPackColumn(excelData.headers);
+
     const extractedData = [];
     excelData.data.forEach(row => {
       const productName = row[columnMapping.productDescriptionColumn]?.toString().trim();
@@ -680,8 +1421,11 @@ async function extractProductDataFromExcel(filePath, filename) {
           extractedData.push({
             productName: productName,
             unitPrice: price,
-            date: date || new Date().toISOString().split('T')[0], // Use today if no date found
+            date: date || today, // Use today if no date found
             sourceFile: filename,
+            vendor: fileVendor || (vendorColumn && cleanVendorName(row[vendorColumn])) || detectedVendor,
+            pack: parsePackSize(packColumn ? row[packColumn] : null, productName),
+            layout: null,
             rawRow: row
           });
         }
@@ -942,16 +1686,18 @@ function buildGfsProviderExtractOptions(gfsCsvRows) {
   const inf = inferGfsOrderGuideLayout(gfsCsvRows);
   const productCol = parseBiweeklyIntEnv('BIWEEKLY_GFS_PRODUCT_COL', inf.productCol);
   const priceCol = parseBiweeklyIntEnv('BIWEEKLY_GFS_PRICE_COL', inf.priceCol);
+  const packCol = parseBiweeklyIntEnv('BIWEEKLY_GFS_PACK_COL', null);
   const start1 = parseBiweeklyStartRow1Env('BIWEEKLY_GFS_START_ROW');
   const startIndex0 =
     start1 != null
       ? start1 - 1
       : inferProviderDataStartIndex(gfsCsvRows, productCol, priceCol, inf.startIndex0);
-  const opt = { vendorName: 'GFS', productCol, priceCol, startRow: startIndex0 + 1 };
+  const opt = { vendorName: 'GFS', productCol, priceCol, packCol, startRow: startIndex0 + 1 };
   if ((process.env.BIWEEKLY_DEBUG_LAYOUT || '').trim() === '1') {
-    console.log('[biweekly] GFS CSV layout (0-based product/price cols):', {
+    log('[biweekly] GFS CSV layout (0-based product/price cols):', {
       productCol,
       priceCol,
+      packCol,
       dataStartRow1: opt.startRow
     });
   }
@@ -961,6 +1707,7 @@ function buildGfsProviderExtractOptions(gfsCsvRows) {
 function buildPfgProviderExtractOptions(pfgCsvRows) {
   const productCol = parseBiweeklyIntEnv('BIWEEKLY_PFG_PRODUCT_COL', 0);
   const priceCol = parseBiweeklyIntEnv('BIWEEKLY_PFG_PRICE_COL', 7);
+  const packCol = parseBiweeklyIntEnv('BIWEEKLY_PFG_PACK_COL', null);
   const start1 = parseBiweeklyStartRow1Env('BIWEEKLY_PFG_START_ROW');
   const minDataRow0 = 8; // row 9: known PFG order-guide template
   const startIndex0 =
@@ -970,12 +1717,13 @@ function buildPfgProviderExtractOptions(pfgCsvRows) {
           minDataRow0,
           inferProviderDataStartIndex(pfgCsvRows, productCol, priceCol, minDataRow0)
         );
-  return { vendorName: 'PFG', productCol, priceCol, startRow: startIndex0 + 1 };
+  return { vendorName: 'PFG', productCol, priceCol, packCol, startRow: startIndex0 + 1 };
 }
 
 function buildSyscoProviderExtractOptions(syscoCsvRows) {
   const productCol = parseBiweeklyIntEnv('BIWEEKLY_SYSCO_PRODUCT_COL', 12);
   const priceCol = parseBiweeklyIntEnv('BIWEEKLY_SYSCO_PRICE_COL', 14);
+  const packCol = parseBiweeklyIntEnv('BIWEEKLY_SYSCO_PACK_COL', null);
   const start1 = parseBiweeklyStartRow1Env('BIWEEKLY_SYSCO_START_ROW');
   const minDataRow0 = 2; // row 3: typical header + blank row
   const startIndex0 =
@@ -985,7 +1733,7 @@ function buildSyscoProviderExtractOptions(syscoCsvRows) {
           minDataRow0,
           inferProviderDataStartIndex(syscoCsvRows, productCol, priceCol, minDataRow0)
         );
-  return { vendorName: 'Sysco', productCol, priceCol, startRow: startIndex0 + 1 };
+  return { vendorName: 'Sysco', productCol, priceCol, packCol, startRow: startIndex0 + 1 };
 }
 
 /**
@@ -1026,93 +1774,52 @@ function isUsFoodsMappingHeader(header) {
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok',
-    openaiConfigured: !!process.env.OPENAI_API_KEY
+    openaiConfigured: !!process.env.OPENAI_API_KEY,
+    llm: llm.describe(),
+    backgroundJobs: backgroundJobsAvailable
   });
 });
 
-// Helper: parse Sysco Excel file (fixed columns: H = product, K = price)
+// Sysco and US Foods upload slots: a saved layout for the slot's vendor (or for no vendor) whose header
+// fingerprint matches the file, else the slot vendor's default layout (seeded as Sysco H = product, K = price;
+// US Foods B = product, G = price). A file matching another vendor's layout was put in the wrong slot and is
+// rejected rather than read with that vendor's columns. Rows without a date column value get the date entered
+// next to the file.
+async function extractSlotVendorData(filePath, filename, vendor, manualDate) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const layouts = await vendorLayoutStore.list();
+  const forVendor = layouts.filter((l) => cleanVendorName(l.vendor) === vendor);
+  let layout = matchLayoutProfile(workbook, layouts.filter((l) => !l.vendor || cleanVendorName(l.vendor) === vendor));
+  if (!layout) {
+    const otherVendorLayout = matchLayoutProfile(workbook, layouts);
+    if (otherVendorLayout) {
+      throw new Error(`It matches the ${otherVendorLayout.vendor} layout "${otherVendorLayout.name}"; upload it as a ${otherVendorLayout.vendor} file`);
+    }
+    layout = forVendor.find((l) => !l.fingerprint) || forVendor[0];
+  }
+  if (!layout) throw new Error(`No saved file layout for ${vendor}; add one under Vendor File Layouts`);
+  log(`Using layout "${layout.name}" for ${filename}`);
+
+  return layoutRowsToPricePoints(readRowsWithLayout(workbook, layout), {
+    filename,
+    vendor,
+    fallbackDate: manualDate || new Date().toISOString().split('T')[0],
+    layout
+  });
+}
+
 async function extractSyscoDataFromExcel(filePath, filename, manualDate) {
   try {
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(filePath);
-    const worksheet = workbook.worksheets[0];
-
-    const extractedData = [];
-
-    // Assuming row 1 is header, start from row 2
-    worksheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return;
-
-      const productCell = row.getCell(8);  // Column H
-      const priceCell = row.getCell(11);   // Column K
-
-      const productName = productCell && productCell.value ? productCell.value.toString().trim() : '';
-      const priceStr = priceCell && priceCell.value ? priceCell.value.toString().trim() : '';
-
-      if (!productName || !priceStr) return;
-
-      const price = parseFloat(priceStr.replace(/[^0-9.-]/g, ''));
-      if (isNaN(price) || price <= 0) return;
-
-      const date = manualDate || new Date().toISOString().split('T')[0];
-
-      extractedData.push({
-        productName,
-        unitPrice: price,
-        date,
-        sourceFile: filename,
-        rawRow: {
-          H: productCell.value,
-          K: priceCell.value
-        }
-      });
-    });
-
-    return extractedData;
+    return await extractSlotVendorData(filePath, filename, 'Sysco', manualDate);
   } catch (error) {
     throw new Error(`Error processing Sysco Excel file ${filename}: ${error.message}`);
   }
 }
 
-// Helper: parse US Foods Excel file (fixed columns: B = product, G = price)
 async function extractUsFoodsDataFromExcel(filePath, filename, manualDate) {
   try {
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(filePath);
-    const worksheet = workbook.worksheets[0];
-
-    const extractedData = [];
-
-    // Assuming row 1 is header, start from row 2
-    worksheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return;
-
-      const productCell = row.getCell(2);  // Column B
-      const priceCell = row.getCell(7);   // Column G
-
-      const productName = productCell && productCell.value ? productCell.value.toString().trim() : '';
-      const priceStr = priceCell && priceCell.value ? priceCell.value.toString().trim() : '';
-
-      if (!productName || !priceStr) return;
-
-      const price = parseFloat(priceStr.replace(/[^0-9.-]/g, ''));
-      if (isNaN(price) || price <= 0) return;
-
-      const date = manualDate || new Date().toISOString().split('T')[0];
-
-      extractedData.push({
-        productName,
-        unitPrice: price,
-        date,
-        sourceFile: filename,
-        rawRow: {
-          B: productCell.value,
-          G: priceCell.value
-        }
-      });
-    });
-
-    return extractedData;
+    return await extractSlotVendorData(filePath, filename, 'US Foods', manualDate);
   } catch (error) {
     throw new Error(`Error processing US Foods Excel file ${filename}: ${error.message}`);
   }
@@ -1284,15 +1991,6 @@ function upsertMin(map, key, value) {
   if (value < existing) map.set(key, value);
 }
 
-function upsertMax(map, key, value) {
-  if (!map.has(key)) {
-    map.set(key, value);
-    return;
-  }
-  const existing = map.get(key);
-  if (value > existing) map.set(key, value);
-}
-
 function extractInventoryQuantitiesFromCsvRows(csvRows) {
   // Inventory CSV: product in column B (index 1), quantity in column K (index 10), data starts on row 2 (index 1).
   const quantities = new Map();
@@ -1368,11 +2066,13 @@ function extractProviderPricesFromSingleCsvRows(csvRows, options, productMapping
     vendorName,
     productCol,
     priceCol,
+    packCol = null, // optional pack/size column; otherwise the pack is read from the product text
     startRow // 1-based row number in the CSV file where data begins
   } = options;
 
   const providerPriceByVendor = {};
-  providerPriceByVendor[vendorName] = new Map(); // canonical product -> chosen unit price (case/4-pack => max)
+  providerPriceByVendor[vendorName] = new Map(); // canonical product -> chosen unit price (case/4-pack => largest pack)
+  const packsByProduct = new Map(); // canonical product -> parsed pack of the chosen row (null when unknown)
 
   // Track how many source rows mapped to a canonical product for this vendor.
   // If >1, we can show a note in the UI that case/4-pack pricing was used.
@@ -1410,9 +2110,15 @@ function extractProviderPricesFromSingleCsvRows(csvRows, options, productMapping
 
       matchedRowCountsByProduct.set(mappedProduct, (matchedRowCountsByProduct.get(mappedProduct) || 0) + 1);
 
-      // Pack-size rule: if multiple rows map to same canonical product at this vendor,
-      // keep the MORE EXPENSIVE unit price (case/4-pack) rather than the cheapest.
-      upsertMax(providerPriceByVendor[vendorName], mappedProduct, unitPrice);
+      // Pack-size rule: if multiple rows map to same canonical product at this vendor, keep the case/4-pack
+      // rather than the single: the largest pack when sizes can be read, else the MORE EXPENSIVE unit price.
+      const pack = parsePackSize(packCol !== null ? row[packCol] : null, providerProductName);
+      const current = providerPriceByVendor[vendorName].has(mappedProduct)
+        ? { unitPrice: providerPriceByVendor[vendorName].get(mappedProduct), pack: packsByProduct.get(mappedProduct) }
+        : undefined;
+      const kept = preferCaseOffer(current, { unitPrice, pack });
+      providerPriceByVendor[vendorName].set(mappedProduct, kept.unitPrice);
+      packsByProduct.set(mappedProduct, kept.pack);
     } else {
       matchedRecords.unmatched++;
     }
@@ -1420,11 +2126,35 @@ function extractProviderPricesFromSingleCsvRows(csvRows, options, productMapping
 
   return {
     providerPriceByVendor,
+    packsByProduct,
     matchedRecords,
     matchedRowCountsByProduct
   };
 }
 
+// Cheapest vendor for an inventory line of `quantity` packs of a reference product (lib/pack-size.js planOrderLine).
+// The inventory name's own pack size ("Cheddar 6/5 LB"), when it has one, says what the quantity counts, so it can
+// be converted into another vendor's packs; otherwise different pack sizes are compared by unit price as quoted.
+function pickCheapestVendorOffer(canonical, inventoryLabel, quantity, providerPriceByVendor, packsByVendor) {
+  const offers = Object.keys(providerPriceByVendor)
+    .filter((vendor) => providerPriceByVendor[vendor].has(canonical))
+    .map((vendor) => ({
+      vendor,
+      unitPrice: providerPriceByVendor[vendor].get(canonical),
+      pack: packsByVendor[vendor] ? packsByVendor[vendor].get(canonical) || null : null
+    }));
+  return planOrderLine(offers, quantity, parsePackSize(inventoryLabel));
+}
+
+function packFields(offer) {
+  const pack = offer.pack;
+  return {
+    packSize: pack ? pack.label : null,
+    baseUnit: pack ? pack.baseUnit : null,
+    pricePerBaseUnit: pricePerBaseUnit(offer.unitPrice, pack)
+  };
+}
+
 // Biweekly order recommendation endpoint
 app.post('/api/biweekly-order', biweeklyUpload.fields([
   { name: 'inventoryCsv', maxCount: 1 },
@@ -1464,7 +2194,7 @@ app.post('/api/biweekly-order', biweeklyUpload.fields([
       syscoResult,
       gfsResult
     ] = [
-      extractProviderPricesFromSingleCsvRows(usFoodsCsvRows, { vendorName: 'US Foods', productCol: 3, priceCol: 7, startRow: 2 }, productMapping, referenceProducts),
+      extractProviderPricesFromSingleCsvRows(usFoodsCsvRows, { vendorName: 'US Foods', productCol: 3, priceCol: 7, packCol: parseBiweeklyIntEnv('BIWEEKLY_USFOODS_PACK_COL', null), startRow: 2 }, productMapping, referenceProducts),
       extractProviderPricesFromSingleCsvRows(pfgCsvRows, buildPfgProviderExtractOptions(pfgCsvRows), productMapping, referenceProducts),
       extractProviderPricesFromSingleCsvRows(syscoCsvRows, buildSyscoProviderExtractOptions(syscoCsvRows), productMapping, referenceProducts),
       extractProviderPricesFromSingleCsvRows(gfsCsvRows, buildGfsProviderExtractOptions(gfsCsvRows), productMapping, referenceProducts)
@@ -1484,6 +2214,13 @@ app.post('/api/biweekly-order', biweeklyUpload.fields([
       GFS: gfsResult.matchedRowCountsByProduct
     };
 
+    const packsByVendor = {
+      'US Foods': usFoodsResult.packsByProduct,
+      PFG: pfgResult.packsByProduct,
+      Sysco: syscoResult.packsByProduct,
+      GFS: gfsResult.packsByProduct
+    };
+
     const matchedRecords = {
       mapped: usFoodsResult.matchedRecords.mapped + pfgResult.matchedRecords.mapped + syscoResult.matchedRecords.mapped + gfsResult.matchedRecords.mapped,
       fuzzyMatched: usFoodsResult.matchedRecords.fuzzyMatched + pfgResult.matchedRecords.fuzzyMatched + syscoResult.matchedRecords.fuzzyMatched + gfsResult.matchedRecords.fuzzyMatched,
@@ -1507,15 +2244,7 @@ app.post('/api/biweekly-order', biweeklyUpload.fields([
         continue;
       }
 
-      let best = null; // { vendor, unitPrice }
-
-      for (const vendor of Object.keys(providerPriceByVendor)) {
-        const unitPrice = providerPriceByVendor[vendor].get(canonical);
-        if (unitPrice === undefined) continue;
-        if (!best || unitPrice < best.unitPrice) {
-          best = { vendor, unitPrice };
-        }
-      }
+      const { best, comparedBy, orderQuantity } = pickCheapestVendorOffer(canonical, inventoryLabel, quantity, providerPriceByVendor, packsByVendor);
 
       if (!best) {
         unmatchedItems.push({
@@ -1527,7 +2256,7 @@ app.post('/api/biweekly-order', biweeklyUpload.fields([
         continue;
       }
 
-      const lineTotal = quantity * best.unitPrice;
+      const lineTotal = orderQuantity * best.unitPrice;
       vendorTotals[best.vendor] += lineTotal;
 
       const vendorCounts = multiPackByVendor[best.vendor];
@@ -1538,14 +2267,18 @@ app.post('/api/biweekly-order', biweeklyUpload.fields([
         productName: inventoryLabel,
         referenceProduct: canonical,
         quantity,
+        orderQuantity,
         vendor: best.vendor,
         unitPrice: best.unitPrice,
+        ...packFields(best),
+        comparedBy,
         lineTotal,
         packNote
       });
     }
 
     const grandTotal = Object.values(vendorTotals).reduce((sum, v) => sum + v, 0);
+    await recordProductUsage(recommendations);
 
     res.json({
       success: true,
@@ -1669,6 +2402,12 @@ app.post(
         GFS: gfsResult.matchedRowCountsByProduct
       };
 
+      const packsByVendor = {
+        PFG: pfgResult.packsByProduct,
+        Sysco: syscoResult.packsByProduct,
+        GFS: gfsResult.packsByProduct
+      };
+
       const matchedRecords = {
         mapped: pfgResult.matchedRecords.mapped + syscoResult.matchedRecords.mapped + gfsResult.matchedRecords.mapped,
         fuzzyMatched: pfgResult.matchedRecords.fuzzyMatched + syscoResult.matchedRecords.fuzzyMatched + gfsResult.matchedRecords.fuzzyMatched,
@@ -1686,12 +2425,7 @@ app.post(
           continue;
         }
 
-        let best = null;
-        for (const vendor of Object.keys(providerPriceByVendor)) {
-          const unitPrice = providerPriceByVendor[vendor].get(canonical);
-          if (unitPrice === undefined) continue;
-          if (!best || unitPrice < best.unitPrice) best = { vendor, unitPrice };
-        }
+        const { best, comparedBy, orderQuantity } = pickCheapestVendorOffer(canonical, inventoryLabel, quantity, providerPriceByVendor, packsByVendor);
         if (!best) {
           unmatchedItems.push({
             productName: inventoryLabel,
@@ -1702,7 +2436,7 @@ app.post(
           continue;
         }
 
-        const lineTotal = quantity * best.unitPrice;
+        const lineTotal = orderQuantity * best.unitPrice;
         vendorTotals[best.vendor] += lineTotal;
 
         const vendorCounts = multiPackByVendor[best.vendor];
@@ -1713,14 +2447,18 @@ app.post(
           productName: inventoryLabel,
           referenceProduct: canonical,
           quantity,
+          orderQuantity,
           vendor: best.vendor,
           unitPrice: best.unitPrice,
+          ...packFields(best),
+          comparedBy,
           lineTotal,
           packNote
         });
       }
 
       const grandTotal = Object.values(vendorTotals).reduce((sum, v) => sum + v, 0);
+      await recordProductUsage(recommendations);
 
       res.json({
         success: true,
@@ -1747,307 +2485,903 @@ app.post(
   }
 );
 
-// Vendor Cost Management endpoint
-app.post('/api/vendor-costs', excelUpload.fields([
+// Vendor Cost Management endpoint
+// Multer field arrays for a vendor cost run (reference/mapping sheet + generic, Sysco and US Foods files)
+function groupVendorCostFiles(files) {
+  const asArray = (v) => (v ? (Array.isArray(v) ? v : [v]) : []);
+  return {
+    referenceFile: files.referenceSheet[0],
+    mappingFile: files.mappingSheet && files.mappingSheet[0] ? files.mappingSheet[0] : null,
+    vendorFiles: asArray(files.vendorFiles),
+    // Sysco-specific files with manual dates
+    syscoFiles: asArray(files.syscoFiles),
+    // US Foods-specific files with manual dates
+    usFoodsFiles: asArray(files.usFoodsFiles)
+  };
+}
+
+// Per-file progress entries, in the order analyzeVendorCosts reports them
+function vendorCostProgressFiles(files) {
+  const { vendorFiles, syscoFiles, usFoodsFiles } = groupVendorCostFiles(files);
+  return [
+    ...vendorFiles.map((f) => ({ filename: f.originalname, kind: 'vendor' })),
+    ...syscoFiles.map((f) => ({ filename: f.originalname, kind: 'sysco' })),
+    ...usFoodsFiles.map((f) => ({ filename: f.originalname, kind: 'usFoods' }))
+  ];
+}
+
+function hasVendorCostFiles(files) {
+  return !!(files && files.referenceSheet && files.vendorFiles && files.vendorFiles.length > 0);
+}
+
+// Reference sheet column with each product's category ("Category", "Product Category", "Group", …)
+const REFERENCE_CATEGORY_COLUMN_RE = /^\s*(product\s+|item\s+)?(category|class|group)\s*$/i;
+
+/**
+ * Price history per reference product across vendor files. `onProgress(index, status, error?)` follows
+ * vendorCostProgressFiles order. Resolves to the POST /api/vendor-costs response body; errors with
+ * `status: 400` are the caller's fault.
+ */
+async function analyzeVendorCosts(files, body, onProgress = () => {}) {
+  const { referenceFile, mappingFile, vendorFiles, syscoFiles, usFoodsFiles } = groupVendorCostFiles(files);
+
+  // Multer parses non-file fields into req.body; syscoDates may be a string or array
+  let syscoDates = [];
+  if (body && body.syscoDates) {
+    if (Array.isArray(body.syscoDates)) {
+      syscoDates = body.syscoDates;
+    } else {
+      syscoDates = [body.syscoDates];
+    }
+  }
+
+  // Multer parses non-file fields into req.body; usFoodsDates may be a string or array
+  let usFoodsDates = [];
+  if (body && body.usFoodsDates) {
+    if (Array.isArray(body.usFoodsDates)) {
+      usFoodsDates = body.usFoodsDates;
+    } else {
+      usFoodsDates = [body.usFoodsDates];
+    }
+  }
+
+  // Optional vendor name per generic vendor file, in vendorFiles order ('' = detect from the file)
+  let vendorNames = [];
+  if (body && body.vendorNames) {
+    vendorNames = Array.isArray(body.vendorNames) ? body.vendorNames : [body.vendorNames];
+  }
+
+  // Extract reference products from reference sheet
+  log('Processing reference sheet...');
+  const referenceData = await readExcelFile(referenceFile.path);
+  const referenceColumnMapping = await identifyExcelColumns(referenceData.headers, referenceData.data);
+  
+  if (!referenceColumnMapping.productDescriptionColumn) {
+    await fs.unlink(referenceFile.path);
+    if (mappingFile) await fs.unlink(mappingFile.path);
+    const columnError = new Error('Could not identify product description column in reference sheet');
+    columnError.status = 400;
+    throw columnError;
+  }
+
+  // An optional category column groups products for category-wide price alert rules
+  const categoryColumn = referenceData.headers.find((h) => REFERENCE_CATEGORY_COLUMN_RE.test(String(h || ''))) || null;
+  const referenceProducts = [];
+  const referenceCategories = new Map(); // reference product -> category
+  referenceData.data.forEach(row => {
+    const productName = row[referenceColumnMapping.productDescriptionColumn]?.toString().trim();
+    if (productName) {
+      referenceProducts.push(productName);
+      const category = categoryColumn ? row[categoryColumn]?.toString().trim() : '';
+      if (category) referenceCategories.set(productName, category);
+    }
+  });
+
+  log(`Found ${referenceProducts.length} reference products${categoryColumn ? ` (categories from "${categoryColumn}")` : ''}`);
+
+  // Process mapping sheet if provided
+  const productMapping = new Map(); // Maps invoice product name -> reference product name
+  if (mappingFile) {
+    log('Processing mapping sheet...');
+    try {
+      const mappingData = await readExcelFile(mappingFile.path);
+      
+      // New structure: First column is reference product name, remaining columns are invoice variations
+      // Look for a column that contains "reference" in the name, otherwise assume first column
+      let referenceColumnIndex = 0;
+      let referenceColumn = mappingData.headers[0];
+      
+      mappingData.headers.forEach((header, index) => {
+        const lowerHeader = header.toLowerCase();
+        if (lowerHeader.includes('reference') || lowerHeader.includes('target') || 
+            lowerHeader.includes('match') || lowerHeader.includes('standard')) {
+          referenceColumnIndex = index;
+          referenceColumn = header;
+        }
+      });
+      
+      log(`Using "${referenceColumn}" as reference product column`);
+      
+      // All other columns are invoice product name variations
+      const invoiceColumns = mappingData.headers.filter((header, index) => index !== referenceColumnIndex);
+      log(`Found ${invoiceColumns.length} invoice description columns: ${invoiceColumns.join(', ')}`);
+      
+      mappingData.data.forEach((row, rowIndex) => {
+        const refName = row[referenceColumn]?.toString().trim();
+        if (!refName) return; // Skip rows without reference product name
+        
+        // Map all invoice variations in this row to the reference product
+        invoiceColumns.forEach(invoiceColumn => {
+          const invoiceName = row[invoiceColumn]?.toString().trim();
+          if (invoiceName) {
+            const normalizedInvoice = normalizeProductName(invoiceName);
+            productMapping.set(normalizedInvoice, refName); // Store normalized invoice -> reference
+            log(`  Mapping: "${invoiceName}" -> "${refName}"`);
+          }
+        });
+      });
+      
+      log(`Created ${productMapping.size} product mappings from mapping sheet`);
+      
+      await fs.unlink(mappingFile.path);
+    } catch (error) {
+      console.error('Error processing mapping sheet:', error);
+      // Continue without mapping sheet
+    }
+  }
+
+  // Extract data from all vendor files
+  const allExtractedData = [];
+  for (const [i, vendorFile] of vendorFiles.entries()) {
+    try {
+      log(`Processing vendor file: ${vendorFile.originalname}...`);
+      onProgress(i, 'analyzing');
+      const extracted = await extractProductDataFromExcel(vendorFile.path, vendorFile.originalname, vendorNames[i]);
+      allExtractedData.push(...extracted);
+      onProgress(i, 'done');
+      await fs.unlink(vendorFile.path);
+    } catch (error) {
+      console.error(`Error processing ${vendorFile.originalname}:`, error);
+      onProgress(i, 'failed', error.message);
+      try {
+        await fs.unlink(vendorFile.path);
+      } catch (unlinkError) {
+        console.error('Error deleting file:', unlinkError);
+      }
+    }
+  }
+
+  // Extract data from Sysco files using manual dates (saved Sysco layout; seeded as Column H = product, Column K = price)
+  if (syscoFiles.length > 0) {
+    log(`Processing ${syscoFiles.length} Sysco file(s) with manual dates...`);
+    for (let i = 0; i < syscoFiles.length; i++) {
+      const syscoFile = syscoFiles[i];
+      const manualDate = syscoDates[i] || new Date().toISOString().split('T')[0];
+      try {
+        log(`Processing Sysco file: ${syscoFile.originalname} with date ${manualDate}...`);
+        onProgress(vendorFiles.length + i, 'analyzing');
+        const extractedSysco = await extractSyscoDataFromExcel(syscoFile.path, syscoFile.originalname, manualDate);
+        allExtractedData.push(...extractedSysco);
+        onProgress(vendorFiles.length + i, 'done');
+        await fs.unlink(syscoFile.path);
+      } catch (error) {
+        console.error(`Error processing Sysco file ${syscoFile.originalname}:`, error);
+        onProgress(vendorFiles.length + i, 'failed', error.message);
+        try {
+          await fs.unlink(syscoFile.path);
+        } catch (unlinkError) {
+          console.error('Error deleting Sysco file:', unlinkError);
+        }
+      }
+    }
+  }
+
+  // Extract data from US Foods files using manual dates (saved US Foods layout; seeded as Column B = product, Column G = price)
+  if (usFoodsFiles.length > 0) {
+    log(`Processing ${usFoodsFiles.length} US Foods file(s) with manual dates...`);
+    for (let i = 0; i < usFoodsFiles.length; i++) {
+      const usFoodsFile = usFoodsFiles[i];
+      const manualDate = usFoodsDates[i] || new Date().toISOString().split('T')[0];
+      try {
+        log(`Processing US Foods file: ${usFoodsFile.originalname} with date ${manualDate}...`);
+        onProgress(vendorFiles.length + syscoFiles.length + i, 'analyzing');
+        const extractedUsFoods = await extractUsFoodsDataFromExcel(
+          usFoodsFile.path,
+          usFoodsFile.originalname,
+          manualDate
+        );
+        allExtractedData.push(...extractedUsFoods);
+        onProgress(vendorFiles.length + syscoFiles.length + i, 'done');
+        await fs.unlink(usFoodsFile.path);
+      } catch (error) {
+        console.error(`Error processing US Foods file ${usFoodsFile.originalname}:`, error);
+        onProgress(vendorFiles.length + syscoFiles.length + i, 'failed', error.message);
+        try {
+          await fs.unlink(usFoodsFile.path);
+        } catch (unlinkError) {
+          console.error('Error deleting US Foods file:', unlinkError);
+        }
+      }
+    }
+  }
+
+  // Clean up reference file
+  await fs.unlink(referenceFile.path);
+
+  // Match extracted products to reference products; each match is a price point for the ledger
+  const matchedEntries = [];
+  const unmatchedItems = [];
+  const matchStats = {
+    matched: 0,
+    unmatched: 0,
+    mapped: 0,
+    fuzzyMatched: 0
+  };
+
+  allExtractedData.forEach(item => {
+    let matchedProduct = null;
+    const normalizedInvoiceName = normalizeProductName(item.productName);
+    
+    // First, check mapping sheet (exact mappings take priority)
+    if (productMapping.has(normalizedInvoiceName)) {
+      matchedProduct = productMapping.get(normalizedInvoiceName);
+      matchStats.mapped++;
+      log(`✓ Mapped: "${item.productName}" -> "${matchedProduct}"`);
+    } else {
+      // Fall back to fuzzy matching
+      matchedProduct = matchProductName(item.productName, referenceProducts);
+      if (matchedProduct) {
+        matchStats.fuzzyMatched++;
+      }
+    }
+    
+    if (matchedProduct) {
+      matchedEntries.push(toLedgerEntry({
+        referenceProduct: matchedProduct,
+        category: referenceCategories.get(matchedProduct) || null,
+        vendor: item.vendor,
+        invoiceProduct: item.productName,
+        invoiceDate: item.date,
+        unitPrice: item.unitPrice,
+        pack: item.pack,
+        itemNumber: item.itemNumber,
+        sourceFile: item.sourceFile
+      }));
+      matchStats.matched++;
+    } else {
+      unmatchedItems.push({
+        productName: item.productName,
+        price: item.unitPrice,
+        date: item.date,
+        sourceFile: item.sourceFile,
+        vendor: item.vendor
+      });
+      matchStats.unmatched++;
+      log(`⚠️  No match found for: "${item.productName}" (from ${item.sourceFile})`);
+    }
+  });
+
+  log(`\n📊 Matching Statistics:`);
+  log(`   Total Matched: ${matchStats.matched}`);
+  log(`   - From Mapping Sheet: ${matchStats.mapped}`);
+  log(`   - From Fuzzy Matching: ${matchStats.fuzzyMatched}`);
+  log(`   Unmatched: ${matchStats.unmatched}`);
+  if (unmatchedItems.length > 0) {
+    log(`\n❌ Unmatched items (${unmatchedItems.length}):`);
+    const uniqueUnmatched = [...new Set(unmatchedItems.map(item => item.productName))];
+    uniqueUnmatched.forEach(name => {
+      log(`   - "${name}"`);
+    });
+  }
+
+  // Save the new price points (re-uploaded invoices are skipped), then report each matched product over
+  // its whole ledger history rather than just this upload
+  let history = matchedEntries;
+  const ledger = { added: 0, duplicates: 0 };
+  try {
+    const added = await vendorPriceStore.insertMany(matchedEntries, { uniqueBy: 'key' });
+    ledger.added = added.length;
+    ledger.duplicates = matchedEntries.length - added.length;
+    const matchedProducts = [...new Set(matchedEntries.map((e) => e.referenceProduct))];
+    history = queryLedger(await vendorPriceStore.list(), { products: matchedProducts });
+  } catch (error) {
+    console.error('Error saving vendor price ledger (showing this upload only):', error);
+  }
+  const products = summarizePriceHistory(history);
+
+  // Price spikes among this upload's products; new ones go out through the configured notifiers
+  let alerts = [];
+  let notified = null;
+  try {
+    alerts = evaluatePriceAlerts(products, await priceAlertRuleStore.list(), await productUsageMap());
+    notified = await notifyPriceAlerts(alerts);
+  } catch (error) {
+    console.error('Error checking price alerts:', error);
+  }
+
+  return {
+    success: true,
+    products: products,
+    alerts,
+    unmatchedItems: unmatchedItems.slice(0, 50), // Limit to first 50 for response size
+    summary: {
+      referenceProductsCount: referenceProducts.length,
+      matchedProductsCount: products.length,
+      totalDataPoints: allExtractedData.length,
+      matchedDataPoints: matchStats.matched,
+      unmatchedDataPoints: matchStats.unmatched,
+      mappedFromSheet: matchStats.mapped,
+      fuzzyMatched: matchStats.fuzzyMatched,
+      // Which saved layout read each file (null = columns detected by the LLM)
+      fileLayouts: [...new Map(allExtractedData.map((item) => [item.sourceFile, item.layout || null])).entries()]
+        .map(([filename, layout]) => ({ filename, layout })),
+      ledgerPointsAdded: ledger.added,
+      ledgerDuplicates: ledger.duplicates,
+      historyDataPoints: history.length,
+      alertsCount: alerts.length,
+      alertsNotified: notified ? notified.sent : 0
+    }
+  };
+}
+
+const vendorCostUpload = excelUpload.fields([
   { name: 'referenceSheet', maxCount: 1 },
   { name: 'mappingSheet', maxCount: 1 },
   { name: 'vendorFiles', maxCount: 50 },
   { name: 'syscoFiles', maxCount: 50 },
   { name: 'usFoodsFiles', maxCount: 50 }
-]), async (req, res) => {
+]);
+
+app.post('/api/vendor-costs', vendorCostUpload, async (req, res) => {
   try {
-    if (!req.files || !req.files.referenceSheet || !req.files.vendorFiles || req.files.vendorFiles.length === 0) {
+    if (!hasVendorCostFiles(req.files)) {
       return res.status(400).json({ error: 'Please upload both a reference sheet and at least one vendor file' });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
+    if (!llm.isConfigured()) {
+      return res.status(500).json({ error: `LLM provider "${llm.name}" is not configured` });
     }
 
-    const referenceFile = req.files.referenceSheet[0];
-    const mappingFile = req.files.mappingSheet && req.files.mappingSheet[0] ? req.files.mappingSheet[0] : null;
-    const vendorFiles = Array.isArray(req.files.vendorFiles) ? req.files.vendorFiles : [req.files.vendorFiles];
+    res.json(await analyzeVendorCosts(req.files, req.body));
+  } catch (error) {
+    console.error('Vendor cost processing error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // Sysco-specific files with manual dates
-    const syscoFiles = req.files.syscoFiles
-      ? (Array.isArray(req.files.syscoFiles) ? req.files.syscoFiles : [req.files.syscoFiles])
-      : [];
-
-    // Multer parses non-file fields into req.body; syscoDates may be a string or array
-    let syscoDates = [];
-    if (req.body && req.body.syscoDates) {
-      if (Array.isArray(req.body.syscoDates)) {
-        syscoDates = req.body.syscoDates;
-      } else {
-        syscoDates = [req.body.syscoDates];
-      }
+// Vendor price ledger: ?product=substring&vendor=name&from=YYYY-MM-DD&to=YYYY-MM-DD, in the /api/vendor-costs products shape
+app.get('/api/vendor-prices', async (req, res) => {
+  try {
+    const from = String(req.query.from || '').trim();
+    const to = String(req.query.to || '').trim();
+    const isYmd = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+    if ((from && !isYmd(from)) || (to && !isYmd(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
     }
 
-    // US Foods-specific files with manual dates
-    const usFoodsFiles = req.files.usFoodsFiles
-      ? (Array.isArray(req.files.usFoodsFiles) ? req.files.usFoodsFiles : [req.files.usFoodsFiles])
-      : [];
-
-    // Multer parses non-file fields into req.body; usFoodsDates may be a string or array
-    let usFoodsDates = [];
-    if (req.body && req.body.usFoodsDates) {
-      if (Array.isArray(req.body.usFoodsDates)) {
-        usFoodsDates = req.body.usFoodsDates;
-      } else {
-        usFoodsDates = [req.body.usFoodsDates];
-      }
+    const all = await vendorPriceStore.list();
+    const entries = queryLedger(all, {
+      product: String(req.query.product || '').trim(),
+      vendor: String(req.query.vendor || '').trim(),
+      from,
+      to
+    });
+    res.json({
+      success: true,
+      products: summarizePriceHistory(entries),
+      vendors: [...new Set(all.map((e) => e.vendor || 'Unknown'))].sort(),
+      summary: { dataPoints: entries.length, ledgerDataPoints: all.length }
+    });
+  } catch (error) {
+    console.error('Vendor price ledger error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Vendor file layouts CRUD (lib/vendor-layouts.js); at most one layout per header fingerprint
+app.get('/api/vendor-layouts', async (req, res) => {
+  try {
+    const layouts = await vendorLayoutStore.list();
+    layouts.sort((a, b) => String(a.vendor || '').localeCompare(String(b.vendor || '')) || a.name.localeCompare(b.name));
+    res.json({ success: true, layouts });
+  } catch (error) {
+    console.error('Vendor layouts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/vendor-layouts', async (req, res) => {
+  try {
+    const { profile, errors } = normalizeLayoutProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid vendor file layout', details: errors });
     }
+    const conflict = findConflictingLayout(await vendorLayoutStore.list(), profile);
+    if (conflict) {
+      return res.status(409).json({ error: `Layout "${conflict.name}" already matches files with this header row` });
+    }
+    const created = await vendorLayoutStore.insert(profile);
+    res.status(201).json({ success: true, layout: created });
+  } catch (error) {
+    console.error('Vendor layouts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Extract reference products from reference sheet
-    console.log('Processing reference sheet...');
-    const referenceData = await readExcelFile(referenceFile.path);
-    const referenceColumnMapping = await identifyExcelColumns(referenceData.headers, referenceData.data);
-    
-    if (!referenceColumnMapping.productDescriptionColumn) {
-      await fs.unlink(referenceFile.path);
-      if (mappingFile) await fs.unlink(mappingFile.path);
-      return res.status(400).json({ error: 'Could not identify product description column in reference sheet' });
+app.put('/api/vendor-layouts/:id', async (req, res) => {
+  try {
+    const current = await vendorLayoutStore.get(req.params.id);
+    if (!current) return res.status(404).json({ error: 'Vendor file layout not found' });
+
+    const { profile, errors } = normalizeLayoutProfile({ ...stripStoreFields(current), ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid vendor file layout', details: errors });
     }
+    const conflict = findConflictingLayout(await vendorLayoutStore.list(), profile, current.id);
+    if (conflict) {
+      return res.status(409).json({ error: `Layout "${conflict.name}" already matches files with this header row` });
+    }
+    const updated = await vendorLayoutStore.update(current.id, profile);
+    res.json({ success: true, layout: updated });
+  } catch (error) {
+    console.error('Vendor layouts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const referenceProducts = [];
-    referenceData.data.forEach(row => {
-      const productName = row[referenceColumnMapping.productDescriptionColumn]?.toString().trim();
-      if (productName) {
-        referenceProducts.push(productName);
-      }
+app.delete('/api/vendor-layouts/:id', async (req, res) => {
+  try {
+    const removed = await vendorLayoutStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Vendor file layout not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Vendor layouts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const ITEM_NUMBER_COLUMN_RE = /^\s*(item\s*(#|no\.?|number|code)|sku|product\s*(#|code|number)|supc)\s*$/i;
+
+// Suggested layout columns for a header row: product/price/date from identifyExcelColumns (LLM, or header-name
+// heuristics when that fails), pack and item number from header names
+async function suggestLayoutColumns(worksheet, headerRow, headers) {
+  const named = headers.map((header, i) => ({ header, letter: columnNumberToLetter(i + 1) })).filter((h) => h.header);
+  const sampleData = [];
+  for (let r = headerRow + 1; r <= Math.min(worksheet.rowCount, headerRow + 5); r++) {
+    const row = worksheet.getRow(r);
+    const sample = {};
+    named.forEach(({ header, letter }) => {
+      sample[header] = row.getCell(letter).text;
     });
+    sampleData.push(sample);
+  }
+  const mapping = await identifyExcelColumns(named.map((h) => h.header), sampleData);
+  const letterOf = (header) => (named.find((h) => h.header === header) || {}).letter || null;
+  const packHeader = findPackColumn(named.map((h) => h.header));
+  const itemHeader = named.find((h) => ITEM_NUMBER_COLUMN_RE.test(h.header));
+  return {
+    product: letterOf(mapping.productDescriptionColumn),
+    price: letterOf(mapping.unitPriceColumn),
+    date: letterOf(mapping.dateColumn),
+    pack: letterOf(packHeader),
+    itemNumber: itemHeader ? itemHeader.letter : null
+  };
+}
 
-    console.log(`Found ${referenceProducts.length} reference products`);
+// Read a sample vendor file for the layout editor (form field `file`; optional `sheet` and `headerRow`): its
+// sheets, the header row with column letters, the row's fingerprint, the saved layout the file already matches
+// and a suggested layout to start from
+app.post('/api/vendor-layouts/inspect', excelUpload.single('file'), async (req, res) => {
+  const file = req.file;
+  try {
+    if (!file) return res.status(400).json({ error: 'Please upload a vendor file' });
+    const sheet = String((req.body && req.body.sheet) || '').trim() || null;
+    const headerRow = parseInt(req.body && req.body.headerRow, 10) || 1;
 
-    // Process mapping sheet if provided
-    const productMapping = new Map(); // Maps invoice product name -> reference product name
-    if (mappingFile) {
-      console.log('Processing mapping sheet...');
-      try {
-        const mappingData = await readExcelFile(mappingFile.path);
-        
-        // New structure: First column is reference product name, remaining columns are invoice variations
-        // Look for a column that contains "reference" in the name, otherwise assume first column
-        let referenceColumnIndex = 0;
-        let referenceColumn = mappingData.headers[0];
-        
-        mappingData.headers.forEach((header, index) => {
-          const lowerHeader = header.toLowerCase();
-          if (lowerHeader.includes('reference') || lowerHeader.includes('target') || 
-              lowerHeader.includes('match') || lowerHeader.includes('standard')) {
-            referenceColumnIndex = index;
-            referenceColumn = header;
-          }
-        });
-        
-        console.log(`Using "${referenceColumn}" as reference product column`);
-        
-        // All other columns are invoice product name variations
-        const invoiceColumns = mappingData.headers.filter((header, index) => index !== referenceColumnIndex);
-        console.log(`Found ${invoiceColumns.length} invoice description columns: ${invoiceColumns.join(', ')}`);
-        
-        mappingData.data.forEach((row, rowIndex) => {
-          const refName = row[referenceColumn]?.toString().trim();
-          if (!refName) return; // Skip rows without reference product name
-          
-          // Map all invoice variations in this row to the reference product
-          invoiceColumns.forEach(invoiceColumn => {
-            const invoiceName = row[invoiceColumn]?.toString().trim();
-            if (invoiceName) {
-              const normalizedInvoice = normalizeProductName(invoiceName);
-              productMapping.set(normalizedInvoice, refName); // Store normalized invoice -> reference
-              console.log(`  Mapping: "${invoiceName}" -> "${refName}"`);
-            }
-          });
-        });
-        
-        console.log(`Created ${productMapping.size} product mappings from mapping sheet`);
-        
-        await fs.unlink(mappingFile.path);
-      } catch (error) {
-        console.error('Error processing mapping sheet:', error);
-        // Continue without mapping sheet
-      }
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file.path);
+    const worksheet = worksheetFor(workbook, sheet);
+    if (!worksheet) return res.status(400).json({ error: `Sheet "${sheet}" not found` });
+
+    const headers = readHeaderRow(worksheet, headerRow);
+    const fingerprint = headerFingerprint(headers);
+    const matchedLayout = matchLayoutProfile(workbook, await vendorLayoutStore.list());
+    res.json({
+      success: true,
+      sheets: workbook.worksheets.map((w) => w.name),
+      headers: headers.map((header, i) => ({ letter: columnNumberToLetter(i + 1), header })),
+      fingerprint,
+      matchedLayout,
+      suggestion: fingerprint ? {
+        vendor: detectVendor([file.originalname, worksheet.name, ...headers]),
+        sheet,
+        headerRow,
+        columns: await suggestLayoutColumns(worksheet, headerRow, headers),
+        fingerprint,
+        headers
+      } : null
+    });
+  } catch (error) {
+    console.error('Vendor layout inspect error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  } finally {
+    if (file) await fs.unlink(file.path).catch(() => {});
+  }
+});
+
+// Units used per biweekly order, by reference product: the last biweekly order run's quantities,
+// or set by hand with PUT /api/product-usage. Price alerts weigh each increase by these.
+async function productUsageMap() {
+  const usage = new Map();
+  (await productUsageStore.list()).forEach((u) => usage.set(u.referenceProduct, u.quantity));
+  return usage;
+}
+
+async function saveProductUsage(items, source) {
+  const byName = new Map((await productUsageStore.list()).map((u) => [u.referenceProduct.toLowerCase(), u]));
+  items.forEach(({ referenceProduct, quantity }) => {
+    const previous = byName.get(referenceProduct.toLowerCase());
+    byName.set(referenceProduct.toLowerCase(), { id: previous ? previous.id : undefined, referenceProduct, quantity, source });
+  });
+  return productUsageStore.replaceAll([...byName.values()]);
+}
+
+// Not fatal: the order recommendations are still returned if usage can't be saved
+async function recordProductUsage(recommendations) {
+  const totals = new Map();
+  recommendations.forEach((r) => totals.set(r.referenceProduct, (totals.get(r.referenceProduct) || 0) + r.quantity));
+  try {
+    await saveProductUsage([...totals].map(([referenceProduct, quantity]) => ({ referenceProduct, quantity })), 'biweekly-order');
+  } catch (error) {
+    console.error('Error saving product usage:', error);
+  }
+}
+
+// Send the alerts no notifier has delivered yet; they're only marked sent when at least one notifier succeeded
+async function notifyPriceAlerts(alerts) {
+  if (priceAlertNotifiers.length === 0 || alerts.length === 0) return { sent: 0, results: [] };
+  const sentKeys = new Set((await sentPriceAlertStore.list()).map((a) => a.key));
+  const pending = alerts.filter((a) => !sentKeys.has(a.key));
+  if (pending.length === 0) return { sent: 0, results: [] };
+
+  const results = await sendToNotifiers(priceAlertNotifiers, pending);
+  if (!results.some((r) => r.ok)) return { sent: 0, results };
+  await sentPriceAlertStore.insertMany(
+    pending.map((a) => ({ key: a.key, productName: a.productName, mostRecentPrice: a.mostRecentPrice, latestDate: a.latestDate })),
+    { uniqueBy: 'key' }
+  );
+  return { sent: pending.length, results };
+}
+
+// Price alert rules CRUD; at most one rule per scope + match (see lib/price-alerts.js)
+app.get('/api/price-alert-rules', async (req, res) => {
+  try {
+    const scopeOrder = { product: 0, category: 1, default: 2 };
+    const rules = await priceAlertRuleStore.list();
+    rules.sort((a, b) => scopeOrder[a.scope] - scopeOrder[b.scope] || String(a.match).localeCompare(String(b.match)));
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Price alert rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/price-alert-rules', async (req, res) => {
+  try {
+    const { rule, errors } = normalizeAlertRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid price alert rule', details: errors });
+    }
+    if (findConflictingRule(await priceAlertRuleStore.list(), rule)) {
+      return res.status(409).json({ error: `There is already a ${rule.scope} rule${rule.match ? ` for "${rule.match}"` : ''}` });
     }
+    const created = await priceAlertRuleStore.insert(rule);
+    res.status(201).json({ success: true, rule: created });
+  } catch (error) {
+    console.error('Price alert rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Extract data from all vendor files
-    const allExtractedData = [];
-    for (const vendorFile of vendorFiles) {
-      try {
-        console.log(`Processing vendor file: ${vendorFile.originalname}...`);
-        const extracted = await extractProductDataFromExcel(vendorFile.path, vendorFile.originalname);
-        allExtractedData.push(...extracted);
-        await fs.unlink(vendorFile.path);
-      } catch (error) {
-        console.error(`Error processing ${vendorFile.originalname}:`, error);
-        try {
-          await fs.unlink(vendorFile.path);
-        } catch (unlinkError) {
-          console.error('Error deleting file:', unlinkError);
-        }
-      }
+app.put('/api/price-alert-rules/:id', async (req, res) => {
+  try {
+    const current = await priceAlertRuleStore.get(req.params.id);
+    if (!current) return res.status(404).json({ error: 'Price alert rule not found' });
+
+    const { rule, errors } = normalizeAlertRule({ ...stripStoreFields(current), ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid price alert rule', details: errors });
+    }
+    if (findConflictingRule(await priceAlertRuleStore.list(), rule, current.id)) {
+      return res.status(409).json({ error: `There is already a ${rule.scope} rule${rule.match ? ` for "${rule.match}"` : ''}` });
     }
+    const updated = await priceAlertRuleStore.update(current.id, rule);
+    res.json({ success: true, rule: updated });
+  } catch (error) {
+    console.error('Price alert rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Extract data from Sysco files using manual dates (Column H = product, Column K = price)
-    if (syscoFiles.length > 0) {
-      console.log(`Processing ${syscoFiles.length} Sysco file(s) with manual dates...`);
-      for (let i = 0; i < syscoFiles.length; i++) {
-        const syscoFile = syscoFiles[i];
-        const manualDate = syscoDates[i] || new Date().toISOString().split('T')[0];
-        try {
-          console.log(`Processing Sysco file: ${syscoFile.originalname} with date ${manualDate}...`);
-          const extractedSysco = await extractSyscoDataFromExcel(syscoFile.path, syscoFile.originalname, manualDate);
-          allExtractedData.push(...extractedSysco);
-          await fs.unlink(syscoFile.path);
-        } catch (error) {
-          console.error(`Error processing Sysco file ${syscoFile.originalname}:`, error);
-          try {
-            await fs.unlink(syscoFile.path);
-          } catch (unlinkError) {
-            console.error('Error deleting Sysco file:', unlinkError);
-          }
-        }
-      }
+app.delete('/api/price-alert-rules/:id', async (req, res) => {
+  try {
+    const removed = await priceAlertRuleStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Price alert rule not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Price alert rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current price spikes across the whole ledger, highest dollar impact first; `notified` marks the ones already sent
+app.get('/api/price-alerts', async (req, res) => {
+  try {
+    const alerts = evaluatePriceAlerts(
+      summarizePriceHistory(await vendorPriceStore.list()),
+      await priceAlertRuleStore.list(),
+      await productUsageMap()
+    );
+    const sentKeys = new Set((await sentPriceAlertStore.list()).map((a) => a.key));
+    res.json({
+      success: true,
+      alerts: alerts.map((a) => ({ ...a, notified: sentKeys.has(a.key) })),
+      notifiers: priceAlertNotifiers.map((n) => n.describe())
+    });
+  } catch (error) {
+    console.error('Price alerts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send current alerts that haven't gone out yet (e.g. after changing a threshold, or from a scheduled job)
+app.post('/api/price-alerts/notify', async (req, res) => {
+  try {
+    if (priceAlertNotifiers.length === 0) {
+      return res.status(400).json({ error: 'No price alert notifiers are set up (PRICE_ALERT_NOTIFIERS)' });
+    }
+    const alerts = evaluatePriceAlerts(
+      summarizePriceHistory(await vendorPriceStore.list()),
+      await priceAlertRuleStore.list(),
+      await productUsageMap()
+    );
+    const { sent, results } = await notifyPriceAlerts(alerts);
+    if (results.length > 0 && !results.some((r) => r.ok)) {
+      return res.status(502).json({ error: 'Every notifier failed', results });
     }
+    res.json({ success: true, sent, results });
+  } catch (error) {
+    console.error('Price alerts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Extract data from US Foods files using manual dates (Column B = product, Column G = price)
-    if (usFoodsFiles.length > 0) {
-      console.log(`Processing ${usFoodsFiles.length} US Foods file(s) with manual dates...`);
-      for (let i = 0; i < usFoodsFiles.length; i++) {
-        const usFoodsFile = usFoodsFiles[i];
-        const manualDate = usFoodsDates[i] || new Date().toISOString().split('T')[0];
-        try {
-          console.log(`Processing US Foods file: ${usFoodsFile.originalname} with date ${manualDate}...`);
-          const extractedUsFoods = await extractUsFoodsDataFromExcel(
-            usFoodsFile.path,
-            usFoodsFile.originalname,
-            manualDate
-          );
-          allExtractedData.push(...extractedUsFoods);
-          await fs.unlink(usFoodsFile.path);
-        } catch (error) {
-          console.error(`Error processing US Foods file ${usFoodsFile.originalname}:`, error);
-          try {
-            await fs.unlink(usFoodsFile.path);
-          } catch (unlinkError) {
-            console.error('Error deleting US Foods file:', unlinkError);
-          }
-        }
-      }
+app.get('/api/product-usage', async (req, res) => {
+  try {
+    const usage = await productUsageStore.list();
+    usage.sort((a, b) => a.referenceProduct.localeCompare(b.referenceProduct));
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('Product usage error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set usage by hand: { usage: [{ referenceProduct, quantity }] }; quantity 0 or empty removes a product's usage
+app.put('/api/product-usage', async (req, res) => {
+  try {
+    const input = req.body && Array.isArray(req.body.usage) ? req.body.usage : null;
+    if (!input) return res.status(400).json({ error: 'Expected { usage: [...] }' });
+
+    const errors = [];
+    const items = input.map((u, i) => {
+      const referenceProduct = String((u && u.referenceProduct) || '').trim();
+      const quantity = u && u.quantity !== '' && u.quantity !== null && u.quantity !== undefined ? Number(u.quantity) : 0;
+      if (!referenceProduct) errors.push(`Row ${i + 1}: referenceProduct is required`);
+      if (!Number.isFinite(quantity) || quantity < 0) errors.push(`Row ${i + 1}: quantity must be a number ≥ 0`);
+      return { referenceProduct, quantity };
+    });
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid usage', details: errors });
+
+    await saveProductUsage(items.filter((u) => u.quantity > 0), 'manual');
+    const cleared = new Set(items.filter((u) => u.quantity === 0).map((u) => u.referenceProduct.toLowerCase()));
+    for (const u of await productUsageStore.list()) {
+      if (cleared.has(u.referenceProduct.toLowerCase())) await productUsageStore.remove(u.id);
     }
+    const usage = await productUsageStore.list();
+    usage.sort((a, b) => a.referenceProduct.localeCompare(b.referenceProduct));
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('Product usage error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Clean up reference file
-    await fs.unlink(referenceFile.path);
+// Background jobs: same inputs as /api/upload and /api/vendor-costs, but the request returns a job id right
+// away (202) and the work runs in-process; poll GET /api/jobs/:id for status, per-file progress and results.
+// Jobs live in this process's memory, so they're off on Vercel: a serverless function is frozen once it has
+// responded and the next poll may reach another instance. The UI uses the synchronous endpoints there.
+const jobQueue = createJobQueue({
+  concurrency: Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 1)
+});
 
-    // Match extracted products to reference products and organize by product
-    const productsMap = new Map();
-    const unmatchedItems = [];
-    const matchStats = {
-      matched: 0,
-      unmatched: 0,
-      mapped: 0,
-      fuzzyMatched: 0
-    };
+// Party sheets in a ZIP archive (form field `archive`) are capped per archive, not per upload
+const PARTY_SHEET_ZIP_LIMITS = {
+  maxFiles: parseInt(process.env.PARTY_SHEET_ZIP_MAX_FILES, 10) || 50,
+  maxTotalBytes: (parseInt(process.env.PARTY_SHEET_ZIP_MAX_TOTAL_MB, 10) || 200) * 1024 * 1024
+};
 
-    allExtractedData.forEach(item => {
-      let matchedProduct = null;
-      const normalizedInvoiceName = normalizeProductName(item.productName);
-      
-      // First, check mapping sheet (exact mappings take priority)
-      if (productMapping.has(normalizedInvoiceName)) {
-        matchedProduct = productMapping.get(normalizedInvoiceName);
-        matchStats.mapped++;
-        console.log(`✓ Mapped: "${item.productName}" -> "${matchedProduct}"`);
-      } else {
-        // Fall back to fuzzy matching
-        matchedProduct = matchProductName(item.productName, referenceProducts);
-        if (matchedProduct) {
-          matchStats.fuzzyMatched++;
-        }
-      }
-      
-      if (matchedProduct) {
-        if (!productsMap.has(matchedProduct)) {
-          productsMap.set(matchedProduct, []);
-        }
-        productsMap.get(matchedProduct).push({
-          date: item.date,
-          price: item.unitPrice,
-          sourceFile: item.sourceFile
-        });
-        matchStats.matched++;
-      } else {
-        unmatchedItems.push({
-          productName: item.productName,
-          price: item.unitPrice,
-          date: item.date,
-          sourceFile: item.sourceFile
-        });
-        matchStats.unmatched++;
-        console.log(`⚠️  No match found for: "${item.productName}" (from ${item.sourceFile})`);
-      }
-    });
+function requireBackgroundJobs(req, res, next) {
+  if (backgroundJobsAvailable) return next();
+  res.status(501).json({
+    error: 'Background jobs need a long-lived server; use POST /api/upload, /api/upload/zip or /api/vendor-costs'
+  });
+}
+
+// Expand an uploaded party sheet ZIP (form field `archive`); the archive itself is deleted either way
+async function readPartySheetZip(req) {
+  try {
+    const { files, skipped } = await extractPartySheetsFromZip(req.file.path, uploadDir, PARTY_SHEET_ZIP_LIMITS);
+    const options = { ...readPartySheetUploadOptions(req), lastModified: files.map((file) => file.lastModified) };
+    return { files, skipped, options };
+  } finally {
+    await fs.unlink(req.file.path).catch((unlinkError) => console.error('Error deleting file:', unlinkError));
+  }
+}
 
-    console.log(`\n📊 Matching Statistics:`);
-    console.log(`   Total Matched: ${matchStats.matched}`);
-    console.log(`   - From Mapping Sheet: ${matchStats.mapped}`);
-    console.log(`   - From Fuzzy Matching: ${matchStats.fuzzyMatched}`);
-    console.log(`   Unmatched: ${matchStats.unmatched}`);
-    if (unmatchedItems.length > 0) {
-      console.log(`\n❌ Unmatched items (${unmatchedItems.length}):`);
-      const uniqueUnmatched = [...new Set(unmatchedItems.map(item => item.productName))];
-      uniqueUnmatched.forEach(name => {
-        console.log(`   - "${name}"`);
+// Submit expanded party sheets as one party-sheets job; `skipped` (entries that weren't analyzed) rides along
+function submitPartySheetJob(files, options, skipped = []) {
+  return jobQueue.submit('party-sheets', {
+    files: files.map((file) => ({ filename: file.originalname })),
+    run: async (ctx) => {
+      const response = await processPartySheetBatch(files, options, (index, status, result) => {
+        ctx.updateFile(index, { status, ...(result && result.error ? { error: result.error } : {}) });
+        if (result) ctx.addPartialResult({ index, ...result });
       });
+      return skipped.length > 0 ? { ...response, skipped } : response;
     }
+  });
+}
 
-    // Convert to array format and calculate averages
-    const products = Array.from(productsMap.entries()).map(([productName, priceHistory]) => {
-      // Sort by date
-      priceHistory.sort((a, b) => new Date(a.date) - new Date(b.date));
-      
-      // Calculate average
-      const averagePrice = priceHistory.reduce((sum, item) => sum + item.price, 0) / priceHistory.length;
-      
-      // Get most recent price (last item after sorting)
-      const mostRecentPrice = priceHistory.length > 0 ? priceHistory[priceHistory.length - 1].price : null;
-      
-      // Calculate percentage change from average to most recent
-      let percentChange = null;
-      if (mostRecentPrice && averagePrice > 0) {
-        percentChange = ((mostRecentPrice - averagePrice) / averagePrice) * 100;
-      }
+app.post('/api/jobs/party-sheets', requireBackgroundJobs, upload.array('pdfs', 10), (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
 
-      return {
-        productName: productName,
-        priceHistory: priceHistory,
-        averagePrice: parseFloat(averagePrice.toFixed(2)),
-        mostRecentPrice: mostRecentPrice ? parseFloat(mostRecentPrice.toFixed(2)) : null,
-        percentChange: percentChange !== null ? parseFloat(percentChange.toFixed(2)) : null
-      };
-    });
+  if (!llm.isConfigured()) {
+    return res.status(500).json({ error: `LLM provider "${llm.name}" is not configured` });
+  }
 
-    // Sort products by name
-    products.sort((a, b) => a.productName.localeCompare(b.productName));
+  const job = submitPartySheetJob(req.files, readPartySheetUploadOptions(req));
+  res.status(202).json({ success: true, job });
+});
 
-    res.json({
-      success: true,
-      products: products,
-      unmatchedItems: unmatchedItems.slice(0, 50), // Limit to first 50 for response size
-      summary: {
-        referenceProductsCount: referenceProducts.length,
-        matchedProductsCount: products.length,
-        totalDataPoints: allExtractedData.length,
-        matchedDataPoints: matchStats.matched,
-        unmatchedDataPoints: matchStats.unmatched,
-        mappedFromSheet: matchStats.mapped,
-        fuzzyMatched: matchStats.fuzzyMatched
-      }
-    });
+app.post('/api/jobs/party-sheets/zip', requireBackgroundJobs, zipUpload.single('archive'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No ZIP archive uploaded' });
+  }
+
+  try {
+    if (!llm.isConfigured()) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(500).json({ error: `LLM provider "${llm.name}" is not configured` });
+    }
+
+    const { files, skipped, options } = await readPartySheetZip(req);
+    const job = submitPartySheetJob(files, options, skipped);
+    res.status(202).json({ success: true, job, skipped });
   } catch (error) {
-    console.error('Vendor cost processing error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('ZIP upload error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Same as POST /api/jobs/party-sheets/zip, but analyzes the archive within the request (the path used on Vercel)
+app.post('/api/upload/zip', zipUpload.single('archive'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No ZIP archive uploaded' });
+  }
+
+  try {
+    if (!llm.isConfigured()) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(500).json({ error: `LLM provider "${llm.name}" is not configured` });
+    }
+
+    const { files, skipped, options } = await readPartySheetZip(req);
+    const response = await processPartySheetBatch(files, options);
+    res.json(skipped.length > 0 ? { ...response, skipped } : response);
+  } catch (error) {
+    console.error('ZIP upload error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/jobs/vendor-costs', requireBackgroundJobs, vendorCostUpload, (req, res) => {
+  if (!hasVendorCostFiles(req.files)) {
+    return res.status(400).json({ error: 'Please upload both a reference sheet and at least one vendor file' });
+  }
+
+  if (!llm.isConfigured()) {
+    return res.status(500).json({ error: `LLM provider "${llm.name}" is not configured` });
+  }
+
+  const files = req.files;
+  const body = { ...req.body };
+  const job = jobQueue.submit('vendor-costs', {
+    files: vendorCostProgressFiles(files),
+    run: (ctx) => analyzeVendorCosts(files, body, (index, status, error) => {
+      ctx.updateFile(index, { status, ...(error ? { error } : {}) });
+    })
+  });
+  res.status(202).json({ success: true, job });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found (finished jobs are kept for an hour)' });
+
+  res.json({ success: true, job });
+});
+
+// Optional watched folder (PARTY_SHEET_WATCH_DIR): new party sheets and ZIPs dropped there are analyzed as
+// party-sheet jobs and moved to processed/ (or failed/). Not available on Vercel, which has no local disk to watch.
+const partySheetWatchDir = process.env.VERCEL || process.env.NOW ? null : process.env.PARTY_SHEET_WATCH_DIR || null;
+const watchedFolderJobs = []; // most recent first, for GET /api/watch-folder
+const partySheetWatcher = partySheetWatchDir
+  ? createFolderWatcher({
+      dir: partySheetWatchDir,
+      intervalMs: (parseInt(process.env.PARTY_SHEET_WATCH_INTERVAL_SECONDS, 10) || 30) * 1000,
+      onFiles: submitWatchedPartySheets
+    })
+  : null;
+
+// Copy into the upload dir (the pipeline deletes what it analyzes) so the originals can be moved to processed/
+async function submitWatchedPartySheets(ready) {
+  if (!llm.isConfigured()) throw new Error(`LLM provider "${llm.name}" is not configured`);
+  await fs.mkdir(uploadDir, { recursive: true });
+
+  const files = [];
+  const skipped = [];
+  const rejected = [];
+  let submitted = false;
+  try {
+    for (const item of ready) {
+      const ext = path.extname(item.path).toLowerCase();
+      if (ext === '.zip') {
+        try {
+          const expanded = await extractPartySheetsFromZip(item.path, uploadDir, PARTY_SHEET_ZIP_LIMITS);
+          files.push(...expanded.files.map((file) => ({ ...file, originalname: `${path.basename(item.path)}/${file.originalname}` })));
+          skipped.push(...expanded.skipped);
+        } catch (error) {
+          rejected.push({ path: item.path, reason: error.message });
+        }
+        continue;
+      }
+      const copyPath = path.join(uploadDir, `watch-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`);
+      await fs.copyFile(item.path, copyPath);
+      files.push({ originalname: path.basename(item.path), path: copyPath, mimetype: PARTY_SHEET_TYPES[ext], lastModified: item.mtimeMs });
+    }
+
+    if (files.length > 0) {
+      const job = submitPartySheetJob(files, { keepLatestOnly: false, lastModified: files.map((file) => file.lastModified) }, skipped);
+      log(`Watched folder: submitted ${files.length} party sheet(s) as job ${job.id}`);
+      watchedFolderJobs.unshift({ id: job.id, submittedAt: job.createdAt, files: files.map((file) => file.originalname) });
+      watchedFolderJobs.splice(20);
+    }
+    submitted = true;
+  } finally {
+    // Copies and extracted entries from before a failure belong to no job, so nothing else would delete them
+    if (!submitted) await Promise.all(files.map((file) => fs.unlink(file.path).catch(() => {})));
+  }
+  return { rejected };
+}
+
+app.get('/api/watch-folder', (req, res) => {
+  if (!partySheetWatcher) {
+    return res.json({ success: true, enabled: false });
   }
+  res.json({ success: true, enabled: true, ...partySheetWatcher.status(), recentJobs: watchedFolderJobs });
 });
 
 // Catch-all handler: serve index.html for any non-API routes
@@ -2078,12 +3412,19 @@ app.use((req, res, next) => {
 module.exports = app;
 
 // Only listen if running locally (not on Vercel)
-// Vercel doesn't call app.listen(), it uses serverless functions
-if (!process.env.VERCEL && !process.env.NOW) {
+// Vercel doesn't call app.listen(), it uses serverless functions; tests require() the app and listen themselves
+if (require.main === module && !process.env.VERCEL && !process.env.NOW) {
   const port = process.env.PORT || PORT;
   app.listen(port, () => {
     console.log(`🚀 Food Portal running on http://localhost:${port}`);
-    console.log(`📝 OpenAI API configured: ${!!process.env.OPENAI_API_KEY}`);
+    console.log(`📝 LLM provider: ${llm.name} (${llm.model || 'no model'}), configured: ${llm.isConfigured()}`);
+    if (priceAlertNotifiers.length > 0) {
+      console.log(`🔔 Price alerts go to: ${priceAlertNotifiers.map((n) => `${n.name}${n.isConfigured() ? '' : ' (not configured)'}`).join(', ')}`);
+    }
+    if (partySheetWatcher) {
+      partySheetWatcher.start();
+      console.log(`📂 Watching ${partySheetWatchDir} for party sheets`);
+    }
   });
 }
 
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CATEGORIES, DEFAULT_GROUPS, createCategoryRegistry, loadCategoryRegistry } = require('../lib/categories');
+
+const registry = createCategoryRegistry();
+
+test('ids are found in the forms the model writes them, including aliases', () => {
+  assert.equal(registry.find('MINI_GOLF').key, 'miniGolf');
+  assert.equal(registry.find(' mini golf ').key, 'miniGolf');
+  assert.equal(registry.find('service-charge').key, 'serviceCharge');
+  assert.equal(registry.find('ENTERTAINMENT').id, 'OTHER_ENTERTAINMENT');
+  assert.equal(registry.find('PARKING'), null);
+  assert.equal(registry.find(undefined), null);
+});
+
+test('a line without a category is categorized by its description, charges first', () => {
+  assert.equal(registry.categorize('Duckpin Bowling Lane').id, 'BOWLING');
+  assert.equal(registry.categorize('Tax on food').id, 'TAX');
+  assert.equal(registry.categorize('18% Service Charge').id, 'SERVICE_CHARGE');
+  assert.equal(registry.categorize('Mystery item'), null);
+  assert.equal(registry.categoryOf({ category: 'DRINKS', description: 'Taco Bar' }).id, 'DRINKS');
+  assert.equal(registry.categoryOf({ category: 'UNKNOWN', description: 'Taco Bar' }).id, 'FOOD');
+});
+
+test('grouped categories roll up to their group in reports; charges are not revenue', () => {
+  assert.deepEqual(registry.reportCategories().map((c) => c.key), ['food', 'drinks', 'entertainment', 'bookingFee']);
+  assert.deepEqual(registry.charges.map((c) => c.id), ['TAX', 'GRATUITY', 'SERVICE_CHARGE']);
+  assert.ok(registry.revenue.every((c) => c.taxable));
+  assert.equal(registry.emptyTotals().entertainment, 0);
+  assert.equal(registry.emptyTotals().serviceCharge, 0);
+});
+
+test('the prompt lists group children under their group', () => {
+  const section = registry.promptSection();
+  assert.match(section, /^1\. FOOD - food items including:\n {3}- Packages/);
+  assert.match(section, /3\. ENTERTAINMENT - categorize each entertainment item specifically:\n {3}- BOWLING - /);
+  assert.match(registry.promptEnum(), /^"FOOD" \| "DRINKS" \| "BOWLING"/);
+});
+
+test('an invalid configuration is rejected with every problem listed', () => {
+  const categories = [
+    { id: 'FOOD', key: 'food', label: 'Food' },
+    { id: 'drinks', key: 'Drinks', label: '' },
+    { id: 'LANES', key: 'food', label: 'Lanes', group: 'GAMES', keywords: ['('] },
+    { id: 'TAX', key: 'tax', label: 'Tax', charge: true, group: 'ENTERTAINMENT' }
+  ];
+  assert.throws(() => createCategoryRegistry({ groups: DEFAULT_GROUPS, categories }), {
+    message: 'Invalid category registry: invalid id "drinks" (use UPPER_SNAKE_CASE); drinks: invalid key "Drinks" (use camelCase); '
+      + 'drinks: label is required; duplicate key food; LANES: unknown group GAMES; LANES: invalid keyword pattern "("; '
+      + 'TAX: charges can\'t belong to a group; FOOD (key food) and DRINKS (key drinks) categories are required'
+  });
+});
+
+test('CATEGORIES_FILE replaces the defaults', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'categories-'));
+  const file = path.join(dir, 'categories.json');
+  const categories = [
+    ...DEFAULT_CATEGORIES.filter((c) => !c.group),
+    { id: 'PARKING', key: 'parking', label: 'Parking', keywords: ['valet'], taxable: false }
+  ];
+  fs.writeFileSync(file, JSON.stringify({ groups: [], categories }));
+  try {
+    const custom = loadCategoryRegistry({ CATEGORIES_FILE: file });
+    assert.equal(custom.categorize('Valet service').id, 'PARKING');
+    assert.equal(custom.find('PARKING').taxable, false);
+    assert.equal(custom.find('BOWLING'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.equal(loadCategoryRegistry({}).categories.length, DEFAULT_CATEGORIES.length);
+});
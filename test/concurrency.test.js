@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency, retryWithBackoff } = require('../lib/concurrency');
+
+function tick(ms = 5) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('at most `limit` calls run at once and results keep input order', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await tick(ms);
+    inFlight--;
+    return `${index}:${ms}`;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(results, ['0:30', '1:10', '2:20', '3:5', '4:15']);
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  assert.deepEqual(await mapWithConcurrency([1, 2], 'none', async (n) => n * 2), [2, 4]);
+});
+
+test('a rejection rejects the whole map', async () => {
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3], 2, async (n) => {
+      if (n === 2) throw new Error('boom');
+      return n;
+    }),
+    /boom/
+  );
+});
+
+test('retryable errors are retried with a growing delay until the call succeeds', async () => {
+  const retries = [];
+  const result = await retryWithBackoff(async (attempt) => {
+    if (attempt < 2) throw new Error(`fail ${attempt}`);
+    return 'ok';
+  }, { baseDelayMs: 4, onRetry: (error, attempt, delayMs) => retries.push([error.message, attempt, delayMs]) });
+
+  assert.equal(result, 'ok');
+  assert.deepEqual(retries.map(([message, attempt]) => [message, attempt]), [['fail 0', 1], ['fail 1', 2]]);
+  assert.ok(retries[0][2] >= 2 && retries[0][2] <= 4);
+  assert.ok(retries[1][2] >= 4 && retries[1][2] <= 8);
+});
+
+test('a server-requested delay is used, capped at maxDelayMs', async () => {
+  const delays = [];
+  await retryWithBackoff(async (attempt) => {
+    if (attempt === 0) throw new Error('429');
+    return 'ok';
+  }, { maxDelayMs: 10, delayFor: () => 60000, onRetry: (error, attempt, delayMs) => delays.push(delayMs) });
+
+  assert.deepEqual(delays, [10]);
+});
+
+test('errors that are not retryable, or that outlast the retries, are thrown', async () => {
+  let calls = 0;
+  await assert.rejects(retryWithBackoff(async () => {
+    calls++;
+    throw new Error('bad request');
+  }, { shouldRetry: (error) => error.message !== 'bad request' }), /bad request/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(retryWithBackoff(async () => {
+    calls++;
+    throw new Error('overloaded');
+  }, { retries: 2, baseDelayMs: 1 }), /overloaded/);
+  assert.equal(calls, 3);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CONVERSION_TABLE,
+  normalizeConversionRule,
+  validateConversionTable
+} = require('../lib/conversion-rules');
+
+function rule(menuItem, minGuests, maxGuests) {
+  return normalizeConversionRule({ menuItem, match: 'rice', minGuests, maxGuests, quantity: 2, unit: 'lb' }).rule;
+}
+
+test('form input is coerced into a rule', () => {
+  const { rule: normalized, errors } = normalizeConversionRule({
+    menuItem: ' Rice ',
+    match: 'spanish rice, , arroz',
+    minGuests: '1',
+    maxGuests: '',
+    quantity: '0.5',
+    unit: 'lb',
+    panSize: '',
+    perGuest: 'true'
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(normalized, {
+    menuItem: 'Rice',
+    match: ['spanish rice', 'arroz'],
+    minGuests: 1,
+    maxGuests: null,
+    quantity: 0.5,
+    unit: 'lb',
+    panSize: null,
+    perGuest: true
+  });
+});
+
+test('each bad field is reported under the menu item', () => {
+  const { errors } = normalizeConversionRule({
+    menuItem: 'Beans',
+    match: [],
+    minGuests: 1.5,
+    maxGuests: 'lots',
+    quantity: 0
+  });
+
+  assert.deepEqual(errors, [
+    'Beans: at least one match term is required',
+    'Beans: minGuests must be a whole number of at least 1',
+    'Beans: maxGuests must be a whole number ≥ minGuests (or empty for open-ended)',
+    'Beans: quantity must be a positive number',
+    'Beans: unit is required'
+  ]);
+  assert.deepEqual(normalizeConversionRule({ match: 'x', minGuests: 1, quantity: 1, unit: 'lb' }).errors, [
+    'menuItem is required'
+  ]);
+});
+
+test('the built-in table is valid', () => {
+  for (const seeded of DEFAULT_CONVERSION_TABLE) {
+    assert.deepEqual(normalizeConversionRule(seeded).errors, []);
+  }
+  assert.deepEqual(validateConversionTable(DEFAULT_CONVERSION_TABLE), []);
+});
+
+test('brackets must start at 1 and run without gaps or overlaps', () => {
+  assert.deepEqual(validateConversionTable([rule('Rice', 26, 50), rule('rice', 1, 25)]), []);
+  assert.deepEqual(validateConversionTable([rule('Rice', 5, 25)]), [
+    'Rice: first bracket must start at 1 guest (starts at 5)'
+  ]);
+  assert.deepEqual(validateConversionTable([rule('Rice', 1, 25), rule('Rice', 20, 40)]), [
+    'Rice: bracket starting at 20 overlaps 1-25'
+  ]);
+  assert.deepEqual(validateConversionTable([rule('Rice', 1, null), rule('Rice', 30, 40)]), [
+    'Rice: bracket starting at 30 overlaps 1+'
+  ]);
+  assert.deepEqual(validateConversionTable([rule('Rice', 1, 25), rule('Rice', 30, 40)]), [
+    'Rice: gap between 25 and 30 guests'
+  ]);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { countedEvents, detectDuplicates, eventsMatch, normalizeKeyText } = require('../lib/duplicate-detection');
+
+function entry(filename, eventDetails, extra = {}) {
+  return { filename, fileHash: `hash-${filename}`, eventDetails, ...extra };
+}
+
+const party = { eventName: 'Smith Wedding Reception', date: 'June 6, 2026', contact: 'Jane Smith' };
+
+test('key text drops ordinals, punctuation and case', () => {
+  assert.equal(normalizeKeyText('  June 6th,  2026 — Smith/Jones '), 'june 6 2026 smith jones');
+  assert.equal(normalizeKeyText(null), '');
+});
+
+test('events match on a similar name and the same date unless the contacts differ', () => {
+  assert.ok(eventsMatch(party, { eventName: 'Smith Wedding', date: '6/6/2026', contact: '' }));
+  assert.ok(eventsMatch(party, { eventName: 'smith wedding reception!', date: 'June 6th 2026', contact: 'jane smith' }));
+  assert.ok(!eventsMatch(party, { ...party, date: 'June 7, 2026' }));
+  assert.ok(!eventsMatch(party, { ...party, contact: 'Bob Lee' }));
+  assert.ok(!eventsMatch(party, { ...party, eventName: 'Corporate Lunch' }));
+  assert.ok(!eventsMatch({ date: party.date }, { date: party.date }));
+});
+
+test('a revised sheet in the same batch is superseded by the newest file', () => {
+  const result = detectDuplicates([
+    entry('v2.pdf', party, { lastModified: 2000 }),
+    entry('other.pdf', { eventName: 'Birthday', date: 'May 1, 2026' }),
+    entry('v1.pdf', { ...party, eventName: 'Smith Wedding' }, { lastModified: 1000 })
+  ], []);
+
+  assert.deepEqual(result[0].duplicates, [{ kind: 'same-event', source: 'batch', filename: 'v1.pdf' }]);
+  assert.equal(result[0].supersededByIndex, null);
+  assert.deepEqual(result[1], { duplicates: [], supersededByIndex: null, historyMatchIds: [] });
+  assert.equal(result[2].supersededByIndex, 0);
+});
+
+test('without modification times the last upload is the newest', () => {
+  const result = detectDuplicates([entry('a.pdf', party), entry('b.pdf', party)], []);
+
+  assert.equal(result[0].supersededByIndex, 1);
+  assert.equal(result[1].supersededByIndex, null);
+});
+
+test('an identical file matches whatever its details say', () => {
+  const result = detectDuplicates([
+    entry('contract.pdf', party),
+    { filename: 'copy.pdf', fileHash: 'hash-contract.pdf', eventDetails: {} }
+  ], []);
+
+  assert.deepEqual(result[1].duplicates, [{ kind: 'identical-file', source: 'batch', filename: 'contract.pdf' }]);
+});
+
+test('history matches skip superseded events', () => {
+  const stored = [
+    { id: 'old', fileHash: 'x', supersededBy: 'new', breakdown: { eventDetails: party } },
+    { id: 'new', fileHash: 'y', sourceFilename: 'v1.pdf', createdAt: '2026-05-01T00:00:00.000Z', breakdown: { eventDetails: party } }
+  ];
+  const [result] = detectDuplicates([entry('v2.pdf', party)], stored);
+
+  assert.deepEqual(result.historyMatchIds, ['new']);
+  assert.deepEqual(result.duplicates, [{
+    kind: 'same-event',
+    source: 'history',
+    eventId: 'new',
+    filename: 'v1.pdf',
+    analyzedAt: '2026-05-01T00:00:00.000Z'
+  }]);
+});
+
+test('reports count one record per file and skip superseded or unanalyzed ones', () => {
+  const breakdown = { eventDetails: party };
+  const counted = countedEvents([
+    { id: 'a', fileHash: 'h1', breakdown },
+    { id: 'a-copy', fileHash: 'h1', breakdown },
+    { id: 'b-old', fileHash: 'h2', supersededBy: 'b', breakdown },
+    { id: 'b', fileHash: 'h3', breakdown },
+    { id: 'legacy', breakdown },
+    { id: 'failed', fileHash: 'h4' }
+  ]);
+
+  assert.deepEqual(counted.map((e) => e.id), ['a', 'b', 'legacy']);
+  assert.deepEqual(countedEvents(undefined), []);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SAMPLE_PNG, startTestServer, buildForm, postForm, getJson } = require('./helpers/test-server');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+function upload(count) {
+  const files = Array.from({ length: count }, () => ['pdfs', SAMPLE_PNG, 'contract.png', 'image/png']);
+  return postForm(server.baseUrl, '/api/upload', buildForm(files));
+}
+
+test('the same file uploaded twice is saved and counted once', async () => {
+  const first = await upload(1);
+  const second = await upload(1);
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+
+  const [again] = second.body.results;
+  assert.equal(again.alreadyInHistory, true);
+  assert.equal(again.eventId, first.body.results[0].eventId);
+  assert.ok(again.duplicates.some((d) => d.kind === 'identical-file' && d.source === 'history'));
+
+  const events = (await getJson(server.baseUrl, '/api/events')).body.events;
+  assert.equal(events.length, 1);
+  assert.equal(events[0].supersededBy, null);
+
+  const { report } = (await getJson(server.baseUrl, '/api/reports/revenue?from=2026-03-01&to=2026-03-31')).body;
+  assert.equal(report.totals.events, 1);
+  assert.equal(report.totals.total, 2220);
+
+  const { calendar } = (await getJson(server.baseUrl, '/api/calendar?month=2026-03&capacity=50')).body;
+  assert.equal(calendar.days.length, 1);
+  assert.equal(calendar.days[0].guests, 40);
+  assert.equal(calendar.days[0].overCapacity, false);
+
+  const { receivables } = (await getJson(server.baseUrl, '/api/receivables?includePast=true')).body;
+  assert.equal(receivables.rows.length, 1);
+  assert.equal(receivables.totalOutstanding, 1875.4);
+});
+
+test('a file repeated within one batch is left out of its combined totals', async () => {
+  const { status, body } = await upload(2);
+  assert.equal(status, 200);
+
+  const [, repeat] = body.results;
+  assert.equal(repeat.repeatOf, 'contract.png');
+  assert.equal(repeat.excludedFromTotals, true);
+  assert.equal(body.combinedTotals.grandTotal, 2375.4);
+
+  const events = (await getJson(server.baseUrl, '/api/events')).body.events;
+  assert.equal(events.length, 1);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildEventCalendar } = require('../lib/event-calendar');
+
+function event(id, isoDate, guests, breakdown = {}) {
+  return {
+    id,
+    fileHash: `hash-${id}`,
+    breakdown: { eventDetails: { eventName: `Event ${id}`, isoDate, guests }, grandTotal: 1000, ...breakdown }
+  };
+}
+
+const events = [
+  event('evening', '2026-03-14', 30, { preTaxTotal: 800, eventDetails: { isoDate: '2026-03-14', guests: 30, startTime: '18:00' } }),
+  event('no-time', '2026-03-14', 25),
+  event('lunch', '2026-03-14', '20', { eventDetails: { isoDate: '2026-03-14', guests: '20', startTime: '11:30' }, balanceDue: 200 }),
+  event('next-week', '2026-03-21', 10),
+  event('april', '2026-04-02', 10),
+  event('undated', null, 10)
+];
+
+test('events are placed on their day, sorted by start time, with guests and revenue summed', () => {
+  const calendar = buildEventCalendar(events, { from: '2026-03-01', to: '2026-03-31', capacity: 60 });
+
+  assert.deepEqual(calendar.days.map((d) => [d.date, d.guests, d.revenue, d.overCapacity]), [
+    ['2026-03-14', 75, 2800, true],
+    ['2026-03-21', 10, 1000, false]
+  ]);
+  assert.deepEqual(calendar.days[0].events.map((e) => [e.id, e.revenue, e.balanceDue]), [
+    ['lunch', 1000, 200],
+    ['evening', 800, null],
+    ['no-time', 1000, null]
+  ]);
+  assert.equal(calendar.undatedEvents, 1);
+});
+
+test('without a capacity no day is flagged', () => {
+  const calendar = buildEventCalendar(events, { from: '2026-03-14', to: '2026-03-14', capacity: null });
+
+  assert.equal(calendar.capacity, null);
+  assert.deepEqual(calendar.days.map((d) => d.overCapacity), [false]);
+});
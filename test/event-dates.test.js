@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEventDate, parseEventTime, normalizeEventDetails, eventIsoDate } = require('../lib/event-dates');
+
+const analyzedOn = new Date('2026-03-01T12:00:00Z');
+
+test('dates in the formats party sheets use resolve to ISO', () => {
+  for (const [text, iso] of [
+    ['2026-03-14', '2026-03-14'],
+    ['March 14th, 2026', '2026-03-14'],
+    ['Sat Mar. 14 2026', '2026-03-14'],
+    ['14 March 2026', '2026-03-14'],
+    ['the 1st of Sept, 2026', '2026-09-01'],
+    ['3/14/26', '2026-03-14'],
+    ['3-14-2026', '2026-03-14'],
+    ['Saturday 3.14.2026 6-9pm', '2026-03-14']
+  ]) {
+    assert.equal(parseEventDate(text, analyzedOn), iso, text);
+  }
+});
+
+test('a date without a year is the next one from about two months before the reference', () => {
+  assert.equal(parseEventDate('Sat 3/14', analyzedOn), '2026-03-14');
+  assert.equal(parseEventDate('January 5', analyzedOn), '2026-01-05');
+  assert.equal(parseEventDate('Dec 20th', analyzedOn), '2026-12-20');
+  assert.equal(parseEventDate('Dec 20th', new Date('2026-02-25T00:00:00Z')), '2026-12-20');
+  assert.equal(parseEventDate('Dec 20th', new Date('2027-01-10T00:00:00Z')), '2026-12-20');
+  assert.equal(parseEventDate('Dec 20th', new Date('2027-02-25T00:00:00Z')), '2027-12-20');
+  assert.equal(parseEventDate('Oct 1', new Date('2026-12-15T00:00:00Z')), '2027-10-01');
+});
+
+test('text that is not a real date resolves to null', () => {
+  assert.equal(parseEventDate('2026-02-30'), null);
+  assert.equal(parseEventDate('13/14/2026'), null);
+  assert.equal(parseEventDate('6-9pm'), null);
+  assert.equal(parseEventDate('TBD'), null);
+  assert.equal(parseEventDate(null), null);
+});
+
+test('saved events use the normalized date, or parse the raw one with the day they were analyzed', () => {
+  assert.equal(eventIsoDate({ breakdown: { eventDetails: { isoDate: '2026-03-14', date: 'garbled' } } }), '2026-03-14');
+  assert.equal(eventIsoDate({
+    createdAt: '2025-12-01T00:00:00.000Z',
+    breakdown: { eventDetails: { date: 'Saturday, January 10th' } }
+  }), '2026-01-10');
+  assert.equal(eventIsoDate({ date: '2026-04-01' }), '2026-04-01');
+});
+
+test('time ranges resolve to 24-hour start and end times', () => {
+  for (const [text, startTime, endTime] of [
+    ['6-9pm', '18:00', '21:00'],
+    ['6:00 PM - 9:00 PM', '18:00', '21:00'],
+    ['11-2pm', '11:00', '14:00'],
+    ['11am to 1:30 p.m.', '11:00', '13:30'],
+    ['noon-3', '12:00', '15:00'],
+    ['8pm - midnight', '20:00', '00:00'],
+    ['10:00-1:00', '10:00', '13:00'],
+    ['March 14th 6-9pm', '18:00', '21:00']
+  ]) {
+    assert.deepEqual(parseEventTime(text), { startTime, endTime }, text);
+  }
+});
+
+test('a single time needs am/pm or a colon; dates are not read as times', () => {
+  assert.deepEqual(parseEventTime('7pm'), { startTime: '19:00', endTime: null });
+  assert.deepEqual(parseEventTime('18:30'), { startTime: '18:30', endTime: null });
+  assert.deepEqual(parseEventTime('6:30'), { startTime: '18:30', endTime: null });
+  assert.equal(parseEventTime('3-14'), null);
+  assert.equal(parseEventTime('3/14/2026'), null);
+  assert.equal(parseEventTime('7'), null);
+  assert.equal(parseEventTime('25:00'), null);
+  assert.equal(parseEventTime('evening'), null);
+});
+
+test('event details keep the printed strings and gain resolved fields', () => {
+  assert.deepEqual(normalizeEventDetails({ eventName: 'Smith', date: ' Sat 3/14 6-9pm ', time: '', guests: 40 }, analyzedOn), {
+    eventName: 'Smith',
+    date: 'Sat 3/14 6-9pm',
+    time: null,
+    guests: 40,
+    isoDate: '2026-03-14',
+    startTime: '18:00',
+    endTime: '21:00',
+    unparseable: []
+  });
+
+  const unreadable = normalizeEventDetails({ date: 'TBD', time: 'evening' }, analyzedOn);
+  assert.equal(unreadable.isoDate, null);
+  assert.equal(unreadable.startTime, null);
+  assert.deepEqual(unreadable.unparseable, ['date', 'time']);
+  assert.deepEqual(normalizeEventDetails(null).unparseable, []);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, getJson, sendJson } = require('./helpers/test-server');
+
+let server;
+
+function event(id, fields, createdAt) {
+  return {
+    id,
+    ...fields,
+    fileHash: `hash-${id}`,
+    breakdown: { grandTotal: 100, eventDetails: {} },
+    createdAt,
+    updatedAt: createdAt
+  };
+}
+
+before(async () => {
+  server = await startTestServer();
+  // The event store loads its file on first use, so this is what the app starts with
+  fs.writeFileSync(path.join(server.dataDir, 'events.json'), JSON.stringify([
+    event('birthday', { eventName: 'Maya Birthday Party', date: 'March 14, 2026', contact: 'Jordan Smith', sourceFilename: 'maya.pdf' },
+      '2026-03-01T00:00:00.000Z'),
+    event('corporate', { eventName: 'Acme Team Outing', date: 'April 2, 2026', contact: 'Lee Park', sourceFilename: 'acme-outing.pdf' },
+      '2026-03-05T00:00:00.000Z'),
+    event('league', { eventName: 'Spring League Night', date: 'March 20, 2026', contact: null, sourceFilename: 'league.png' },
+      '2026-03-03T00:00:00.000Z')
+  ]));
+});
+
+after(() => server.close());
+
+async function searchIds(q) {
+  const { status, body } = await getJson(server.baseUrl, `/api/events?q=${encodeURIComponent(q)}`);
+  assert.equal(status, 200);
+  return body.events.map((e) => e.id);
+}
+
+test('without q every event is listed, newest first', async () => {
+  const { status, body } = await getJson(server.baseUrl, '/api/events');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.events.map((e) => e.id), ['corporate', 'league', 'birthday']);
+  assert.equal(body.events[0].grandTotal, 100);
+  assert.equal(body.events[0].breakdown, undefined);
+  assert.deepEqual(await searchIds('   '), ['corporate', 'league', 'birthday']);
+});
+
+test('q matches the event name, date, contact or file name, ignoring case', async () => {
+  assert.deepEqual(await searchIds('BIRTHDAY'), ['birthday']);
+  assert.deepEqual(await searchIds('march'), ['league', 'birthday']);
+  assert.deepEqual(await searchIds('lee park'), ['corporate']);
+  assert.deepEqual(await searchIds('.png'), ['league']);
+  assert.deepEqual(await searchIds('no such event'), []);
+});
+
+test('DELETE removes the event and 404s when it is gone', async () => {
+  const removed = await sendJson(server.baseUrl, 'DELETE', '/api/events/league');
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.success, true);
+
+  assert.equal((await getJson(server.baseUrl, '/api/events/league')).status, 404);
+  assert.deepEqual(await searchIds('league'), []);
+
+  const again = await sendJson(server.baseUrl, 'DELETE', '/api/events/league');
+  assert.equal(again.status, 404);
+  assert.equal(again.body.error, 'Event not found');
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createCategoryRegistry } = require('../lib/categories');
+const { buildEventSummaryPdf, buildKitchenTicketPdf } = require('../lib/event-pdf');
+const { SAMPLE_PNG, startTestServer, buildForm, postForm } = require('./helpers/test-server');
+
+let server;
+let uploaded;
+
+before(async () => {
+  server = await startTestServer();
+  // A saved event with nothing for the kitchen: the event store reads its file on first use
+  fs.writeFileSync(path.join(server.dataDir, 'events.json'), JSON.stringify([{
+    id: 'lanes-only',
+    eventName: 'Lanes Only',
+    sourceFilename: 'lanes.pdf',
+    breakdown: {
+      bowling: 200,
+      grandTotal: 200,
+      lineItems: [{ description: 'Bowling Lanes', quantity: 2, unitPrice: 100, total: 200, category: 'BOWLING' }],
+      eventDetails: { eventName: 'Lanes Only', guests: 12 }
+    },
+    createdAt: '2026-03-01T00:00:00.000Z',
+    updatedAt: '2026-03-01T00:00:00.000Z'
+  }]));
+  uploaded = (await postForm(server.baseUrl, '/api/upload',
+    buildForm([['pdfs', SAMPLE_PNG, 'contract.png', 'image/png']]))).body.results[0];
+});
+
+after(() => server.close());
+
+// pdfkit compresses page content, but the document info (title) and page boxes stay readable
+function pdfText(buffer) {
+  return buffer.toString('latin1');
+}
+
+async function getPdf(url) {
+  const response = await fetch(`${server.baseUrl}${url}`);
+  return { response, buffer: Buffer.from(await response.arrayBuffer()) };
+}
+
+test('the event summary is a Letter page titled after the event', async () => {
+  const breakdown = {
+    food: 120,
+    drinks: 0,
+    preTaxTotal: 120,
+    tax: 8.4,
+    grandTotal: 128.4,
+    lineItems: [
+      { description: 'Wings Platter', quantity: 2, unitPrice: 60, total: 120, category: 'FOOD' },
+      { description: 'Sales Tax', total: 8.4, category: 'TAX' },
+      { description: 'Mystery line', total: 0, category: 'NOPE' }
+    ],
+    eventDetails: { eventName: 'Maya Party', date: 'March 14, 2026', guests: 20 }
+  };
+
+  const text = pdfText(await buildEventSummaryPdf({ filename: 'maya.pdf', breakdown }, { registry: createCategoryRegistry() }));
+
+  assert.ok(text.startsWith('%PDF'));
+  assert.ok(text.includes('(Maya Party - Summary)'));
+  assert.ok(text.includes('/MediaBox [0 0 612 792]'));
+});
+
+test('the summary of an empty analysis falls back to the file name', async () => {
+  const text = pdfText(await buildEventSummaryPdf({ filename: 'blank.pdf', breakdown: {} }, { registry: createCategoryRegistry() }));
+
+  assert.ok(text.includes('(blank.pdf - Summary)'));
+});
+
+test('the kitchen ticket is a 4x6 page and takes the name from the event when the prep sheet has none', async () => {
+  const prepSheet = {
+    guests: 20,
+    items: [{ menuItem: 'Wings', quantity: 40, unit: 'pieces', panSize: 'Half pan', bracket: '1-25' }],
+    extras: [{ description: 'Birthday cake', quantity: null, notes: 'bring from home' }],
+    warnings: []
+  };
+
+  const text = pdfText(await buildKitchenTicketPdf(prepSheet, { eventName: 'Maya Party' }));
+
+  assert.ok(text.startsWith('%PDF'));
+  assert.ok(text.includes('(Maya Party - Kitchen Ticket)'));
+  assert.ok(text.includes('/MediaBox [0 0 288 432]'));
+  assert.ok(pdfText(await buildKitchenTicketPdf({})).includes('(Event - Kitchen Ticket)'));
+});
+
+test('a saved event downloads as a summary PDF', async () => {
+  const { response, buffer } = await getPdf(`/api/events/${uploaded.eventId}/summary.pdf`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/pdf');
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="Sample_Birthday_Party-summary.pdf"');
+  assert.ok(buffer.length > 0);
+  assert.ok(pdfText(buffer).startsWith('%PDF'));
+});
+
+test('a saved event downloads as a kitchen ticket PDF', async () => {
+  const { response, buffer } = await getPdf(`/api/events/${uploaded.eventId}/kitchen-ticket.pdf`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/pdf');
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="Sample_Birthday_Party-kitchen-ticket.pdf"');
+  assert.ok(pdfText(buffer).startsWith('%PDF'));
+});
+
+test('an event without food still gets a kitchen ticket', async () => {
+  const { response, buffer } = await getPdf('/api/events/lanes-only/kitchen-ticket.pdf');
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="Lanes_Only-kitchen-ticket.pdf"');
+  assert.ok(pdfText(buffer).startsWith('%PDF'));
+  assert.ok(pdfText(buffer).includes('(Lanes Only - Kitchen Ticket)'));
+});
+
+test('PDFs of an unknown event are a 404', async () => {
+  for (const suffix of ['summary.pdf', 'kitchen-ticket.pdf']) {
+    const { response } = await getPdf(`/api/events/no-such-event/${suffix}`);
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('content-type'), 'application/json; charset=utf-8');
+  }
+});
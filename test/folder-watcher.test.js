@@ -0,0 +1,86 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFolderWatcher } = require('../lib/folder-watcher');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'folder-watcher-'));
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function listDir(subdir = '') {
+  const target = path.join(dir, subdir);
+  return fs.existsSync(target) ? fs.readdirSync(target).sort() : [];
+}
+
+test('files are handed off once they are unchanged between two scans, then moved aside', async () => {
+  const batches = [];
+  const watcher = createFolderWatcher({
+    dir,
+    onFiles: async (files) => {
+      batches.push(files.map((f) => path.basename(f.path)));
+      return { rejected: [{ path: path.join(dir, 'bad.pdf'), reason: 'unreadable' }] };
+    }
+  });
+  fs.writeFileSync(path.join(dir, 'a.pdf'), 'a');
+  fs.writeFileSync(path.join(dir, 'bad.pdf'), 'b');
+  fs.writeFileSync(path.join(dir, 'empty.png'), '');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'x');
+  fs.writeFileSync(path.join(dir, '.hidden.pdf'), 'x');
+
+  await watcher.scan();
+  assert.deepEqual(batches, []);
+
+  await watcher.scan();
+  assert.deepEqual(batches, [['a.pdf', 'bad.pdf']]);
+  assert.deepEqual(listDir(), ['.hidden.pdf', 'empty.png', 'failed', 'notes.txt', 'processed']);
+  assert.match(listDir('processed')[0], /-a\.pdf$/);
+  assert.match(listDir('failed')[0], /-bad\.pdf$/);
+  assert.equal(watcher.status().filesHandled, 2);
+  assert.equal(watcher.status().running, false);
+});
+
+test('a file still being written waits for the next quiet scan', async () => {
+  const batches = [];
+  const watcher = createFolderWatcher({ dir, onFiles: async (files) => batches.push(files.length) });
+  const file = path.join(dir, 'big.pdf');
+
+  fs.writeFileSync(file, 'part');
+  await watcher.scan();
+  fs.appendFileSync(file, ' and the rest');
+  await watcher.scan();
+  assert.deepEqual(batches, []);
+
+  await watcher.scan();
+  assert.deepEqual(batches, [1]);
+});
+
+test('a failed hand-off moves the whole batch to failed/', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const watcher = createFolderWatcher({
+    dir,
+    onFiles: async () => {
+      throw new Error('server busy');
+    }
+  });
+  fs.writeFileSync(path.join(dir, 'a.zip'), 'zip');
+
+  await watcher.scan();
+  await watcher.scan();
+  assert.deepEqual(listDir(), ['failed']);
+  assert.equal(watcher.status().lastError, null);
+});
+
+test('a missing folder is reported in the status', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const watcher = createFolderWatcher({ dir: path.join(dir, 'missing'), onFiles: async () => {} });
+
+  await watcher.scan();
+  assert.match(watcher.status().lastError, /ENOENT/);
+  assert.ok(watcher.status().lastScanAt);
+});
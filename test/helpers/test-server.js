@@ -0,0 +1,99 @@
+/**
+ * Test helpers: the app on a random port against a fresh data dir and the mock LLM provider (fixtures/llm),
+ * so flows run without network access or credentials.
+ *
+ * server.js reads its settings when it's first required, so start the server before anything else loads it.
+ * node --test runs each test file in its own process, so every file gets its own app and data.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// A 1x1 PNG: image uploads go straight to the provider, keyed by the file's hash
+const SAMPLE_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * @param {object} [env] - extra environment for the app (LLM_FIXTURES_DIR, …)
+ * @returns {Promise<{ baseUrl: string, dataDir: string, close: () => Promise<void> }>}
+ */
+async function startTestServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'onpar-test-'));
+  // The server logs every step of an analysis; errors still show
+  const quiet = process.env.TEST_VERBOSE ? {} : { QUIET_LOGS: '1', DOTENV_CONFIG_QUIET: 'true' };
+  Object.assign(process.env, { DATA_DIR: dataDir, LLM_PROVIDER: 'mock', PRICE_ALERT_NOTIFIERS: '', ...quiet }, env);
+
+  const app = require('../../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    dataDir,
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * .xlsx file contents with one sheet: a header row, then the data rows.
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows
+ */
+async function workbookBuffer(headers, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Sheet1');
+  worksheet.addRow(headers);
+  rows.forEach((row) => worksheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * multipart form: `files` is [field, buffer, filename, type?] per file, `fields` plain values.
+ */
+function buildForm(files, fields = {}) {
+  const form = new FormData();
+  for (const [field, buffer, filename, type] of files) {
+    form.append(field, new Blob([buffer], type ? { type } : {}), filename);
+  }
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  return form;
+}
+
+async function postForm(baseUrl, url, form) {
+  const response = await fetch(`${baseUrl}${url}`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+async function getJson(baseUrl, url) {
+  const response = await fetch(`${baseUrl}${url}`);
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * A JSON request (DELETE, POST, …); `payload` is sent as the JSON body when given.
+ */
+async function sendJson(baseUrl, method, url, payload) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: payload === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: payload === undefined ? undefined : JSON.stringify(payload)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+  SAMPLE_PNG,
+  startTestServer,
+  workbookBuffer,
+  buildForm,
+  postForm,
+  getJson,
+  sendJson
+};
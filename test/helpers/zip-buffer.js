@@ -0,0 +1,71 @@
+/**
+ * Test helper: ZIP archives built in memory, so ZIP handling can be tested without fixture files.
+ */
+
+// zlib.crc32 needs Node 20.15+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * ZIP archive contents with stored (uncompressed) entries.
+ * @param {Array<{ name: string, data?: Buffer|string, modified?: Date, encrypted?: boolean }>} entries
+ */
+function zipBuffer(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data = '', modified = new Date(2026, 2, 1, 12, 0, 0), encrypted = false } of entries) {
+    const nameBytes = Buffer.from(name);
+    const content = Buffer.from(data);
+    // Stored encrypted entries carry a 12-byte encryption header ahead of the data
+    const body = encrypted ? Buffer.concat([Buffer.alloc(12), content]) : content;
+    const dosTime = (modified.getHours() << 11) | (modified.getMinutes() << 5) | (modified.getSeconds() >> 1);
+    const dosDate = ((modified.getFullYear() - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+    const fields = (header) => {
+      header.writeUInt16LE(encrypted ? 1 : 0, 6);
+      header.writeUInt16LE(dosTime, 10);
+      header.writeUInt16LE(dosDate, 12);
+      header.writeUInt32LE(crc32(content), 14);
+      header.writeUInt32LE(body.length, 18);
+      header.writeUInt32LE(content.length, 22);
+      header.writeUInt16LE(nameBytes.length, 26);
+    };
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    fields(local);
+    locals.push(local, nameBytes, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    fields(central.subarray(2));
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = {
+  zipBuffer
+};
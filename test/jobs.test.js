@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../lib/jobs');
+
+async function waitFor(queue, id) {
+  let job = queue.get(id);
+  while (job.status === 'queued' || job.status === 'running') {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    job = queue.get(id);
+  }
+  return job;
+}
+
+test('a job reports per-file progress and partial results, then its result', async () => {
+  const queue = createJobQueue({ retentionMs: 0 });
+  const submitted = queue.submit('party-sheets', {
+    files: [{ filename: 'a.pdf' }, { filename: 'b.pdf' }],
+    async run({ updateFile, addPartialResult }) {
+      updateFile(0, { status: 'done' });
+      addPartialResult({ filename: 'a.pdf' });
+      updateFile(1, { status: 'failed', error: 'unreadable' });
+      updateFile(5, { status: 'done' });
+      return { count: 1 };
+    }
+  });
+
+  assert.equal(submitted.status, 'running');
+  assert.deepEqual(submitted.progress, { total: 2, done: 0, failed: 0 });
+
+  const job = await waitFor(queue, submitted.id);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.progress, { total: 2, done: 1, failed: 1 });
+  assert.deepEqual(job.files[1], { index: 1, filename: 'b.pdf', status: 'failed', error: 'unreadable' });
+  assert.deepEqual(job.partialResults, [{ filename: 'a.pdf' }]);
+  assert.deepEqual(job.result, { count: 1 });
+  assert.ok(job.finishedAt);
+});
+
+test('jobs beyond the concurrency limit wait their turn', async () => {
+  const queue = createJobQueue({ concurrency: 1, retentionMs: 0 });
+  let release;
+  const first = queue.submit('vendor-costs', { run: () => new Promise((resolve) => { release = resolve; }) });
+  const second = queue.submit('vendor-costs', { run: async () => 'second' });
+
+  assert.equal(second.status, 'queued');
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(queue.get(second.id).status, 'queued');
+
+  release('first');
+  assert.equal((await waitFor(queue, first.id)).result, 'first');
+  assert.equal((await waitFor(queue, second.id)).result, 'second');
+});
+
+test('a job that throws is failed with its message', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const queue = createJobQueue({ retentionMs: 0 });
+  const { id } = queue.submit('vendor-costs', {
+    async run() {
+      throw new Error('No vendor files');
+    }
+  });
+
+  const job = await waitFor(queue, id);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'No vendor files');
+});
+
+test('finished jobs are dropped after the retention period', async () => {
+  const queue = createJobQueue({ retentionMs: 10 });
+  const { id } = queue.submit('party-sheets', { run: async () => null });
+
+  await waitFor(queue, id);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(queue.get(id), null);
+  assert.equal(queue.get('missing'), null);
+});
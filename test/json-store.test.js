@@ -0,0 +1,99 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../lib/json-store');
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+  file = path.join(dir, 'nested', 'docs.json');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function readFile() {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test('seed documents are written the first time the file is missing', async () => {
+  const store = createJsonStore(file, { seed: () => [{ name: 'a' }, { name: 'b' }] });
+  const docs = await store.list();
+
+  assert.deepEqual(docs.map((d) => d.name), ['a', 'b']);
+  assert.match(docs[0].id, /^[0-9a-f]{16}$/);
+  assert.deepEqual(readFile(), docs);
+  assert.deepEqual(await createJsonStore(file, { seed: () => [{ name: 'ignored' }] }).list(), docs);
+});
+
+test('without a seed nothing is written until the first change', async () => {
+  const store = createJsonStore(file);
+  assert.deepEqual(await store.list(), []);
+  assert.equal(fs.existsSync(file), false);
+
+  const created = await store.insert({ name: 'a' });
+  assert.deepEqual(readFile(), [created]);
+});
+
+test('documents handed out are copies', async () => {
+  const store = createJsonStore(file);
+  const created = await store.insert({ tags: ['x'] });
+  created.tags.push('y');
+  (await store.get(created.id)).tags.push('z');
+
+  assert.deepEqual((await store.get(created.id)).tags, ['x']);
+  assert.equal(await store.get('missing'), null);
+});
+
+test('update keeps id and createdAt; remove reports whether anything was removed', async () => {
+  const store = createJsonStore(file);
+  const created = await store.insert({ name: 'a' });
+  const updated = await store.update(created.id, { name: 'b', id: 'other', createdAt: 'then' });
+
+  assert.equal(updated.id, created.id);
+  assert.equal(updated.createdAt, created.createdAt);
+  assert.equal(updated.name, 'b');
+  assert.equal(await store.update('missing', { name: 'c' }), null);
+  assert.equal(await store.remove(created.id), true);
+  assert.equal(await store.remove(created.id), false);
+  assert.deepEqual(readFile(), []);
+});
+
+test('insertMany with uniqueBy skips values already stored or earlier in the batch', async () => {
+  const store = createJsonStore(file);
+  await store.insert({ key: 'a' });
+  const created = await store.insertMany([{ key: 'a' }, { key: 'b' }, { key: 'b' }, { key: 'c' }], { uniqueBy: 'key' });
+
+  assert.deepEqual(created.map((d) => d.key), ['b', 'c']);
+  assert.deepEqual((await store.list()).map((d) => d.key), ['a', 'b', 'c']);
+});
+
+test('replaceAll keeps the identity of documents that are still there', async () => {
+  const store = createJsonStore(file);
+  const kept = await store.insert({ name: 'kept' });
+  const dropped = await store.insert({ name: 'dropped' });
+  const replaced = await store.replaceAll([{ id: kept.id, name: 'kept, edited' }, { id: 'unknown', name: 'new' }]);
+
+  assert.equal(replaced[0].id, kept.id);
+  assert.equal(replaced[0].createdAt, kept.createdAt);
+  assert.notEqual(replaced[1].id, 'unknown');
+  assert.equal(await store.get(dropped.id), null);
+});
+
+test('concurrent writes are applied one at a time', async () => {
+  const store = createJsonStore(file);
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.insert({ n: i })));
+
+  assert.equal(readFile().length, 20);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['docs.json']);
+});
+
+test('a file that is not a JSON array is an error', async () => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{"not":"an array"}');
+
+  await assert.rejects(createJsonStore(file).list(), /does not contain a JSON array/);
+});
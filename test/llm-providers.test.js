@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLlmProvider } = require('../lib/llm-providers');
+
+function fixturesDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onpar-fixtures-'));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(content));
+  });
+  return dir;
+}
+
+test('mock reads the keyed fixture before the default', async () => {
+  const dir = fixturesDir({
+    'party-sheet/abc.json': { which: 'keyed' },
+    'party-sheet/default.json': { which: 'default' }
+  });
+  const llm = createLlmProvider({ LLM_PROVIDER: 'mock', LLM_FIXTURES_DIR: dir });
+
+  assert.equal(llm.isConfigured(), true);
+  assert.deepEqual(JSON.parse(await llm.completeJson({ task: 'party-sheet', fixtureKey: 'abc' })), { which: 'keyed' });
+  assert.deepEqual(JSON.parse(await llm.completeJson({ task: 'party-sheet', fixtureKey: ['missing', 'abc'] })), { which: 'keyed' });
+  assert.deepEqual(JSON.parse(await llm.completeJson({ task: 'party-sheet', fixtureKey: 'other' })), { which: 'default' });
+});
+
+test('mock fails clearly without a fixture or a task', async () => {
+  const llm = createLlmProvider({ LLM_PROVIDER: 'mock', LLM_FIXTURES_DIR: fixturesDir({}) });
+
+  await assert.rejects(llm.completeJson({ task: 'excel-columns', fixtureKey: 'abc' }), /No mock fixture for excel-columns/);
+  await assert.rejects(llm.completeJson({ fixtureKey: 'abc' }), /needs a task name/);
+});
+
+test('the bundled fixtures cover every task the app calls', async () => {
+  const llm = createLlmProvider({ LLM_PROVIDER: 'mock' });
+
+  const sheet = JSON.parse(await llm.completeJson({ task: 'party-sheet', fixtureKey: 'any-file-hash' }));
+  assert.ok(Array.isArray(sheet.lineItems) && sheet.lineItems.length > 0);
+
+  const columns = JSON.parse(await llm.completeJson({ task: 'excel-columns', fixtureKey: 'any-header-hash' }));
+  assert.deepEqual(Object.keys(columns).sort(), ['dateColumn', 'productDescriptionColumn', 'unitPriceColumn']);
+});
+
+test('chat providers report whether they are configured', () => {
+  assert.equal(createLlmProvider({}).isConfigured(), false);
+  assert.equal(createLlmProvider({ OPENAI_API_KEY: 'sk-test' }).model, 'gpt-4o');
+  assert.equal(createLlmProvider({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:1234/v1' }).isConfigured(), false);
+  assert.equal(createLlmProvider({
+    LLM_PROVIDER: 'openai-compatible',
+    LLM_BASE_URL: 'http://localhost:1234/v1',
+    LLM_MODEL: 'llama'
+  }).isConfigured(), true);
+  assert.throws(() => createLlmProvider({ LLM_PROVIDER: 'nope' }), /Unknown LLM_PROVIDER "nope"/);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SAMPLE_PNG,
+  startTestServer,
+  workbookBuffer,
+  buildForm,
+  postForm,
+  getJson
+} = require('./helpers/test-server');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test('a party sheet upload is analyzed from the party-sheet fixture and saved to history', async () => {
+  const { status, body } = await postForm(server.baseUrl, '/api/upload',
+    buildForm([['pdfs', SAMPLE_PNG, 'contract.png', 'image/png']]));
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.successful, 1);
+  const [result] = body.results;
+  assert.equal(result.extractionMethod, 'llm');
+  assert.equal(result.breakdown.eventDetails.eventName, 'Sample Birthday Party');
+  assert.equal(result.breakdown.eventDetails.isoDate, '2026-03-14');
+  assert.equal(result.breakdown.grandTotal, 2375.4);
+  assert.ok(result.eventId);
+
+  const history = await getJson(server.baseUrl, `/api/events/${result.eventId}`);
+  assert.equal(history.status, 200);
+});
+
+test('a party sheet job runs through the mock and reports per-file progress', async () => {
+  const submitted = await postForm(server.baseUrl, '/api/jobs/party-sheets',
+    buildForm([['pdfs', Buffer.concat([SAMPLE_PNG, Buffer.from('job')]), 'job.png', 'image/png']]));
+  assert.equal(submitted.status, 202);
+
+  let job = submitted.body.job;
+  while (job.status === 'queued' || job.status === 'running') {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    job = (await getJson(server.baseUrl, `/api/jobs/${job.id}`)).body.job;
+  }
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.progress, { total: 1, done: 1, failed: 0 });
+  assert.equal(job.result.results[0].breakdown.grandTotal, 2375.4);
+});
+
+test('vendor cost columns come from the excel-columns fixture', async () => {
+  // The header-name guess would take "Item Code" as the product column; the fixture says "Description"
+  const reference = await workbookBuffer(['Item Code', 'Description'], [
+    ['1001', 'Cheddar Cheese'],
+    ['1002', 'Chicken Breast']
+  ]);
+  const invoice = await workbookBuffer(['Item Code', 'Description', 'Unit Price', 'Invoice Date'], [
+    ['55-1', 'Cheddar Cheese', '$42.50', new Date('2026-03-02T12:00:00Z')],
+    ['55-2', 'Chicken Breast', '$61.00', new Date('2026-03-02T12:00:00Z')]
+  ]);
+
+  const { status, body } = await postForm(server.baseUrl, '/api/vendor-costs', buildForm([
+    ['referenceSheet', reference, 'reference.xlsx'],
+    ['vendorFiles', invoice, 'invoice.xlsx']
+  ], { vendorNames: 'Sysco' }));
+
+  assert.equal(status, 200, body.error);
+  const cheese = body.products.find((p) => p.productName === 'Cheddar Cheese');
+  assert.ok(cheese, 'Cheddar Cheese was matched');
+  assert.equal(cheese.mostRecentPrice, 42.5);
+  assert.equal(cheese.priceHistory[0].date, '2026-03-02');
+  assert.equal(cheese.priceHistory[0].vendor, 'Sysco');
+  assert.deepEqual(body.summary.fileLayouts, [{ filename: 'invoice.xlsx', layout: null }]);
+});
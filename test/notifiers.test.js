@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createNotifiers, sendToNotifiers } = require('../lib/notifiers');
+
+const alert = {
+  productName: 'Cheddar Cheese',
+  latestDate: '2026-03-09',
+  mostRecentPrice: 46,
+  averagePrice: 43,
+  percentIncrease: 6.98
+};
+
+test('notifiers are picked from PRICE_ALERT_NOTIFIERS', () => {
+  assert.deepEqual(createNotifiers({}), []);
+
+  const notifiers = createNotifiers({
+    PRICE_ALERT_NOTIFIERS: ' Log, webhook ,log,email',
+    PRICE_ALERT_WEBHOOK_URL: 'https://hooks.example.com/T0KEN',
+    SMTP_HOST: 'smtp.example.com',
+    SMTP_PORT: '465',
+    PRICE_ALERT_EMAIL_TO: 'chef@example.com, owner@example.com'
+  }, { dataDir: '/srv/data' });
+
+  assert.deepEqual(notifiers.map((n) => n.describe()), [
+    { notifier: 'log', file: path.resolve('/srv/data/price-alerts.log'), configured: true },
+    { notifier: 'webhook', configured: true, host: 'hooks.example.com' },
+    { notifier: 'email', configured: false, host: 'smtp.example.com', to: ['chef@example.com', 'owner@example.com'] }
+  ]);
+  assert.throws(() => createNotifiers({ PRICE_ALERT_NOTIFIERS: 'sms' }), /Unknown notifier "sms"/);
+});
+
+test('a missing or malformed webhook URL leaves the webhook unconfigured with a reason', async () => {
+  const describe = (url) => createNotifiers({ PRICE_ALERT_NOTIFIERS: 'webhook', PRICE_ALERT_WEBHOOK_URL: url })[0].describe();
+
+  assert.deepEqual(describe(undefined), { notifier: 'webhook', configured: false, reason: 'PRICE_ALERT_WEBHOOK_URL is not set' });
+  assert.deepEqual(describe('hooks.example.com/T0KEN'),
+    { notifier: 'webhook', configured: false, reason: 'PRICE_ALERT_WEBHOOK_URL is not a valid URL' });
+  assert.deepEqual(describe('ftp://hooks.example.com/T0KEN'),
+    { notifier: 'webhook', configured: false, reason: 'PRICE_ALERT_WEBHOOK_URL must be an http(s) URL' });
+
+  const [webhook] = createNotifiers({ PRICE_ALERT_NOTIFIERS: 'webhook', PRICE_ALERT_WEBHOOK_URL: 'https://' });
+  assert.equal(webhook.isConfigured(), false);
+  await assert.rejects(webhook.send([alert]), /not configured: PRICE_ALERT_WEBHOOK_URL is not a valid URL/);
+});
+
+test('the log notifier appends one JSON line per alert', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifiers-'));
+  try {
+    const file = path.join(dir, 'logs', 'alerts.log');
+    const [log] = createNotifiers({ PRICE_ALERT_NOTIFIERS: 'log', PRICE_ALERT_LOG_FILE: file });
+    await log.send([alert]);
+    await log.send([alert, { ...alert, productName: 'Butter' }]);
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    assert.deepEqual(lines.map((l) => l.productName), ['Cheddar Cheese', 'Cheddar Cheese', 'Butter']);
+    assert.ok(lines[0].sentAt);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('one failing notifier does not stop the others', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.statusCode = req.url === '/fail' ? 500 : 204;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const notifiers = [
+      ...createNotifiers({ PRICE_ALERT_NOTIFIERS: 'webhook', PRICE_ALERT_WEBHOOK_URL: `${base}/ok` }),
+      ...createNotifiers({ PRICE_ALERT_NOTIFIERS: 'webhook', PRICE_ALERT_WEBHOOK_URL: `${base}/fail` }),
+      ...createNotifiers({ PRICE_ALERT_NOTIFIERS: 'email' })
+    ];
+    const results = await sendToNotifiers(notifiers, [alert]);
+
+    assert.deepEqual(results, [
+      { notifier: 'webhook', ok: true },
+      { notifier: 'webhook', ok: false, error: 'Webhook returned HTTP 500' },
+      {
+        notifier: 'email',
+        ok: false,
+        error: 'Email notifier is not configured (SMTP_HOST, PRICE_ALERT_EMAIL_FROM, PRICE_ALERT_EMAIL_TO)'
+      }
+    ]);
+    assert.equal(received.length, 2);
+    assert.equal(received[0].type, 'price-alerts');
+    assert.deepEqual(received[0].alerts, [alert]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parsePackSize,
+  pricePerBaseUnit,
+  findPackColumn,
+  preferCaseOffer,
+  pickCheapestOffer,
+  planOrderLine
+} = require('../lib/pack-size');
+
+function summary(text) {
+  const pack = parsePackSize(text);
+  return pack && [pack.packCount, pack.size, pack.unit, pack.baseUnit, pack.baseQuantity, pack.label];
+}
+
+test('vendor pack texts parse to a count, a size and base units', () => {
+  for (const [text, expected] of [
+    ['6/5 LB', [6, 5, 'lb', 'lb', 30, '6/5 LB']],
+    ['6 x 5lbs', [6, 5, 'lb', 'lb', 30, '6/5 LB']],
+    ['12/16 OZ', [12, 16, 'oz', 'lb', 12, '12/16 OZ']],
+    ['1/10#', [1, 10, 'lb', 'lb', 10, '10 LB']],
+    ['4/1 GAL', [4, 1, 'gal', 'gal', 4, '4/1 GAL']],
+    ['24/12 fl oz', [24, 12, 'fl oz', 'gal', 2.25, '24/12 FL OZ']],
+    ['2/5 KG', [2, 5, 'kg', 'lb', 22.0462, '2/5 KG']],
+    ['CS 200CT', [1, 200, 'each', 'each', 200, '200 CT']],
+    ['4PK', [4, 1, 'each', 'each', 4, '4 PK']],
+    ['2 DZ', [1, 2, 'dz', 'each', 24, '2 DZ']],
+    ['6/#10', [6, 1, 'each', 'each', 6, '6/#10']],
+    ['Cheddar Cheese Block 5 LB', [1, 5, 'lb', 'lb', 5, '5 LB']],
+    ['Milk 1.5 L', [1, 1.5, 'l', 'gal', 0.3963, '1.5 L']]
+  ]) {
+    assert.deepEqual(summary(text), expected, text);
+  }
+});
+
+test('text without a pack size parses to null', () => {
+  assert.equal(parsePackSize('5 LARGE EGGS'), null);
+  assert.equal(parsePackSize('Chicken Breast'), null);
+  assert.equal(parsePackSize('0/5 LB'), null);
+  assert.equal(parsePackSize('', null, undefined), null);
+});
+
+test('the pack column wins over the description', () => {
+  assert.equal(parsePackSize('4/5 LB', 'Cheddar 6/5 LB').label, '4/5 LB');
+  assert.equal(parsePackSize('', 'Cheddar 6/5 LB').label, '6/5 LB');
+});
+
+test('price per base unit needs a known pack', () => {
+  assert.equal(pricePerBaseUnit(42.5, parsePackSize('6/5 LB')), 1.4167);
+  assert.equal(pricePerBaseUnit(42.5, null), null);
+  assert.equal(pricePerBaseUnit(NaN, parsePackSize('6/5 LB')), null);
+});
+
+test('pack columns are found by header', () => {
+  assert.equal(findPackColumn(['Item', 'Description', 'Pk/Sz', 'Price']), 'Pk/Sz');
+  assert.equal(findPackColumn(['Pack Size']), 'Pack Size');
+  assert.equal(findPackColumn(['Packed On']), null);
+});
+
+test('a case beats a single at one vendor; vendors compare per base unit when they can', () => {
+  const single = { unitPrice: 9, pack: parsePackSize('1/5 LB') };
+  const caseOf6 = { unitPrice: 42, pack: parsePackSize('6/5 LB') };
+  const unknown = { unitPrice: 50, pack: null };
+
+  assert.equal(preferCaseOffer(undefined, single), single);
+  assert.equal(preferCaseOffer(caseOf6, single), caseOf6);
+  assert.equal(preferCaseOffer(single, caseOf6), caseOf6);
+  assert.equal(preferCaseOffer(caseOf6, unknown), unknown);
+
+  assert.deepEqual(pickCheapestOffer([single, caseOf6]), { best: caseOf6, comparedBy: 'base-unit' });
+  assert.deepEqual(pickCheapestOffer([single, caseOf6, unknown]), { best: single, comparedBy: 'unit-price' });
+  assert.deepEqual(pickCheapestOffer([]), { best: null, comparedBy: 'unit-price' });
+});
+
+test('an order line converts the count into the bigger, cheaper-per-pound pack only when it knows what was counted', () => {
+  const smallCase = { vendor: 'PFG', unitPrice: 40, pack: parsePackSize('4/5 LB') }; // $2.00/lb
+  const bigCase = { vendor: 'Sysco', unitPrice: 54, pack: parsePackSize('6/5 LB') }; // $1.80/lb
+
+  // 3 cases of 20 lb = 60 lb = 2 cases of 30 lb
+  assert.deepEqual(planOrderLine([smallCase, bigCase], 3, parsePackSize('4/5 LB')),
+    { best: bigCase, comparedBy: 'base-unit', orderQuantity: 2 });
+  // 1 case of 20 lb needs a whole 30 lb case, which costs more than the small one
+  assert.deepEqual(planOrderLine([smallCase, bigCase], 1, parsePackSize('4/5 LB')),
+    { best: smallCase, comparedBy: 'base-unit', orderQuantity: 1 });
+  // Counting in cases of unknown size: 3 cases of either is priced per case
+  assert.deepEqual(planOrderLine([smallCase, bigCase], 3, null), { best: smallCase, comparedBy: 'unit-price', orderQuantity: 3 });
+  assert.deepEqual(planOrderLine([smallCase, bigCase], 3, parsePackSize('12 CT')),
+    { best: smallCase, comparedBy: 'unit-price', orderQuantity: 3 });
+});
+
+test('same-size packs compare per base unit and an empty offer list plans nothing', () => {
+  const pfg = { unitPrice: 42, pack: parsePackSize('6/5 LB') };
+  const gfs = { unitPrice: 39, pack: parsePackSize('6/5 LB') };
+
+  assert.deepEqual(planOrderLine([pfg, gfs], 2), { best: gfs, comparedBy: 'base-unit', orderQuantity: 2 });
+  assert.deepEqual(planOrderLine([], 2, parsePackSize('6/5 LB')), { best: null, comparedBy: 'unit-price', orderQuantity: 2 });
+});
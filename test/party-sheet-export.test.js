@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { SAMPLE_PNG, startTestServer, buildForm, postForm } = require('./helpers/test-server');
+
+let server;
+let uploaded;
+
+before(async () => {
+  server = await startTestServer();
+  uploaded = (await postForm(server.baseUrl, '/api/upload',
+    buildForm([['pdfs', SAMPLE_PNG, 'contract.png', 'image/png']]))).body;
+});
+
+after(() => server.close());
+
+async function exportWorkbook(body) {
+  const response = await fetch(`${server.baseUrl}/api/export/party-sheets.xlsx`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  assert.equal(response.status, 200);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(await response.arrayBuffer()));
+  return workbook;
+}
+
+// The event sheet's details block: label in column A, value in column B
+function detail(sheet, label) {
+  for (let r = 3; r <= 10; r++) {
+    if (sheet.getCell(r, 1).value === label) return sheet.getCell(r, 2).value;
+  }
+  return undefined;
+}
+
+test('exporting upload results links the summary to one sheet per event', async () => {
+  const workbook = await exportWorkbook({ results: uploaded.results });
+  const summary = workbook.getWorksheet('Summary');
+  const event = workbook.getWorksheet('Sample Birthday Party');
+
+  assert.equal(summary.getCell('A2').value.text, 'Sample Birthday Party');
+  assert.equal(summary.getCell('E2').value, 'Yes');
+  assert.equal(detail(event, 'Source file'), 'contract.png');
+  assert.equal(detail(event, 'Read by'), 'AI model');
+});
+
+test('exporting saved events keeps how each sheet was read', async () => {
+  const workbook = await exportWorkbook({ eventIds: [uploaded.results[0].eventId] });
+  const event = workbook.getWorksheet('Sample Birthday Party');
+
+  assert.equal(detail(event, 'Read by'), 'AI model');
+});
+
+test('an export with nothing analyzed is rejected', async () => {
+  const response = await fetch(`${server.baseUrl}/api/export/party-sheets.xlsx`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ eventIds: ['missing'] })
+  });
+  assert.equal(response.status, 400);
+});
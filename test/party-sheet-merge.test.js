@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergePageAnalyses } = require('../lib/party-sheet-merge');
+
+const lane = { description: 'Duckpin Lane', quantity: 1, total: 50, category: 'BOWLING' };
+const tacos = { description: 'Taco Bar', quantity: 40, total: 1000, category: 'FOOD' };
+const cake = { description: 'Sheet cake', quantity: 1, total: 60, category: 'FOOD' };
+
+test('page 1 event details win; later pages only fill gaps', () => {
+  const merged = mergePageAnalyses([
+    { eventDetails: { eventName: 'Smith Birthday', date: '3/14', guests: null } },
+    null,
+    { eventDetails: { eventName: 'Continued', guests: 40, contact: 'Jordan' } }
+  ]);
+
+  assert.deepEqual(merged.eventDetails, {
+    eventName: 'Smith Birthday',
+    date: '3/14',
+    time: null,
+    guests: 40,
+    contact: 'Jordan'
+  });
+});
+
+test('lines repeated across batches are kept once; repeats within one batch keep their count', () => {
+  const merged = mergePageAnalyses([
+    { lineItems: [tacos, lane, lane] },
+    { lineItems: [{ ...tacos, description: 'TACO BAR!' }, lane, cake] },
+    { lineItems: [lane, lane, lane] }
+  ]);
+
+  assert.deepEqual(merged.lineItems.map((i) => i.description), [
+    'Taco Bar', 'Duckpin Lane', 'Duckpin Lane', 'Sheet cake', 'Duckpin Lane'
+  ]);
+});
+
+test('payments are de-duplicated and the last stated totals win field by field', () => {
+  const deposit = { type: 'deposit', amount: 500, date: '2/1/2026' };
+  const merged = mergePageAnalyses([
+    { payments: [deposit], statedTotals: { subtotal: 1000, total: null } },
+    { payments: [{ ...deposit, type: 'DEPOSIT', method: 'Visa' }, { type: 'PAYMENT', amount: 200 }], statedTotals: { total: 1200 } },
+    { payments: null, statedTotals: { balanceDue: 500 }, preloadedDrinks: { quantity: 40, total: 600 } }
+  ]);
+
+  assert.deepEqual(merged.payments, [deposit, { type: 'PAYMENT', amount: 200 }]);
+  assert.deepEqual(merged.statedTotals, { subtotal: 1000, total: 1200, balanceDue: 500 });
+  assert.deepEqual(merged.preloadedDrinks, { quantity: 40, total: 600 });
+});
+
+test('nothing to merge gives an empty analysis', () => {
+  assert.deepEqual(mergePageAnalyses([]), {
+    eventDetails: { eventName: null, date: null, time: null, guests: null, contact: null },
+    lineItems: [],
+    preloadedDrinks: null,
+    payments: [],
+    statedTotals: null
+  });
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePartySheetTemplate } = require('../lib/party-sheet-template');
+
+// Text layer of one of our printed party sheets; columns come through as runs of spaces
+const SHEET = [
+  'Event Name: Smith Birthday     Date: 03/14/2026',
+  'Time: 6:00 PM - 9:00 PM        Guests: 40',
+  'Contact: Jordan Smith',
+  'Description                    Qty   Price     Total',
+  'Full Course Package            40    $45.00    $1,800.00',
+  'Includes $15.00 drink bracelet per guest',
+  'Duckpin Bowling Lane           4     $50.00    $200.00',
+  'Subtotal                                       $2,000.00',
+  'Booking Fee                                    $100.00'
+];
+
+function parse(lines, opts) {
+  return parsePartySheetTemplate([lines.slice(0, 4).join('\n'), lines.slice(4).join('\n')], opts);
+}
+
+test('our printed sheet is read without the model', () => {
+  const { recognized, analysis } = parse(SHEET);
+
+  assert.equal(recognized, true);
+  assert.deepEqual(analysis.eventDetails, {
+    eventName: 'Smith Birthday',
+    date: '03/14/2026',
+    time: '6:00 PM - 9:00 PM',
+    guests: 40,
+    contact: 'Jordan Smith'
+  });
+  assert.deepEqual(analysis.lineItems.map((i) => [i.description, i.quantity, i.unitPrice, i.total, i.category]), [
+    ['Full Course Package', 40, 45, 1800, 'FOOD'],
+    ['Duckpin Bowling Lane', 4, 50, 200, 'BOWLING'],
+    ['Booking Fee', 1, 100, 100, 'BOOKING_FEE']
+  ]);
+  assert.equal(analysis.lineItems[0].notes, 'Includes $15.00 drink bracelet per guest');
+  assert.deepEqual(analysis.preloadedDrinks, { quantity: 40, pricePerPerson: 15, total: 600 });
+  assert.equal(analysis.statedTotals.subtotal, 2000);
+});
+
+test('a categorize function decides lines that are not our packages or fees', () => {
+  const categorize = (description) => (/lane/i.test(description) ? { id: 'LANES' } : null);
+  const { analysis } = parse(SHEET, { categorize });
+
+  assert.deepEqual(analysis.lineItems.map((i) => i.category), ['FOOD', 'LANES', 'BOOKING_FEE']);
+});
+
+test('anything the parser cannot explain is left to the model', () => {
+  assert.deepEqual(parse(SHEET.filter((l) => !l.startsWith('Description'))), {
+    recognized: false,
+    reason: 'no Description/Qty/Total column header'
+  });
+  assert.deepEqual(parse(SHEET.filter((l) => !l.startsWith('Full Course') && !l.startsWith('Includes'))), {
+    recognized: false,
+    reason: 'no Front Nine / Back Nine / Full Course package line'
+  });
+  assert.deepEqual(parse([...SHEET, 'Cake cutting $25.00 flat']), {
+    recognized: false,
+    reason: 'unrecognized priced line(s): Cake cutting $25.00 flat'
+  });
+  assert.deepEqual(parse(SHEET.filter((l) => !l.startsWith('Includes'))), {
+    recognized: false,
+    reason: 'Full Course line without a single drink amount per person'
+  });
+});
+
+test('Front Nine and Back Nine packages map to food and drinks', () => {
+  const lines = [
+    ...SHEET.slice(0, 4),
+    'Front Nine Package             20    $30.00    $600.00',
+    'Back Nine Package              20    $20.00    $400.00'
+  ];
+  const { recognized, analysis } = parse(lines);
+
+  assert.equal(recognized, true);
+  assert.deepEqual(analysis.lineItems.map((i) => i.category), ['FOOD', 'DRINKS']);
+  assert.equal(analysis.preloadedDrinks, null);
+});
+
+test('tax, gratuity and service charge lines are read as charges, with liquor tax on drinks', () => {
+  const { recognized, analysis } = parse([
+    ...SHEET,
+    'Sales Tax                                      $126.00',
+    'Liquor Tax                                     $12.00',
+    'Auto-Gratuity                                  $360.00',
+    'Service Charge                                 $50.00',
+    'Total                                          $2,648.00'
+  ]);
+
+  assert.equal(recognized, true);
+  assert.deepEqual(analysis.lineItems.slice(3).map((i) => [i.description, i.total, i.category, i.appliesTo]), [
+    ['Sales Tax', 126, 'TAX', null],
+    ['Liquor Tax', 12, 'TAX', 'DRINKS'],
+    ['Auto-Gratuity', 360, 'GRATUITY', null],
+    ['Service Charge', 50, 'SERVICE_CHARGE', null]
+  ]);
+  assert.equal(analysis.statedTotals.total, 2648);
+});
+
+test('deposits and payments keep their date and method; the sheet\'s payment method fills the rest', () => {
+  const { analysis } = parse([
+    ...SHEET,
+    'Deposit Paid 02/01/2026 (Visa)                 $500.00',
+    'Payment 03/01/2026                             $250.00',
+    'Balance Due                                    $1,350.00',
+    'Payment Method: Check #1042'
+  ]);
+
+  assert.deepEqual(analysis.payments, [
+    { type: 'DEPOSIT', amount: 500, date: '02/01/2026', method: 'Visa' },
+    { type: 'PAYMENT', amount: 250, date: '03/01/2026', method: 'Check #1042' }
+  ]);
+  assert.equal(analysis.statedTotals.balanceDue, 1350);
+});
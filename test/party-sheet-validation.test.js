@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePartySheet } = require('../lib/party-sheet-validation');
+
+function sheet(overrides = {}) {
+  return {
+    eventDetails: { guests: 40 },
+    lineItems: [
+      { description: 'Taco Bar', category: 'FOOD', quantity: 40, unitPrice: 25, total: 1000 },
+      { description: 'Margaritas', category: 'DRINKS', quantity: 20, unitPrice: 8, total: 160 }
+    ],
+    statedTotals: { subtotal: 1160 },
+    ...overrides
+  };
+}
+
+function codes(breakdown) {
+  return validatePartySheet(breakdown).map((w) => w.code);
+}
+
+test('a sheet that adds up has no warnings', () => {
+  assert.deepEqual(validatePartySheet(sheet()), []);
+});
+
+test('line totals that are missing, non-positive or off from quantity × price are flagged', () => {
+  const warnings = validatePartySheet(sheet({
+    lineItems: [
+      { description: 'Taco Bar', category: 'FOOD', quantity: 40, unitPrice: 25, total: 1100 },
+      { category: 'FOOD', quantity: 1, unitPrice: 0, total: 0 },
+      { description: 'Cake', category: 'FOOD', total: null },
+      { description: 'Rounding', category: 'FOOD', quantity: 3, unitPrice: 3.33, total: 10 }
+    ],
+    statedTotals: {}
+  }));
+
+  assert.deepEqual(warnings, [
+    {
+      code: 'line-math-mismatch',
+      severity: 'warning',
+      lineIndex: 0,
+      message: 'Taco Bar: 40 × $25.00 = $1000.00, but total is $1100.00'
+    },
+    { code: 'non-positive-total', severity: 'warning', lineIndex: 1, message: 'Line 2: total is $0.00' },
+    { code: 'non-positive-total', severity: 'warning', lineIndex: 2, message: 'Cake: total is missing' }
+  ]);
+});
+
+test('the lines are checked against the printed subtotal', () => {
+  const [warning] = validatePartySheet(sheet({ statedTotals: { subtotal: 1200 } }));
+  assert.equal(warning.code, 'subtotal-mismatch');
+  assert.equal(warning.message, 'Line items add up to $1160.00, but the document\'s subtotal is $1200.00');
+
+  assert.deepEqual(codes(sheet({ statedTotals: { subtotal: '1160.40' } })), []);
+});
+
+test('a preloaded drink split is checked against its own math, the guest count and the food', () => {
+  const fullCourse = { description: 'Full Course Dinner', category: 'FOOD', quantity: 40, unitPrice: 25, total: 1000 };
+  assert.deepEqual(codes(sheet({
+    lineItems: [fullCourse],
+    statedTotals: {},
+    preloadedDrinks: { quantity: 40, pricePerPerson: 10, total: 400 }
+  })), []);
+
+  assert.deepEqual(codes(sheet({
+    lineItems: [{ ...fullCourse, description: 'Dinner' }],
+    statedTotals: {},
+    preloadedDrinks: { quantity: 30, pricePerPerson: 40, total: 1000 }
+  })), ['preloaded-math-mismatch', 'preloaded-guest-mismatch', 'food-clamped-to-zero', 'preloaded-without-full-course']);
+
+  assert.deepEqual(codes(sheet({ lineItems: [fullCourse], statedTotals: {} })), ['full-course-missing-split']);
+});
+
+test('a missing guest count is flagged', () => {
+  assert.deepEqual(codes(sheet({ eventDetails: {} })), ['missing-guests']);
+  assert.deepEqual(codes(sheet({ eventDetails: { guests: 0 } })), ['missing-guests']);
+});
+
+test('charges sit below the subtotal but count toward the printed total', () => {
+  const lineItems = [
+    ...sheet().lineItems,
+    { description: 'Sales Tax', category: 'TAX', quantity: 1, unitPrice: 69.6, total: 69.6 }
+  ];
+  assert.deepEqual(codes(sheet({ lineItems, statedTotals: { subtotal: 1160, total: 1229.6 } })), []);
+  assert.deepEqual(codes(sheet({ lineItems, statedTotals: { subtotal: 1160, total: 1160 } })), ['total-mismatch']);
+
+  const isCharge = (category) => category === 'TAX' || category === 'DRINKS';
+  assert.deepEqual(validatePartySheet(sheet({ statedTotals: { subtotal: 1000 } }), { isCharge }), []);
+});
+
+test('a booking fee printed below the subtotal still reconciles', () => {
+  const lineItems = [...sheet().lineItems, { description: 'Booking Fee', category: 'BOOKING_FEE', quantity: 1, unitPrice: 100, total: 100 }];
+  assert.deepEqual(codes(sheet({ lineItems, statedTotals: { subtotal: 1160 } })), []);
+  assert.deepEqual(codes(sheet({ lineItems, statedTotals: { subtotal: 1260 } })), []);
+});
+
+test('tax that could not be split across categories is noted', () => {
+  const [note] = validatePartySheet(sheet({ taxByCategory: { unallocated: 12.5 } }));
+  assert.deepEqual(note, {
+    code: 'tax-unallocated',
+    severity: 'info',
+    message: '$12.50 of tax couldn\'t be split across categories (no taxable amounts)'
+  });
+});
+
+test('the balance left after payments is checked against the printed balance due', () => {
+  assert.deepEqual(codes(sheet({ balanceDue: 660, statedTotals: { subtotal: 1160, balanceDue: 660 } })), []);
+  const [warning] = validatePartySheet(sheet({ balanceDue: 660, statedTotals: { subtotal: 1160, balanceDue: 1160 } }));
+  assert.equal(warning.code, 'balance-mismatch');
+  assert.equal(warning.message, 'Total less payments leaves $660.00 due, but the document\'s balance due is $1160.00');
+});
+
+test('an event date or time that could not be read is flagged', () => {
+  const warnings = validatePartySheet(sheet({ eventDetails: { guests: 40, date: 'TBD', time: 'late', unparseable: ['date', 'time'] } }));
+  assert.deepEqual(warnings.map((w) => w.message), [
+    'Event date "TBD" could not be read as a date',
+    'Event time "late" could not be read as a time'
+  ]);
+  assert.deepEqual(warnings.map((w) => w.code), ['date-unparseable', 'time-unparseable']);
+});
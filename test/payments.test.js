@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePayments, summarizePayments } = require('../lib/payments');
+
+test('payments from the model or a form are coerced; ones without a positive amount are dropped', () => {
+  assert.deepEqual(normalizePayments([
+    { type: 'deposit', amount: '$1,000.00', date: ' 2/1/2026 ', method: 'Visa' },
+    { type: 'refund', amount: 250.555 },
+    { type: 'PAYMENT', amount: 0 },
+    { amount: 'n/a' },
+    null,
+    'cash'
+  ]), [
+    { type: 'DEPOSIT', amount: 1000, date: '2/1/2026', method: 'Visa' },
+    { type: 'PAYMENT', amount: 250.56, date: null, method: null }
+  ]);
+  assert.deepEqual(normalizePayments(undefined), []);
+});
+
+test('the balance is the total less deposits and payments', () => {
+  const payments = normalizePayments([
+    { type: 'DEPOSIT', amount: 500, method: 'Visa' },
+    { type: 'PAYMENT', amount: 0.1, method: 'Cash' },
+    { type: 'PAYMENT', amount: 0.2, method: 'Visa' }
+  ]);
+
+  assert.deepEqual(summarizePayments(payments, 2375.4), {
+    depositsPaid: 500,
+    paymentsReceived: 0.3,
+    amountPaid: 500.3,
+    balanceDue: 1875.1,
+    paymentMethods: ['Visa', 'Cash']
+  });
+  assert.equal(summarizePayments([], null).balanceDue, 0);
+  assert.equal(summarizePayments(normalizePayments([{ amount: 120 }]), 100).balanceDue, -20);
+});
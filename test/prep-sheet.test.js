@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPrepSheet, selectRuleForGuests, formatBracket } = require('../lib/prep-sheet');
+const { DEFAULT_CONVERSION_TABLE } = require('../lib/conversion-rules');
+
+function breakdown(guests, lineItems) {
+  return { eventDetails: { eventName: 'Taco Night', date: 'March 14, 2026', guests }, lineItems };
+}
+
+const tacoBar = { category: 'FOOD', description: 'Taco Bar (beef, chicken, pork)', quantity: 1 };
+const cake = { category: 'FOOD', description: 'Sheet Cake', quantity: 2, notes: 'vanilla' };
+const margaritas = { category: 'DRINKS', description: 'Margarita pitchers', quantity: 4 };
+
+test('bracketed items use the row holding the guest count; per-guest items multiply', () => {
+  const sheet = buildPrepSheet(breakdown(40, [tacoBar, margaritas]), DEFAULT_CONVERSION_TABLE);
+
+  assert.equal(sheet.guests, 40);
+  assert.deepEqual(sheet.items.map((i) => [i.menuItem, i.quantity, i.unit, i.panSize, i.bracket]), [
+    ['Beef', 10, 'lb', '1 full pan', '26-50'],
+    ['Chicken', 10, 'lb', '1 full pan', '26-50'],
+    ['Pork', 10, 'lb', '1 full pan', '26-50'],
+    ['Tortillas', 120, 'each', 'Half pan (warmer)', 'per guest']
+  ]);
+  assert.deepEqual(sheet.items[0].sources, ['Taco Bar (beef, chicken, pork)']);
+  assert.deepEqual(sheet.extras, []);
+  assert.deepEqual(sheet.warnings, []);
+});
+
+test('FOOD lines no rule covers are listed as ordered; other categories are ignored', () => {
+  const sheet = buildPrepSheet(breakdown(12, [cake, margaritas]), DEFAULT_CONVERSION_TABLE);
+
+  assert.deepEqual(sheet.items, []);
+  assert.deepEqual(sheet.extras, [{ description: 'Sheet Cake', quantity: 2, notes: 'vanilla' }]);
+});
+
+test('guest counts past the table are capped at the last row with a warning', () => {
+  const sheet = buildPrepSheet(breakdown(150, [{ category: 'food', description: 'Carnitas tray' }]), DEFAULT_CONVERSION_TABLE);
+
+  assert.deepEqual(sheet.items.map((i) => [i.menuItem, i.quantity, i.bracket]), [['Pork', 25, '101-125']]);
+  assert.deepEqual(sheet.warnings, ['Pork: 150 guests exceeds the conversion table (max 125) — scale manually.']);
+});
+
+test('a missing guest count skips quantities but still lists extras', () => {
+  const sheet = buildPrepSheet(breakdown('', [tacoBar, cake]), DEFAULT_CONVERSION_TABLE);
+
+  assert.equal(sheet.guests, null);
+  assert.deepEqual(sheet.items, []);
+  assert.deepEqual(sheet.extras.map((e) => e.description), ['Sheet Cake']);
+  assert.deepEqual(sheet.warnings, ['Guest count missing — conversion table quantities could not be calculated.']);
+});
+
+test('a guest count below every row is reported', () => {
+  const rules = [{ menuItem: 'Rice', match: ['rice'], minGuests: 20, maxGuests: 40, quantity: 3, unit: 'lb' }];
+  const sheet = buildPrepSheet(breakdown(10, [{ category: 'FOOD', description: 'Spanish rice' }]), rules);
+
+  assert.deepEqual(sheet.items, []);
+  assert.deepEqual(sheet.warnings, ['Rice: no conversion row covers 10 guests.']);
+});
+
+test('rule selection and bracket labels', () => {
+  const rules = [
+    { minGuests: 26, maxGuests: 50 },
+    { minGuests: 1, maxGuests: 25 }
+  ];
+  assert.deepEqual(selectRuleForGuests(rules, 25), { rule: rules[1], overflow: false });
+  assert.deepEqual(selectRuleForGuests(rules, 51), { rule: rules[0], overflow: true });
+  assert.deepEqual(selectRuleForGuests([], 10), { rule: null, overflow: false });
+
+  assert.equal(formatBracket({ minGuests: 10, maxGuests: 20 }), '10-20');
+  assert.equal(formatBracket({ minGuests: 50, maxGuests: null }), '50+');
+  assert.equal(formatBracket({ minGuests: 1, maxGuests: null, perGuest: true }), 'per guest');
+});
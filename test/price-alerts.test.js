@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAlertRule, findConflictingRule, evaluatePriceAlerts } = require('../lib/price-alerts');
+const { toLedgerEntry, summarizePriceHistory } = require('../lib/price-ledger');
+const { parsePackSize } = require('../lib/pack-size');
+
+// Price history summaries for [product, category, [date, price, vendor?]...]
+function products(...histories) {
+  const entries = histories.flatMap(([referenceProduct, category, points]) => points.map(([invoiceDate, unitPrice, vendor]) => toLedgerEntry({
+    referenceProduct, category, vendor, invoiceProduct: referenceProduct, invoiceDate, unitPrice, sourceFile: 'invoice.xlsx'
+  })));
+  return summarizePriceHistory(entries);
+}
+
+const rule = (scope, match, thresholdType, threshold) => normalizeAlertRule({ scope, match, thresholdType, threshold }).rule;
+
+test('rules from form input are coerced and checked', () => {
+  assert.deepEqual(normalizeAlertRule({ scope: 'Default', match: 'ignored', thresholdType: 'PERCENT', threshold: '10', enabled: 'false' }), {
+    rule: { scope: 'default', match: null, thresholdType: 'percent', threshold: 10, enabled: false },
+    errors: []
+  });
+  assert.deepEqual(normalizeAlertRule({ scope: 'category', threshold: '' }).errors, [
+    'match is required for a category rule',
+    'thresholdType must be one of: percent, absolute',
+    'threshold must be a positive number'
+  ]);
+  assert.deepEqual(normalizeAlertRule({ scope: 'vendor', match: 'Sysco', thresholdType: 'percent', threshold: -1 }).errors, [
+    'scope must be one of: product, category, default',
+    'threshold must be a positive number'
+  ]);
+});
+
+test('only one rule per scope and match', () => {
+  const saved = [{ id: 'a', ...rule('product', 'Cheddar Cheese', 'percent', 10) }, { id: 'b', ...rule('default', null, 'percent', 20) }];
+
+  assert.equal(findConflictingRule(saved, rule('product', ' cheddar  cheese', 'absolute', 1)).id, 'a');
+  assert.equal(findConflictingRule(saved, rule('product', 'Cheddar Cheese', 'percent', 5), 'a'), null);
+  assert.equal(findConflictingRule(saved, rule('default', null, 'absolute', 2)).id, 'b');
+  assert.equal(findConflictingRule(saved, rule('category', 'Cheddar Cheese', 'percent', 5)), null);
+});
+
+const summaries = products(
+  ['Cheddar Cheese', 'Dairy', [['2026-03-02', 40], ['2026-03-09', 46, 'Sysco']]],
+  ['Butter', 'Dairy', [['2026-03-02', 20], ['2026-03-09', 23]]],
+  ['Chicken Breast', 'Meat', [['2026-03-02', 60], ['2026-03-09', 63]]],
+  ['Limes', null, [['2026-03-02', 30], ['2026-03-09', 25]]],
+  ['Saffron', null, [['2026-03-09', 90]]]
+);
+const rules = [
+  rule('product', 'cheddar cheese', 'absolute', 2),
+  rule('category', 'dairy', 'percent', 50),
+  rule('default', null, 'percent', 2)
+];
+
+test('a product rule beats its category rule, which beats the default', () => {
+  const alerts = evaluatePriceAlerts(summaries, rules);
+
+  assert.deepEqual(alerts.map((a) => [a.productName, a.rule.scope, a.averagePrice, a.mostRecentPrice, a.increase, a.percentIncrease]), [
+    ['Cheddar Cheese', 'product', 43, 46, 3, 6.98],
+    ['Chicken Breast', 'default', 61.5, 63, 1.5, 2.44]
+  ]);
+  assert.equal(alerts[0].vendor, 'Sysco');
+  assert.equal(alerts[0].key, 'cheddar cheese|2026-03-09|46.00');
+
+  const productRuleOff = rules.map((r) => (r.scope === 'product' ? { ...r, enabled: false } : r));
+  assert.deepEqual(evaluatePriceAlerts(summaries, productRuleOff).map((a) => a.productName), ['Chicken Breast']);
+  assert.deepEqual(evaluatePriceAlerts(summaries, []), []);
+});
+
+test('alerts with a known usage sort by dollar impact', () => {
+  const alerts = evaluatePriceAlerts(summaries, rules, { 'CHICKEN BREAST': 100, 'Cheddar Cheese': 'n/a' });
+
+  assert.deepEqual(alerts.map((a) => [a.productName, a.usageQuantity, a.dollarImpact]), [
+    ['Chicken Breast', 100, 150],
+    ['Cheddar Cheese', null, null]
+  ]);
+});
+
+test('a switch to a smaller case is compared at the latest pack size, not read as a drop', () => {
+  const entries = [
+    ['2026-03-02', 60, '6/5 LB'],
+    ['2026-03-09', 44, '4/5 LB']
+  ].map(([invoiceDate, unitPrice, pack]) => toLedgerEntry({
+    referenceProduct: 'Cheddar Cheese', invoiceProduct: 'Cheddar', invoiceDate, unitPrice, pack: parsePackSize(pack)
+  }));
+  const [spike] = evaluatePriceAlerts(summarizePriceHistory(entries), [rule('default', null, 'percent', 4)]);
+
+  assert.deepEqual(
+    [spike.averagePrice, spike.mostRecentPrice, spike.increase, spike.percentIncrease, spike.packSize, spike.pricePerBaseUnit, spike.baseUnit],
+    [42, 44, 2, 4.76, '4/5 LB', 2.2, 'lb']
+  );
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toLedgerEntry, queryLedger, summarizePriceHistory } = require('../lib/price-ledger');
+const { parsePackSize } = require('../lib/pack-size');
+
+function point(referenceProduct, invoiceDate, unitPrice, extra = {}) {
+  return toLedgerEntry({
+    referenceProduct,
+    invoiceProduct: referenceProduct.toUpperCase(),
+    invoiceDate,
+    unitPrice,
+    sourceFile: 'invoice.xlsx',
+    ...extra
+  });
+}
+
+test('the dedupe key ignores case, spacing and the file name', () => {
+  const first = point('Cheddar Cheese', '2026-03-02', 42.5, { vendor: 'Sysco' });
+  const again = toLedgerEntry({
+    referenceProduct: 'cheddar  cheese',
+    vendor: 'SYSCO',
+    invoiceProduct: 'Cheddar Cheese',
+    invoiceDate: '2026-03-02',
+    unitPrice: 42.499,
+    sourceFile: 'renamed.xlsx'
+  });
+
+  assert.equal(first.key, 'cheddar cheese|sysco|cheddar cheese|2026-03-02|42.50');
+  assert.equal(again.key, first.key);
+  assert.notEqual(point('Cheddar Cheese', '2026-03-02', 43, { vendor: 'Sysco' }).key, first.key);
+  assert.equal(first.category, null);
+  assert.equal(first.itemNumber, null);
+});
+
+test('the ledger is filtered by product, vendor and inclusive dates', () => {
+  const entries = [
+    point('Cheddar Cheese', '2026-03-02', 42.5, { vendor: 'Sysco' }),
+    point('Shredded Cheddar', '2026-03-09', 30),
+    point('Chicken Breast', '2026-03-16', 61, { vendor: 'US Foods' })
+  ];
+  const names = (filter) => queryLedger(entries, filter).map((e) => e.referenceProduct);
+
+  assert.deepEqual(names({ product: 'CHEDDAR' }), ['Cheddar Cheese', 'Shredded Cheddar']);
+  assert.deepEqual(names({ products: ['chicken breast', 'cheddar'] }), ['Chicken Breast']);
+  assert.deepEqual(names({ vendor: 'unknown' }), ['Shredded Cheddar']);
+  assert.deepEqual(names({ vendor: 'us foods' }), ['Chicken Breast']);
+  assert.deepEqual(names({ from: '2026-03-09', to: '2026-03-16' }), ['Shredded Cheddar', 'Chicken Breast']);
+  assert.equal(queryLedger(entries).length, 3);
+});
+
+test('history per product is date-sorted with the latest price compared to the average', () => {
+  const [cheese, chicken] = summarizePriceHistory([
+    point('Cheddar Cheese', '2026-03-16', 50, { category: 'Dairy' }),
+    point('Cheddar Cheese', '2026-03-02', 40, { category: 'Cheese' }),
+    point('Chicken Breast', '2026-03-02', 61),
+    point('Cheddar Cheese', '2026-03-09', 45)
+  ]);
+
+  assert.equal(cheese.productName, 'Cheddar Cheese');
+  assert.deepEqual(cheese.priceHistory.map((p) => [p.date, p.price]), [['2026-03-02', 40], ['2026-03-09', 45], ['2026-03-16', 50]]);
+  assert.equal(cheese.averagePrice, 45);
+  assert.equal(cheese.mostRecentPrice, 50);
+  assert.equal(cheese.percentChange, 11.11);
+  assert.equal(cheese.category, 'Dairy');
+  assert.equal(chicken.percentChange, 0);
+  assert.equal(chicken.category, null);
+});
+
+test('each vendor gets its own series, with unknown vendors last', () => {
+  const [cheese] = summarizePriceHistory([
+    point('Cheddar Cheese', '2026-03-02', 40, { vendor: 'US Foods' }),
+    point('Cheddar Cheese', '2026-03-03', 39),
+    point('Cheddar Cheese', '2026-03-09', 44, { vendor: 'Sysco' }),
+    point('Cheddar Cheese', '2026-03-16', 42, { vendor: 'US Foods' })
+  ]);
+
+  assert.deepEqual(cheese.vendorSeries.map((s) => [s.vendor, s.priceHistory.length, s.averagePrice, s.mostRecentPrice]), [
+    ['Sysco', 1, 44, 44],
+    ['US Foods', 2, 41, 42],
+    [null, 1, 39, 39]
+  ]);
+});
+
+test('with every pack known, the change is compared per base unit', () => {
+  const entry = point('Cheddar Cheese', '2026-03-02', 60, { pack: parsePackSize('6/5 LB') });
+  assert.deepEqual([entry.packSize, entry.baseUnit, entry.baseQuantity, entry.pricePerBaseUnit], ['6/5 LB', 'lb', 30, 2]);
+
+  const [cheese] = summarizePriceHistory([
+    entry,
+    point('Cheddar Cheese', '2026-03-09', 44, { pack: parsePackSize('4/5 LB') })
+  ]);
+  assert.equal(cheese.averagePrice, 52);
+  assert.equal(cheese.percentChange, 4.76);
+  assert.deepEqual(cheese.normalized, {
+    baseUnit: 'lb',
+    averagePrice: 2.1,
+    mostRecentPrice: 2.2,
+    percentChange: 4.76,
+    latestBaseQuantity: 20
+  });
+  assert.equal(summarizePriceHistory([entry, point('Cheddar Cheese', '2026-03-09', 44)])[0].normalized, null);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SAMPLE_PNG, startTestServer, buildForm, postForm, getJson, sendJson } = require('./helpers/test-server');
+
+let server;
+let uploaded;
+
+before(async () => {
+  server = await startTestServer();
+  const { body } = await postForm(server.baseUrl, '/api/upload',
+    buildForm([['pdfs', SAMPLE_PNG, 'contract.png', 'image/png']]));
+  [uploaded] = body.results;
+});
+
+after(() => server.close());
+
+// The uploaded analysis with the wings moved to bowling and the booking fee billed as gratuity
+function editedAnalysis() {
+  const { eventDetails, preloadedDrinks, payments, statedTotals } = uploaded.breakdown;
+  const lineItems = uploaded.breakdown.lineItems.map((item) => {
+    if (item.description === 'Wings Platter') return { ...item, category: 'BOWLING' };
+    if (item.description === 'Booking Fee') return { ...item, category: 'gratuity' };
+    return item;
+  });
+  return { eventDetails, lineItems, preloadedDrinks, payments, statedTotals };
+}
+
+test('lineItems are required', async () => {
+  const { status, body } = await sendJson(server.baseUrl, 'POST', '/api/recalculate', { eventDetails: {} });
+
+  assert.equal(status, 400);
+  assert.match(body.error, /lineItems/);
+});
+
+test('an unknown eventId is a 404', async () => {
+  const { status, body } = await sendJson(server.baseUrl, 'POST', '/api/recalculate',
+    { ...editedAnalysis(), eventId: 'no-such-event' });
+
+  assert.equal(status, 404);
+  assert.equal(body.error, 'Event not found');
+});
+
+test('totals follow the edited categories without touching history when there is no eventId', async () => {
+  const { status, body } = await sendJson(server.baseUrl, 'POST', '/api/recalculate', editedAnalysis());
+
+  assert.equal(status, 200);
+  const { breakdown } = body.result;
+  assert.equal(breakdown.food, 1200);
+  assert.equal(breakdown.bowling, 320);
+  assert.equal(breakdown.entertainment, 320);
+  assert.equal(breakdown.bookingFee, 0);
+  assert.equal(breakdown.gratuity, 100);
+  assert.equal(breakdown.preTaxTotal, 2120);
+  assert.equal(breakdown.grandTotal, 2375.4);
+  assert.equal(body.result.manuallyEdited, true);
+  assert.equal(body.result.eventId, undefined);
+
+  const saved = (await getJson(server.baseUrl, `/api/events/${uploaded.eventId}`)).body.event;
+  assert.equal(saved.breakdown.food, uploaded.breakdown.food);
+  assert.equal(saved.manuallyEdited, undefined);
+});
+
+test('a line without a known category is placed by its description', async () => {
+  const analysis = editedAnalysis();
+  analysis.lineItems = [
+    ...analysis.lineItems,
+    { description: 'Extra Pretzel Bites', quantity: 2, unitPrice: 15, total: 30, category: '' },
+    { description: 'Karaoke Room', quantity: 1, unitPrice: 75, total: 75, category: 'PRIVATE_ROOM' }
+  ];
+
+  const { status, body } = await sendJson(server.baseUrl, 'POST', '/api/recalculate', analysis);
+
+  assert.equal(status, 200);
+  assert.equal(body.result.breakdown.food, 1230);
+  assert.equal(body.result.breakdown.karaoke, 75);
+  assert.equal(body.result.breakdown.entertainment, 395);
+  assert.equal(body.result.breakdown.preTaxTotal, 2225);
+});
+
+test('with an eventId the saved event gets the recalculated breakdown', async () => {
+  const { status, body } = await sendJson(server.baseUrl, 'POST', '/api/recalculate', {
+    ...editedAnalysis(),
+    eventDetails: { ...uploaded.breakdown.eventDetails, eventName: 'Sample Birthday Party (edited)' },
+    eventId: uploaded.eventId
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.result.eventId, uploaded.eventId);
+
+  const saved = (await getJson(server.baseUrl, `/api/events/${uploaded.eventId}`)).body.event;
+  assert.equal(saved.manuallyEdited, true);
+  assert.equal(saved.eventName, 'Sample Birthday Party (edited)');
+  assert.equal(saved.isoDate, '2026-03-14');
+  assert.equal(saved.breakdown.bowling, 320);
+  assert.equal(saved.breakdown.preTaxTotal, 2120);
+  assert.equal(saved.breakdown.balanceDue, 1875.4);
+});
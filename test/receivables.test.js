@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReceivables } = require('../lib/receivables');
+
+function event(id, isoDate, balance, extra = {}) {
+  return {
+    id,
+    fileHash: `hash-${id}`,
+    breakdown: {
+      eventDetails: { eventName: `Event ${id}`, isoDate, startTime: extra.startTime || null },
+      grandTotal: 1000,
+      depositsPaid: 1000 - (balance || 0),
+      amountPaid: 1000 - (balance || 0),
+      balanceDue: balance
+    }
+  };
+}
+
+const events = [
+  event('late', '2026-03-20', 400, { startTime: '19:00' }),
+  event('early', '2026-03-20', 250, { startTime: '12:00' }),
+  event('past', '2026-02-01', 100),
+  event('paid', '2026-03-25', 0.004),
+  event('undated', null, 300),
+  event('untracked', '2026-03-22', undefined)
+];
+
+test('upcoming balances are listed by date and time and totaled', () => {
+  const receivables = buildReceivables(events, { today: '2026-03-01' });
+
+  assert.deepEqual(receivables.rows.map((r) => [r.id, r.balanceDue, r.pastDue]), [
+    ['early', 250, false],
+    ['late', 400, false]
+  ]);
+  assert.equal(receivables.totalOutstanding, 650);
+  assert.deepEqual(receivables.undated.map((r) => r.id), ['undated']);
+  assert.equal(receivables.untrackedEvents, 1);
+});
+
+test('past events with a balance are only listed on request, flagged past due', () => {
+  const receivables = buildReceivables(events, { today: '2026-03-01', includePast: true });
+
+  assert.deepEqual(receivables.rows[0], {
+    id: 'past',
+    eventName: 'Event past',
+    date: null,
+    eventDate: '2026-02-01',
+    startTime: null,
+    guests: null,
+    contact: null,
+    sourceFilename: null,
+    grandTotal: 1000,
+    depositsPaid: 900,
+    amountPaid: 900,
+    balanceDue: 100,
+    paymentMethods: [],
+    pastDue: true
+  });
+  assert.equal(receivables.totalOutstanding, 750);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRevenueReport } = require('../lib/revenue-report');
+
+function event(id, isoDate, amounts, extra = {}) {
+  return {
+    id,
+    fileHash: `hash-${id}`,
+    breakdown: { food: 0, drinks: 0, entertainment: 0, bookingFee: 0, eventDetails: { isoDate }, ...amounts },
+    ...extra
+  };
+}
+
+const events = [
+  event('a', '2026-03-02', { food: 100, drinks: 50 }),
+  event('b', '2026-03-10', { food: 200, bookingFee: 25 }),
+  event('c', '2026-04-06', { entertainment: 80 }),
+  event('d', null, { food: 999 })
+];
+
+test('totals by month, with undated events counted separately', () => {
+  const report = buildRevenueReport(events, { groupBy: 'month' });
+
+  assert.deepEqual(report.rows.map((r) => [r.period, r.total, r.events]), [['2026-03', 375, 2], ['2026-04', 80, 1]]);
+  assert.equal(report.totals.total, 455);
+  assert.equal(report.undatedEvents, 1);
+});
+
+test('weeks start on Monday and the date range is inclusive', () => {
+  const report = buildRevenueReport(events, { groupBy: 'week', from: '2026-03-02', to: '2026-03-10' });
+
+  assert.deepEqual(report.rows.map((r) => r.period), ['2026-03-02', '2026-03-09']);
+  assert.equal(report.totals.events, 2);
+});
+
+test('category grouping sums each category', () => {
+  const report = buildRevenueReport(events, { groupBy: 'category' });
+
+  assert.deepEqual(report.rows.map((r) => [r.category, r.total]), [
+    ['food', 300], ['drinks', 50], ['entertainment', 80], ['bookingFee', 25]
+  ]);
+});
+
+test('superseded revisions and extra copies of one file are counted once', () => {
+  const withCopies = [
+    ...events,
+    event('a-copy', '2026-03-02', { food: 100, drinks: 50 }, { fileHash: 'hash-a' }),
+    event('b-old', '2026-03-10', { food: 150 }, { supersededBy: 'b' })
+  ];
+
+  const report = buildRevenueReport(withCopies, { groupBy: 'month' });
+  assert.deepEqual(report.rows.map((r) => [r.period, r.total, r.events]), [['2026-03', 375, 2], ['2026-04', 80, 1]]);
+});
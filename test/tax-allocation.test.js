@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { allocateTax } = require('../lib/tax-allocation');
+
+test('a general tax line is split in proportion to the taxable amounts', () => {
+  assert.deepEqual(allocateTax([{ total: 90 }], { food: 1000, drinks: 500 }), {
+    byCategory: { food: 60, drinks: 30 },
+    unallocated: 0
+  });
+});
+
+test('leftover cents go to the largest remainders so the parts add back up', () => {
+  const { byCategory } = allocateTax([{ total: 1 }], { food: 100, drinks: 100, bowling: 100 });
+
+  assert.deepEqual(byCategory, { food: 0.34, drinks: 0.33, bowling: 0.33 });
+  const sum = Object.values(byCategory).reduce((a, b) => a + b, 0);
+  assert.equal(Math.round(sum * 100), 100);
+});
+
+test('a tax that names its category stays there', () => {
+  const { byCategory } = allocateTax(
+    [{ total: 20, appliesTo: 'drinks' }, { total: 30, appliesTo: 'parking' }],
+    { food: 200, drinks: 100 }
+  );
+
+  assert.deepEqual(byCategory, { drinks: 30, food: 20 });
+});
+
+test('tax with nothing taxable to spread over is unallocated', () => {
+  assert.deepEqual(allocateTax([{ total: 12.5 }], { food: 0 }), { byCategory: {}, unallocated: 12.5 });
+  assert.deepEqual(allocateTax(null, { food: 100 }), { byCategory: {}, unallocated: 0 });
+});
+
+test('a negative tax correction is split the same way', () => {
+  assert.deepEqual(allocateTax([{ total: -0.03 }], { food: 200, drinks: 100 }).byCategory, { food: -0.02, drinks: -0.01 });
+});
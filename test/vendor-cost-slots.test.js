@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, workbookBuffer, buildForm, postForm, getJson } = require('./helpers/test-server');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+async function runVendorCostJob(form) {
+  const submitted = await postForm(server.baseUrl, '/api/jobs/vendor-costs', form);
+  assert.equal(submitted.status, 202, submitted.body.error);
+  let job = submitted.body.job;
+  while (job.status === 'queued' || job.status === 'running') {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    job = (await getJson(server.baseUrl, `/api/jobs/${job.id}`)).body.job;
+  }
+  assert.equal(job.status, 'completed', job.error);
+  return job;
+}
+
+test('a slot upload is only read with its own vendor\'s layouts', async () => {
+  const usFoodsExport = await workbookBuffer(['Product Number', 'Product Description', 'Pack Size', 'Case Price'], [
+    ['4411', 'Cheddar Cheese', '4/5 LB', 44]
+  ]);
+  const inspected = await postForm(server.baseUrl, '/api/vendor-layouts/inspect',
+    buildForm([['file', usFoodsExport, 'usfoods.xlsx']]));
+  const saved = await fetch(`${server.baseUrl}/api/vendor-layouts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: 'US Foods order guide',
+      vendor: 'US Foods',
+      headerRow: 1,
+      columns: { product: 'B', price: 'D', pack: 'C', itemNumber: 'A' },
+      fingerprint: inspected.body.fingerprint,
+      headers: inspected.body.headers.map((h) => h.header)
+    })
+  });
+  assert.equal(saved.status, 201);
+
+  const reference = await workbookBuffer(['Description'], [['Cheddar Cheese']]);
+  const generic = await workbookBuffer(['Description', 'Unit Price', 'Invoice Date'], [['Cheddar Cheese', 40, '2026-03-01']]);
+  const job = await runVendorCostJob(buildForm([
+    ['referenceSheet', reference, 'reference.xlsx'],
+    ['vendorFiles', generic, 'generic.xlsx'],
+    ['syscoFiles', usFoodsExport, 'in-sysco-slot.xlsx'],
+    ['usFoodsFiles', usFoodsExport, 'in-usfoods-slot.xlsx']
+  ], { vendorNames: 'GFS', syscoDates: '2026-03-02', usFoodsDates: '2026-03-03' }));
+
+  const [, sysco, usFoods] = job.files;
+  assert.equal(sysco.status, 'failed');
+  assert.match(sysco.error, /matches the US Foods layout "US Foods order guide"/);
+  assert.equal(usFoods.status, 'done');
+
+  const cheese = job.result.products.find((p) => p.productName === 'Cheddar Cheese');
+  assert.deepEqual(cheese.vendorSeries.map((s) => s.vendor), ['Gordon Food Service', 'US Foods']);
+  assert.deepEqual(job.result.summary.fileLayouts, [
+    { filename: 'generic.xlsx', layout: null },
+    { filename: 'in-usfoods-slot.xlsx', layout: 'US Foods order guide' }
+  ]);
+});
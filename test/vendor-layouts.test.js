@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const {
+  columnLetterToNumber,
+  columnNumberToLetter,
+  headerFingerprint,
+  normalizeLayoutProfile,
+  findConflictingLayout,
+  matchLayoutProfile,
+  readRowsWithLayout
+} = require('../lib/vendor-layouts');
+
+// PFG-style export: a title row, a blank row, then headers on row 3 of the "Export" sheet
+function exportWorkbook() {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Notes').addRow(['Generated for On Par']);
+  const sheet = workbook.addWorksheet('Export');
+  sheet.addRow(['PFG Order Export']);
+  sheet.addRow([]);
+  sheet.addRow(['Item #', 'Description', 'Pack', 'Price', 'Invoice Date']);
+  sheet.addRow(['1001', 'Cheddar Cheese', '4/5 LB', '$42.50', new Date('2026-03-02T00:00:00Z')]);
+  sheet.addRow(['1002', 'Chicken Breast', '6/5 LB', 61, '2026-03-04']);
+  sheet.addRow(['', '', '', 103.5, '']);
+  sheet.addRow(['1003', 'Out of stock', '1 GAL', 0, '']);
+  return workbook;
+}
+
+const HEADERS = ['Item #', 'Description', 'Pack', 'Price', 'Invoice Date'];
+
+const exportLayout = {
+  name: 'PFG export',
+  vendor: 'PFG',
+  sheet: 'Export',
+  headerRow: 3,
+  columns: { product: 'B', price: 'D', date: 'E', pack: 'C', itemNumber: 'A' },
+  fingerprint: headerFingerprint(HEADERS)
+};
+
+test('column letters convert both ways', () => {
+  assert.equal(columnLetterToNumber('A'), 1);
+  assert.equal(columnLetterToNumber('h'), 8);
+  assert.equal(columnLetterToNumber('AA'), 27);
+  assert.equal(columnLetterToNumber('A1'), null);
+  assert.equal(columnLetterToNumber(''), null);
+  assert.equal(columnNumberToLetter(8), 'H');
+  assert.equal(columnNumberToLetter(27), 'AA');
+  assert.equal(columnNumberToLetter(columnLetterToNumber('XFD')), 'XFD');
+});
+
+test('the fingerprint ignores case, spacing and trailing blanks but not order', () => {
+  const fingerprint = headerFingerprint(HEADERS);
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.equal(headerFingerprint(['item #', '  Description ', 'PACK', 'Price', 'Invoice  Date', '', '']), fingerprint);
+  assert.notEqual(headerFingerprint(['Description', 'Item #', 'Pack', 'Price', 'Invoice Date']), fingerprint);
+  assert.equal(headerFingerprint(['', '  ']), null);
+  assert.equal(headerFingerprint([]), null);
+});
+
+test('profiles from request bodies are coerced and checked', () => {
+  const { profile, errors } = normalizeLayoutProfile({
+    name: ' PFG export ',
+    vendor: 'PFG',
+    headerRow: '3',
+    columns: { product: 'b', price: ' d ', date: '', pack: null }
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(profile.name, 'PFG export');
+  assert.equal(profile.headerRow, 3);
+  assert.equal(profile.sheet, null);
+  assert.deepEqual(profile.columns, { product: 'B', price: 'D', date: null, pack: null, itemNumber: null });
+
+  assert.deepEqual(normalizeLayoutProfile({ headerRow: 0, columns: { product: 'B2' } }).errors, [
+    'columns.product must be a column letter like "H"',
+    'name is required',
+    'headerRow must be a whole number of at least 1',
+    'columns.price is required'
+  ]);
+});
+
+test('two layouts cannot share a fingerprint', () => {
+  const saved = [{ id: 'a', ...exportLayout }, { id: 'b', name: 'Sysco default', fingerprint: null }];
+  assert.equal(findConflictingLayout(saved, exportLayout).id, 'a');
+  assert.equal(findConflictingLayout(saved, exportLayout, 'a'), null);
+  assert.equal(findConflictingLayout(saved, { name: 'Other default', fingerprint: null }), null);
+});
+
+test('a workbook matches the layout whose header row it has, at that sheet and row', () => {
+  const workbook = exportWorkbook();
+  const slotDefault = { name: 'Sysco default', fingerprint: null, sheet: null, headerRow: 1 };
+  const wrongRow = { ...exportLayout, name: 'Row 1', headerRow: 1 };
+
+  assert.equal(matchLayoutProfile(workbook, [slotDefault, wrongRow, exportLayout]), exportLayout);
+  assert.equal(matchLayoutProfile(workbook, [{ ...exportLayout, sheet: 'Missing' }]), null);
+});
+
+test('rows are read with the layout; rows without a product or a positive price are skipped', () => {
+  const rows = readRowsWithLayout(exportWorkbook(), exportLayout);
+
+  assert.deepEqual(rows.map(({ rawRow, ...row }) => row), [
+    { productName: 'Cheddar Cheese', unitPrice: 42.5, date: '2026-03-02', packText: '4/5 LB', itemNumber: '1001' },
+    { productName: 'Chicken Breast', unitPrice: 61, date: '2026-03-04', packText: '6/5 LB', itemNumber: '1002' }
+  ]);
+  assert.deepEqual(Object.keys(rows[0].rawRow), ['B', 'D', 'E', 'C', 'A']);
+});
+
+test('a layout whose sheet is missing is the caller\'s error', () => {
+  assert.throws(() => readRowsWithLayout(exportWorkbook(), { ...exportLayout, sheet: 'Missing' }), (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /Sheet "Missing" not found/);
+    return true;
+  });
+});
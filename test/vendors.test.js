@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanVendorName, detectVendor, findVendorColumn } = require('../lib/vendors');
+
+test('known vendors get their canonical name; others are kept as typed', () => {
+  assert.equal(cleanVendorName('SYSCO CHICAGO'), 'Sysco');
+  assert.equal(cleanVendorName('usfoods'), 'US Foods');
+  assert.equal(cleanVendorName('GFS'), 'Gordon Food Service');
+  assert.equal(cleanVendorName('  Local   Farm Co '), 'Local Farm Co');
+  assert.equal(cleanVendorName('  '), null);
+  assert.equal(cleanVendorName(null), null);
+});
+
+test('a vendor is detected from file names, sheet names and headers', () => {
+  assert.equal(detectVendor(['PFG_order_2026-03.xlsx', 'Sheet1']), 'Performance Food Group');
+  assert.equal(detectVendor([null, 'Restaurant Depot receipt']), 'Restaurant Depot');
+  assert.equal(detectVendor(['invoice.xlsx', 'Product', 'Price']), null);
+  assert.equal(detectVendor(['sysco-ish.xlsx']), 'Sysco');
+  assert.equal(detectVendor(['syscoinvoice.xlsx']), null);
+});
+
+test('a vendor or supplier column is found by its header', () => {
+  assert.equal(findVendorColumn(['Product', ' Supplier Name ', 'Vendor']), ' Supplier Name ');
+  assert.equal(findVendorColumn(['Product', 'Vendor Item #']), null);
+  assert.equal(findVendorColumn(undefined), null);
+});
@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractPartySheetsFromZip } = require('../lib/zip-extract');
+const { zipBuffer } = require('./helpers/zip-buffer');
+
+// The extension decides what is extracted; a PNG signature is enough content
+const SAMPLE_PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+let dir;
+let destDir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-extract-'));
+  destDir = path.join(dir, 'uploads');
+  fs.mkdirSync(destDir);
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeZip(entries) {
+  const zipPath = path.join(dir, 'upload.zip');
+  fs.writeFileSync(zipPath, entries instanceof Buffer ? entries : zipBuffer(entries));
+  return zipPath;
+}
+
+function rejectsWith(promise, message) {
+  return assert.rejects(promise, (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('party sheets are extracted under generated names; other entries are skipped or ignored', async () => {
+  const modified = new Date(2026, 1, 3, 9, 30, 0);
+  const zipPath = writeZip([
+    { name: 'March/' },
+    { name: 'March/Smith Party.PNG', data: SAMPLE_PNG, modified },
+    { name: 'March/contract.pdf', data: '%PDF-1.4' },
+    { name: 'notes.txt', data: 'call Jordan' },
+    { name: '__MACOSX/March/._contract.pdf', data: 'x' },
+    { name: '.DS_Store', data: 'x' },
+    { name: 'locked.jpg', data: 'x', encrypted: true }
+  ]);
+
+  const { files, skipped } = await extractPartySheetsFromZip(zipPath, destDir);
+
+  assert.deepEqual(files.map((f) => [f.originalname, f.mimetype, f.size]), [
+    ['March/Smith Party.PNG', 'image/png', SAMPLE_PNG.length],
+    ['March/contract.pdf', 'application/pdf', 8]
+  ]);
+  assert.equal(files[0].lastModified, modified.getTime());
+  assert.equal(path.dirname(files[0].path), destDir);
+  assert.match(path.basename(files[0].path), /^zip-\d+-[0-9a-f]{8}-0\.png$/);
+  assert.deepEqual(fs.readFileSync(files[0].path), SAMPLE_PNG);
+  assert.deepEqual(skipped, [
+    { filename: 'notes.txt', reason: 'not a PDF, PNG or JPEG' },
+    { filename: 'locked.jpg', reason: 'encrypted' }
+  ]);
+});
+
+test('entries over the per-file size are skipped', async () => {
+  const zipPath = writeZip([{ name: 'big.pdf', data: Buffer.alloc(2048) }, { name: 'small.pdf', data: 'x' }]);
+  const { files, skipped } = await extractPartySheetsFromZip(zipPath, destDir, { maxFileBytes: 1024 });
+
+  assert.deepEqual(files.map((f) => f.originalname), ['small.pdf']);
+  assert.deepEqual(skipped, [{ filename: 'big.pdf', reason: 'larger than 0MB' }]);
+});
+
+test('archives over a limit are rejected before anything is written', async () => {
+  const three = writeZip([{ name: 'a.pdf', data: 'a' }, { name: 'b.pdf', data: 'b' }, { name: 'c.pdf', data: 'c' }]);
+
+  await rejectsWith(extractPartySheetsFromZip(three, destDir, { maxFiles: 2 }), /ZIP has 3 party sheets; the limit is 2 per upload/);
+  await rejectsWith(extractPartySheetsFromZip(three, destDir, { maxEntries: 2 }), /ZIP has 3 entries; the limit is 2/);
+  await rejectsWith(extractPartySheetsFromZip(three, destDir, { maxTotalBytes: 2 }), /^ZIP expands to \d+MB/);
+  assert.deepEqual(fs.readdirSync(destDir), []);
+});
+
+test('an archive with no party sheets, or that is not a ZIP, is the caller\'s error', async () => {
+  await rejectsWith(extractPartySheetsFromZip(writeZip([{ name: 'notes.txt', data: 'x' }]), destDir), /ZIP contains no PDF, PNG or JPEG files/);
+  await rejectsWith(extractPartySheetsFromZip(writeZip(Buffer.from('not a zip')), destDir), /^Not a readable ZIP archive/);
+});
+
+test('entry paths that climb out of the archive are refused', async () => {
+  await rejectsWith(extractPartySheetsFromZip(writeZip([{ name: '../escape.pdf', data: 'x' }]), destDir), /^Invalid ZIP archive/);
+  assert.equal(fs.existsSync(path.join(dir, 'escape.pdf')), false);
+});